@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * otisign - command line verifier for .ots-signed archives and signed PDFs
+ *
+ *   otisign verify contract.ots-signed [--json]
+ *   otisign verify contract.pdf [--json]
+ *   otisign verify contract.ots-sign [--json]   (bundle still being signed)
+ *
+ * Loads the same scripts verify.html does (lib/ + js/verifier.js) into this
+ * process, so a server and a browser can never disagree about an archive.
+ * Bitcoin attestations are read from timestamp.ots but not looked up online.
+ *
+ * Exit codes: 0 valid, 1 invalid, 2 usage or read error, 3 nothing wrong
+ * but not finalized (a bundle, or an archive without its timestamp).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same scripts, same order as verify.html
+const SCRIPTS = [
+  'lib/tweetnacl.min.js',
+  'lib/argon2.min.js',
+  'lib/jszip.min.js',
+  'lib/opentimestamps.min.js',
+  'lib/pdf-lib.min.js',
+  'js/bundle.js',
+  'js/crypto.js',
+  'js/merkle.js',
+  'js/manifest.js',
+  'js/cms.js',
+  'js/pdf-signature.js',
+  'js/attachments.js',
+  'js/outcome.js',
+  'js/audit.js',
+  'js/seal.js',
+  'js/verifier.js'
+];
+
+const USAGE = 'Usage: otisign verify <file.ots-signed|file.pdf|file.ots-sign> [--json]';
+
+function loadVerifier() {
+  // The browser builds look for window/self to attach their globals
+  globalThis.window = globalThis;
+  globalThis.self = globalThis;
+  // Node 18 has WebCrypto only as require('crypto').webcrypto
+  globalThis.crypto ??= require('crypto').webcrypto;
+
+  for (const script of SCRIPTS) {
+    const source = fs.readFileSync(path.join(ROOT, script), 'utf8');
+    vm.runInThisContext(source, { filename: script });
+  }
+  return vm.runInThisContext('Verifier');
+}
+
+function printReport(file, report) {
+  const out = [file, ''];
+  for (const result of report.results) {
+    out.push(result.title);
+    if (result.message) out.push('    ' + result.message);
+  }
+  out.push('', !report.valid ? 'INVALID' : report.finalized ? 'VALID' : 'NOT FINALIZED');
+  process.stdout.write(out.join('\n') + '\n');
+}
+
+async function main(argv) {
+  const args = argv.filter(a => !a.startsWith('--'));
+  const flags = new Set(argv.filter(a => a.startsWith('--')));
+  const [command, file] = args;
+
+  if (flags.has('--help') || command !== 'verify' || !file) {
+    process.stderr.write(USAGE + '\n');
+    return 2;
+  }
+
+  let data;
+  try {
+    data = fs.readFileSync(file);
+  } catch (err) {
+    process.stderr.write(`Cannot read ${file}: ${err.message}\n`);
+    return 2;
+  }
+
+  const Verifier = loadVerifier();
+  const report = await Verifier.verify(new Uint8Array(data), { network: false });
+
+  if (flags.has('--json')) {
+    process.stdout.write(JSON.stringify({ file, ...Verifier.toJSON(report) }, null, 2) + '\n');
+  } else {
+    printReport(file, report);
+  }
+
+  if (!report.valid) return 1;
+  return report.finalized ? 0 : 3;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  err => {
+    process.stderr.write((err && err.stack) || String(err));
+    process.stderr.write('\n');
+    process.exitCode = 2;
+  }
+);
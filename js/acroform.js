@@ -0,0 +1,207 @@
+/**
+ * acroform.js - Native PDF form fields
+ *
+ * A PDF can come with its own AcroForm: text fields, checkboxes, radio
+ * buttons, dropdowns and signature fields. read() lists them so prepare.html
+ * can turn them into bundle fields that keep the form field's name in
+ * `formField`. When the fields are drawn, fill() writes the values into the
+ * form itself instead of onto the page; flatten() then bakes the form into
+ * the page content, unless the bundle asks to leave it fillable.
+ *
+ * Signature and initials images can't go into a form field, so they are
+ * still drawn on the page and the signature field they filled is removed.
+ *
+ * Depends on PDFLib.
+ */
+
+const AcroForm = (function() {
+  'use strict';
+
+  /**
+   * List the form fields a signer could fill, one entry per radio button
+   * and one per other field (at its first widget). Read-only fields and
+   * push buttons are left out. Positions are the widget's rectangle, with
+   * y at its bottom edge like every bundle field's.
+   * @param {ArrayBuffer|Uint8Array} pdfBytes
+   * @returns {Promise<Array<Object>>} { name, type, page, x, y, width, height, required }
+   *   plus `option` for a radio button, `options` for a dropdown and `format`
+   *   for a text field
+   */
+  async function read(pdfBytes) {
+    const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false, ignoreEncryption: true });
+    const entries = [];
+
+    for (const field of pdfDoc.getForm().getFields()) {
+      const type = typeOf(field);
+      if (!type || field.isReadOnly()) continue;
+
+      const widgets = field.acroField.getWidgets();
+      const options = type === 'radio' || type === 'dropdown' ? field.getOptions() : null;
+      widgets.forEach((widget, index) => {
+        if (type !== 'radio' && index > 0) return;
+        const page = widgetPage(pdfDoc, widget);
+        if (page < 0) return;
+
+        const rect = widget.getRectangle();
+        const entry = {
+          name: field.getName(),
+          type,
+          page,
+          x: round(rect.x),
+          y: round(rect.y),
+          width: round(rect.width),
+          height: round(rect.height),
+          required: field.isRequired()
+        };
+        if (type === 'radio') entry.option = options[index];
+        if (type === 'dropdown') entry.options = options;
+        if (type === 'text') entry.format = textFormat(field);
+        entries.push(entry);
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * The kind of form field a bundle field type is written to
+   * @param {string} type - bundle field type
+   * @returns {string} an AcroForm.read() type
+   */
+  function formType(type) {
+    if (type === 'signature' || type === 'initials') return 'signature';
+    if (type === 'checkbox' || type === 'radio' || type === 'dropdown') return type;
+    return 'text';
+  }
+
+  function typeOf(field) {
+    if (field instanceof PDFLib.PDFTextField) return 'text';
+    if (field instanceof PDFLib.PDFCheckBox) return 'checkbox';
+    if (field instanceof PDFLib.PDFRadioGroup) return 'radio';
+    if (field instanceof PDFLib.PDFDropdown) return 'dropdown';
+    if (field instanceof PDFLib.PDFSignature) return 'signature';
+    return null;
+  }
+
+  // Widgets name their page in /P, but that's optional; otherwise look through the pages' annotations
+  function widgetPage(pdfDoc, widget) {
+    const pages = pdfDoc.getPages();
+    const pageRef = widget.P();
+    const index = pageRef ? pages.findIndex(p => p.ref === pageRef) : -1;
+    if (index >= 0) return index;
+
+    const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+    return pages.findIndex(p => {
+      const annots = p.node.Annots();
+      return Boolean(annots && widgetRef && annots.asArray().includes(widgetRef));
+    });
+  }
+
+  // The parts of a text field's settings text-field.js knows about
+  function textFormat(field) {
+    const format = {};
+    if (field.isMultiline()) format.multiline = true;
+    if (field.getMaxLength()) format.maxLength = field.getMaxLength();
+    const align = field.getAlignment();
+    if (align === PDFLib.TextAlignment.Center) format.align = 'center';
+    if (align === PDFLib.TextAlignment.Right) format.align = 'right';
+    return Object.keys(format).length > 0 ? format : null;
+  }
+
+  /**
+   * Write bundle field values into the form fields they were imported from.
+   * A field whose form field this PDF lacks, has as another kind or won't
+   * take the value is left out and returned, so it can be drawn instead. A
+   * form field that wouldn't take its value is made read-only, so nobody
+   * fills in a different one under the drawn value later.
+   * @param {PDFLib.PDFDocument} pdfDoc
+   * @param {Array} fields - bundle fields with `formField` set
+   * @returns {Array} the fields that weren't filled
+   */
+  function fill(pdfDoc, fields) {
+    const form = pdfDoc.getForm();
+    const missing = [];
+    for (const field of fields) {
+      const target = form.getFieldMaybe(field.formField);
+      if (!target || typeOf(target) !== formType(field.type)) {
+        missing.push(field);
+        continue;
+      }
+      try {
+        write(pdfDoc, target, field);
+      } catch (err) {
+        // e.g. an option the form's dropdown doesn't offer, or text over its max length
+        target.enableReadOnly();
+        missing.push(field);
+      }
+    }
+    form.updateFieldAppearances();
+    return missing;
+  }
+
+  function write(pdfDoc, target, field) {
+    switch (field.type) {
+      case 'signature':
+      case 'initials':
+        // The image is drawn on the page; an empty signature field left over it would invite signing again
+        if (field.value) removeField(pdfDoc, target);
+        break;
+      case 'checkbox':
+        if (field.value) {
+          target.check();
+        } else {
+          target.uncheck();
+        }
+        break;
+      case 'radio':
+        // Every box of the group shares the form field; only the chosen one has a value
+        if (field.value) target.select(field.value);
+        break;
+      case 'dropdown':
+        // pdf-lib would make the dropdown editable to take a value it doesn't offer
+        if (field.value && !target.getOptions().includes(field.value)) throw new Error(`No option "${field.value}"`);
+        if (field.value) target.select(field.value);
+        break;
+      default:
+        target.setText(field.value || undefined);
+    }
+  }
+
+  /**
+   * Turn every form field into plain page content
+   * @param {PDFLib.PDFDocument} pdfDoc
+   */
+  function flatten(pdfDoc) {
+    const form = pdfDoc.getForm();
+    // Nothing to show for a signature field nobody signed
+    form.getFields()
+      .filter(f => f instanceof PDFLib.PDFSignature)
+      .forEach(f => removeField(pdfDoc, f));
+    form.flatten();
+  }
+
+  // PDFForm.removeField() needs an appearance stream on every widget, which
+  // unsigned signature fields usually lack
+  function removeField(pdfDoc, field) {
+    const { context } = pdfDoc;
+    for (const widget of field.acroField.getWidgets()) {
+      const widgetRef = context.getObjectRef(widget.dict);
+      if (!widgetRef) continue;
+      pdfDoc.getPages().forEach(page => page.node.removeAnnot(widgetRef));
+      context.delete(widgetRef);
+    }
+    pdfDoc.getForm().acroForm.removeField(field.acroField);
+    context.delete(field.ref);
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  return {
+    read,
+    formType,
+    fill,
+    flatten
+  };
+})();
@@ -0,0 +1,236 @@
+/**
+ * anchors.js - Place fields from text in the PDF
+ *
+ * Generated documents can mark where fields go with anchor tags such as
+ * {{sig:1}}, {{initials:signer2}}, {{date:Manager}} or {{text:1}}: the
+ * field type, then the signer by position in the list (1-based) or by role.
+ * Phrases such as "Signature:" work too; their field goes right after the
+ * phrase, for a signer chosen when scanning.
+ *
+ * Text positions come from pdf.js getTextContent(). A field's y is its
+ * bottom edge, like every bundle field's; it goes at the anchor text's
+ * descent, just below its baseline. Tags can be whited out in the final
+ * PDF: their boxes are kept in bundle.whiteout and painted over before the
+ * fields are drawn.
+ *
+ * Depends on Bundle; scan() takes a pdf.js document.
+ */
+
+const Anchors = (function() {
+  'use strict';
+
+  const TAG_PATTERN = /\{\{\s*([a-z]+)\s*:\s*([^{}\n]*?)\s*\}\}/gi;
+  const TAG_TYPES = {
+    sig: 'signature',
+    signature: 'signature',
+    init: 'initials',
+    initials: 'initials',
+    date: 'date',
+    text: 'text',
+    check: 'checkbox',
+    checkbox: 'checkbox'
+  };
+
+  const DEFAULT_PHRASES = [
+    { type: 'signature', phrase: 'Signature:' },
+    { type: 'initials', phrase: 'Initials:' },
+    { type: 'date', phrase: 'Date:' }
+  ];
+
+  // Points between a phrase and the field placed after it
+  const PHRASE_GAP = 4;
+  // Share of the font size below the baseline and above it, for white-out boxes
+  const DESCENT = 0.25;
+  const ASCENT = 0.9;
+
+  /**
+   * Find anchor tags and phrases on every page
+   * @param {Object} pdfDoc - pdf.js document
+   * @param {Array<{type: string, phrase: string}>} [phrases]
+   * @returns {Promise<Array<Object>>} matches in page order:
+   *   { page, type, text, x, baseline, width, fontSize } plus `target` for a
+   *   tag or `phrase` for a phrase; a tag with an unknown type has type null
+   */
+  async function scan(pdfDoc, phrases = []) {
+    const matches = [];
+    for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+      const page = await pdfDoc.getPage(pageNum);
+      const { text, spans } = pageText(await page.getTextContent());
+      const found = [];
+      const tags = [];
+
+      for (const m of text.matchAll(TAG_PATTERN)) {
+        tags.push([m.index, m.index + m[0].length]);
+        found.push({
+          ...locate(spans, m.index, m.index + m[0].length),
+          type: TAG_TYPES[m[1].toLowerCase()] || null,
+          target: m[2],
+          text: m[0]
+        });
+      }
+
+      for (const { type, phrase } of phrases) {
+        if (!phrase) continue;
+        // Not inside a longer word: "Date:" shouldn't match "Update:"
+        const pattern = new RegExp('(?<![\\p{L}\\p{N}])' + phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'giu');
+        for (const m of text.matchAll(pattern)) {
+          // "{{date:1}}" is a tag, not the phrase "Date:"
+          if (tags.some(([start, end]) => m.index < end && m.index + m[0].length > start)) continue;
+          found.push({ ...locate(spans, m.index, m.index + m[0].length), type, phrase, text: m[0] });
+        }
+      }
+
+      found
+        .filter(match => match.x !== null)
+        .sort((a, b) => b.baseline - a.baseline || a.x - b.x)
+        .forEach(match => matches.push({ page: pageNum - 1, ...match }));
+    }
+    return matches;
+  }
+
+  // Joins a page's text items so a tag split across items still matches
+  function pageText(content) {
+    let text = '';
+    const spans = [];
+    for (const item of content.items) {
+      if (typeof item.str !== 'string') continue;
+      spans.push({ start: text.length, item });
+      text += item.str;
+      if (item.hasEOL) text += '\n';
+    }
+    return { text, spans };
+  }
+
+  // Position of the text between two offsets; characters are taken as evenly wide within an item
+  function locate(spans, start, end) {
+    const first = spans.find(s => s.start <= start && start < s.start + s.item.str.length);
+    const last = spans.find(s => s.start < end && end <= s.start + s.item.str.length);
+    if (!first || !last) return { x: null };
+
+    const xAt = (span, offset) => span.item.transform[4] + span.item.width * (offset - span.start) / span.item.str.length;
+    const [a, b, , , , baseline] = first.item.transform;
+    const x = xAt(first, start);
+    return {
+      x,
+      baseline,
+      width: Math.max(0, xAt(last, end) - x),
+      fontSize: Math.hypot(a, b) || first.item.height
+    };
+  }
+
+  /**
+   * The signer a tag names: a 1-based position ("2", "signer2") or a role
+   * @param {Object} bundle
+   * @param {string} target
+   * @returns {Object|null}
+   */
+  function findSigner(bundle, target) {
+    const key = target.trim().toLowerCase();
+    const index = key.match(/^(?:signer\s*)?(\d+)$/);
+    if (index) return bundle.signers[Number(index[1]) - 1] || null;
+    return bundle.signers.find(s => (s.role || '').toLowerCase() === key) || null;
+  }
+
+  /**
+   * Add a field for each match
+   * @param {Object} bundle
+   * @param {Array} matches - from scan()
+   * @param {Object} [options]
+   * @param {string} [options.phraseSigner] - signer ID for phrase matches, or
+   *   "order" to give the nth match of a phrase to the nth signer
+   * @returns {{fields: Array, whiteout: Array<{page: number, x: number, y: number, width: number, height: number}>, problems: string[]}}
+   *   whiteout covers every tag found, placed or not
+   */
+  function place(bundle, matches, options = {}) {
+    const fields = [];
+    const whiteout = [];
+    const problems = [];
+    const seen = {};
+
+    for (const match of matches) {
+      const where = `"${match.text}" on page ${match.page + 1}`;
+      let signer;
+
+      if (match.target !== undefined) {
+        whiteout.push({
+          page: match.page,
+          x: round(match.x),
+          y: round(match.baseline - match.fontSize * DESCENT),
+          width: round(match.width),
+          height: round(match.fontSize * (ASCENT + DESCENT))
+        });
+        if (!match.type) {
+          problems.push(`${where}: unknown field type`);
+          continue;
+        }
+        signer = findSigner(bundle, match.target);
+        if (!signer) {
+          problems.push(`${where}: no signer "${match.target}"`);
+          continue;
+        }
+      } else if (options.phraseSigner === 'order') {
+        const key = match.phrase.toLowerCase();
+        seen[key] = (seen[key] || 0) + 1;
+        signer = bundle.signers[seen[key] - 1];
+        if (!signer) {
+          problems.push(`${where}: more matches than signers`);
+          continue;
+        }
+      } else {
+        signer = bundle.signers.find(s => s.id === options.phraseSigner);
+        if (!signer) {
+          problems.push(`${where}: choose a signer for phrases`);
+          continue;
+        }
+      }
+
+      const x = round(match.phrase ? match.x + match.width + PHRASE_GAP : match.x);
+      const y = round(Math.max(0, match.baseline - match.fontSize * DESCENT));
+
+      // Scanning again doesn't stack a second field on one already placed
+      const placed = bundle.fields.some(f =>
+        f.type === match.type && f.page === match.page && Math.abs(f.x - x) < 1 && Math.abs(f.y - y) < 1);
+      if (placed) continue;
+
+      fields.push(Bundle.addField(bundle, { type: match.type, signerId: signer.id, page: match.page, x, y }));
+    }
+
+    return { fields, whiteout, problems };
+  }
+
+  /**
+   * Parse phrase settings, one "type: phrase" per line
+   * @param {string} text
+   * @returns {Array<{type: string, phrase: string}>}
+   * @throws {Error} on a line without a known field type
+   */
+  function parsePhrases(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+      const m = line.match(/^([a-z]+)\s*:\s*(.+)$/i);
+      const type = m && TAG_TYPES[m[1].toLowerCase()];
+      if (!type) throw new Error(`"${line}" should start with a field type, like "signature: Signature:"`);
+      return { type, phrase: m[2] };
+    });
+  }
+
+  /**
+   * @param {Array<{type: string, phrase: string}>} phrases
+   * @returns {string}
+   */
+  function formatPhrases(phrases) {
+    return phrases.map(p => `${p.type}: ${p.phrase}`).join('\n');
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  return {
+    DEFAULT_PHRASES,
+    scan,
+    findSigner,
+    place,
+    parsePhrases,
+    formatPhrases
+  };
+})();
@@ -0,0 +1,304 @@
+/**
+ * attachments.js - Files embedded in a PDF (PDF/A-3 style)
+ *
+ * Finalized documents carry their own verification.json and timestamp.ots.
+ * The proof can't cover the bytes it is embedded in, so it is attached in
+ * an incremental update after the hashed revision, and verifiers check that
+ * nothing but attachments changed after that point.
+ *
+ * Depends on PDFLib and PdfSignature (for incremental updates).
+ */
+
+const Attachments = (function() {
+  'use strict';
+
+  const VERIFICATION_FILE = 'verification.json';
+  const TIMESTAMP_FILE = 'timestamp.ots';
+
+  /**
+   * Attach files in a new revision. Existing attachments with the same
+   * name are replaced, so a proof can be updated later.
+   * @param {Uint8Array} pdfBytes
+   * @param {Array<{name: string, data: Uint8Array, mimeType: string, description?: string}>} files
+   * @returns {Promise<Uint8Array>}
+   */
+  function attach(pdfBytes, files) {
+    return PdfSignature.appendUpdate(pdfBytes, async pdfDoc => {
+      removeEntries(pdfDoc, new Set(files.map(f => f.name)));
+
+      const now = new Date();
+      for (const file of files) {
+        await pdfDoc.attach(file.data, file.name, {
+          mimeType: file.mimeType,
+          description: file.description,
+          creationDate: now,
+          modificationDate: now,
+          afRelationship: PDFLib.AFRelationship.Data
+        });
+      }
+
+      // Attachments are only written into the name tree on flush
+      await pdfDoc.flush();
+      sortEntries(pdfDoc);
+    });
+  }
+
+  /**
+   * Attach an archive's proof files
+   * @param {Uint8Array} pdfBytes
+   * @param {{verification?: Object, otsBytes?: Uint8Array}} proof
+   * @returns {Promise<Uint8Array>}
+   */
+  function attachProof(pdfBytes, proof) {
+    const files = [];
+    if (proof.otsBytes) {
+      files.push({
+        name: TIMESTAMP_FILE,
+        data: proof.otsBytes,
+        mimeType: 'application/octet-stream',
+        description: 'OpenTimestamps proof of the merkle root'
+      });
+    }
+    if (proof.verification) {
+      files.push({
+        name: VERIFICATION_FILE,
+        data: new TextEncoder().encode(JSON.stringify(proof.verification, null, 2)),
+        mimeType: 'application/json',
+        description: 'OtiSign verification record'
+      });
+    }
+    return attach(pdfBytes, files);
+  }
+
+  /**
+   * Read the proof files embedded by attachProof
+   * @param {Uint8Array} pdfBytes
+   * @returns {Promise<{verification: string|null, otsBytes: Uint8Array|null}>} verification is JSON text
+   */
+  async function readProof(pdfBytes) {
+    const files = await read(pdfBytes);
+    const verification = files.get(VERIFICATION_FILE);
+    return {
+      verification: verification ? new TextDecoder().decode(verification) : null,
+      otsBytes: files.get(TIMESTAMP_FILE) || null
+    };
+  }
+
+  function removeEntries(pdfDoc, names) {
+    const { PDFName, PDFArray } = PDFLib;
+    const tree = embeddedFilesTree(pdfDoc);
+    const entries = tree && tree.lookupMaybe(PDFName.of('Names'), PDFArray);
+    if (!entries) return;
+
+    const af = pdfDoc.catalog.lookupMaybe(PDFName.of('AF'), PDFArray);
+    for (let i = entries.size() - 2; i >= 0; i -= 2) {
+      if (!names.has(entries.lookup(i).decodeText())) continue;
+      const spec = entries.get(i + 1);
+      entries.remove(i + 1);
+      entries.remove(i);
+      const index = af ? af.indexOf(spec) : undefined;
+      if (index !== undefined) af.remove(index);
+    }
+  }
+
+  // pdf-lib appends to the name tree; the spec wants it sorted by name
+  function sortEntries(pdfDoc) {
+    const { PDFName, PDFArray } = PDFLib;
+    const tree = embeddedFilesTree(pdfDoc);
+    const entries = tree && tree.lookupMaybe(PDFName.of('Names'), PDFArray);
+    if (!entries) return;
+
+    const pairs = [];
+    for (let i = 0; i + 1 < entries.size(); i += 2) {
+      pairs.push([entries.get(i), entries.get(i + 1), entries.lookup(i).decodeText()]);
+    }
+    pairs.sort((a, b) => (a[2] < b[2] ? -1 : a[2] > b[2] ? 1 : 0));
+    while (entries.size() > 0) entries.remove(0);
+    pairs.forEach(([key, spec]) => {
+      entries.push(key);
+      entries.push(spec);
+    });
+  }
+
+  function embeddedFilesTree(pdfDoc) {
+    const { PDFName, PDFDict } = PDFLib;
+    const names = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    return names ? names.lookupMaybe(PDFName.of('EmbeddedFiles'), PDFDict) : undefined;
+  }
+
+  /**
+   * Read every embedded file; later entries win over earlier ones of the same name
+   * @param {Uint8Array} pdfBytes
+   * @returns {Promise<Map<string, Uint8Array>>}
+   */
+  async function read(pdfBytes) {
+    const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false, ignoreEncryption: true });
+    const files = new Map();
+    const tree = embeddedFilesTree(pdfDoc);
+    if (tree) collect(tree, files);
+    return files;
+  }
+
+  function collect(node, files) {
+    const { PDFName, PDFDict, PDFArray, PDFStream, PDFRawStream } = PDFLib;
+
+    const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+    if (kids) {
+      for (let i = 0; i < kids.size(); i++) collect(kids.lookup(i, PDFDict), files);
+    }
+
+    const entries = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+    if (!entries) return;
+    for (let i = 0; i + 1 < entries.size(); i += 2) {
+      const spec = entries.lookup(i + 1);
+      const ef = spec instanceof PDFDict ? spec.lookupMaybe(PDFName.of('EF'), PDFDict) : undefined;
+      const stream = ef && (ef.lookupMaybe(PDFName.of('UF'), PDFStream) || ef.lookupMaybe(PDFName.of('F'), PDFStream));
+      if (!stream) continue;
+
+      const data = stream instanceof PDFRawStream
+        ? PDFLib.decodePDFRawStream(stream).decode()
+        : stream.getContents();
+      files.set(entries.lookup(i).decodeText(), data);
+    }
+  }
+
+  /**
+   * Check that the bytes after a hashed revision only add attachments
+   * @param {Uint8Array} pdfBytes
+   * @param {number} size - length of the hashed revision
+   * @param {Object} [options]
+   * @param {number} [options.pages] - trailing pages allowed after the signed ones (the completion certificate)
+   * @returns {Promise<string[]>} problems, empty if only attachments changed
+   */
+  async function checkAppended(pdfBytes, size, options = {}) {
+    if (size === pdfBytes.length) return [];
+
+    const { PDFName, PDFDict, PDFRef } = PDFLib;
+    const problems = [];
+
+    // pdf-lib keeps the last definition of each object; a second one could
+    // hide what an xref-following reader would show, so refuse duplicates
+    const appended = new TextDecoder('latin1').decode(pdfBytes.subarray(size));
+    if (/\/Type\s*\/ObjStm/.test(appended)) {
+      problems.push('Objects were added inside an object stream');
+    }
+    for (const revision of appended.split('%%EOF')) {
+      const seen = new Set();
+      const definitions = /(?:^|[^\d])(\d+)\s+(\d+)\s+obj\b/g;
+      for (let m = definitions.exec(revision); m; m = definitions.exec(revision)) {
+        const key = m[1] + ' ' + m[2];
+        if (seen.has(key)) problems.push(`Object ${m[1]} is defined twice in one revision`);
+        seen.add(key);
+      }
+    }
+
+    const load = bytes => PDFLib.PDFDocument.load(bytes, { updateMetadata: false, ignoreEncryption: true });
+    const core = await load(pdfBytes.slice(0, size));
+    const full = await load(pdfBytes);
+
+    const root = core.context.trailerInfo.Root;
+    if (full.context.trailerInfo.Root !== root) {
+      problems.push('The document catalog was replaced');
+      return problems;
+    }
+
+    // Where attaching is allowed to write: catalog /AF and /Names /EmbeddedFiles
+    const ignored = new Map([[root, catalog => withoutAttachments(catalog)]]);
+    const names = core.catalog.get(PDFName.of('Names'));
+    if (names instanceof PDFRef) {
+      ignored.set(names, dict => without(dict, ['EmbeddedFiles']));
+      const tree = core.context.lookup(names, PDFDict).get(PDFName.of('EmbeddedFiles'));
+      if (tree instanceof PDFRef) ignored.set(tree, () => null);
+    }
+    const af = core.catalog.get(PDFName.of('AF'));
+    if (af instanceof PDFRef) ignored.set(af, () => null);
+
+    // Appending pages rewrites the page tree's /Kids and /Count; the page list itself is compared below
+    const added = options.pages || 0;
+    if (added > 0) {
+      pageTreeNodes(core).forEach(ref => ignored.set(ref, dict => without(dict, ['Kids', 'Count'])));
+
+      const before = core.getPages().map(p => p.ref);
+      const after = full.getPages().map(p => p.ref);
+      const kept = before.every((ref, i) => after[i] === ref);
+      const fresh = after.slice(before.length).every(ref => !core.context.lookup(ref));
+      if (!kept || !fresh || after.length !== before.length + added) {
+        problems.push(`Pages changed after signing (expected ${added} appended)`);
+      }
+    }
+
+    for (const [ref, object] of full.context.enumerateIndirectObjects()) {
+      const before = core.context.lookup(ref);
+      // New objects are only reachable through the attachment entries checked here
+      if (!before) continue;
+
+      const normalize = ignored.get(ref) || (o => o);
+      const a = normalize(before);
+      const b = normalize(object);
+      if (a === null && b === null) continue;
+      if (!a || !b || !equal(serialize(a), serialize(b))) {
+        problems.push(`Object ${ref.objectNumber} changed after signing`);
+      }
+    }
+
+    return problems;
+  }
+
+  function pageTreeNodes(pdfDoc) {
+    const { PDFName, PDFArray, PDFRef } = PDFLib;
+    const nodes = [];
+    const visit = ref => {
+      const node = pdfDoc.context.lookup(ref);
+      if (!(ref instanceof PDFRef) || !(node instanceof PDFLib.PDFDict) || nodes.includes(ref)) return;
+      if (node.get(PDFName.of('Type')) !== PDFName.of('Pages')) return;
+      nodes.push(ref);
+      const kids = pdfDoc.context.lookup(node.get(PDFName.of('Kids')));
+      if (kids instanceof PDFArray) kids.asArray().forEach(visit);
+    };
+    visit(pdfDoc.catalog.get(PDFName.of('Pages')));
+    return nodes;
+  }
+
+  function withoutAttachments(catalog) {
+    if (!(catalog instanceof PDFLib.PDFDict)) return catalog;
+    const copy = without(catalog, ['AF']);
+    const names = copy.get(PDFLib.PDFName.of('Names'));
+    if (names instanceof PDFLib.PDFDict) {
+      const rest = without(names, ['EmbeddedFiles']);
+      // Attaching to a document without attachments creates /Names itself
+      if (rest.keys().length > 0) {
+        copy.set(PDFLib.PDFName.of('Names'), rest);
+      } else {
+        copy.delete(PDFLib.PDFName.of('Names'));
+      }
+    }
+    return copy;
+  }
+
+  function without(dict, keys) {
+    if (!(dict instanceof PDFLib.PDFDict)) return dict;
+    const copy = dict.clone();
+    keys.forEach(key => copy.delete(PDFLib.PDFName.of(key)));
+    return copy;
+  }
+
+  function serialize(object) {
+    const buffer = new Uint8Array(object.sizeInBytes());
+    object.copyBytesInto(buffer, 0);
+    return buffer;
+  }
+
+  function equal(a, b) {
+    return a.length === b.length && a.every((v, i) => v === b[i]);
+  }
+
+  return {
+    VERIFICATION_FILE,
+    TIMESTAMP_FILE,
+    attach,
+    attachProof,
+    read,
+    readProof,
+    checkAppended
+  };
+})();
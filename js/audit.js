@@ -0,0 +1,208 @@
+/**
+ * audit.js - Append-only event log inside the bundle
+ *
+ * Every entry records what happened, who did it and when, plus the hash of
+ * the entry before it, so entries can't be dropped or reordered without
+ * breaking the chain. Entries are signed with the actor's key when one is
+ * available (the sender's key in prepare.html, the signer's in sign.html).
+ *
+ * Copies combined after parallel signing keep both branches; a `merged`
+ * entry names the head of each, so the log forms a DAG that still has a
+ * single head. Finalizing adds a last entry and puts the head hash into the
+ * merkle tree as the audit leaf.
+ *
+ * Depends on Crypto.
+ */
+
+const Audit = (function() {
+  'use strict';
+
+  const VERSION = 'ots-sign-audit-v1';
+
+  // Appends hash and sign asynchronously; queue them so each sees the last entry
+  let queue = Promise.resolve();
+
+  /**
+   * Hash an entry, signature included
+   * @param {Object} entry
+   * @returns {Promise<string>} hex
+   */
+  async function hashEntry(entry) {
+    const digest = await Crypto.sha256(new TextEncoder().encode(Crypto.canonicalJson(entry)));
+    return Crypto.bytesToHex(digest);
+  }
+
+  /**
+   * Hash of the last entry, which commits to the whole log
+   * @param {Array} entries
+   * @returns {Promise<string|null>} hex
+   */
+  async function head(entries) {
+    return entries && entries.length > 0 ? hashEntry(entries[entries.length - 1]) : null;
+  }
+
+  function signingMessage(entry) {
+    const { signature, ...unsigned } = entry;
+    return new TextEncoder().encode(Crypto.canonicalJson(unsigned));
+  }
+
+  /**
+   * Build the next entry for a log without adding it
+   * @param {Array} entries - the log so far
+   * @param {string} type - e.g. created, sent, opened, field_filled, field_cleared, signed, declined, voided, merged, finalized
+   * @param {{role: string, name?: string, email?: string}} actor - role is sender, signer or system
+   * @param {Object} [options]
+   * @param {Object} [options.data] - event details
+   * @param {Object} [options.keypair] - the actor's Ed25519 keypair, to sign the entry
+   * @returns {Promise<Object>}
+   */
+  async function createEntry(entries, type, actor, options = {}) {
+    const entry = {
+      version: VERSION,
+      type: type,
+      actor: {
+        role: actor.role,
+        name: actor.name || undefined,
+        email: actor.email ? actor.email.toLowerCase().trim() : undefined
+      },
+      at: new Date().toISOString(),
+      prev: await head(entries),
+      data: options.data || undefined
+    };
+
+    if (options.keypair) {
+      entry.publicKey = Crypto.formatPublicKey(options.keypair.publicKey);
+      entry.signature = Crypto.bytesToHex(Crypto.sign(signingMessage(entry), options.keypair.secretKey));
+    }
+
+    // Drop unset keys so the stored JSON hashes the same as the canonical form
+    return JSON.parse(JSON.stringify(entry));
+  }
+
+  /**
+   * Add an entry to a bundle's log
+   * @param {Object} bundle
+   * @param {string} type
+   * @param {Object} actor - see createEntry
+   * @param {Object} [options] - see createEntry
+   * @returns {Promise<Object>} the entry
+   */
+  function append(bundle, type, actor, options) {
+    const next = queue.then(async () => {
+      if (!bundle.audit) bundle.audit = [];
+      const entry = await createEntry(bundle.audit, type, actor, options);
+      bundle.audit.push(entry);
+      return entry;
+    });
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Fold the logs of other copies into a combined bundle's log
+   * @param {Object} bundle - the combined bundle, holding the first copy's log
+   * @param {Array<Array>} logs - the log of every copy
+   * @returns {Promise<Object|null>} the merged entry, or null if nothing was added
+   */
+  function merge(bundle, logs) {
+    const next = queue.then(async () => {
+      if (!bundle.audit) bundle.audit = [];
+      const known = new Set();
+      for (const entry of bundle.audit) known.add(await hashEntry(entry));
+
+      const heads = [];
+      for (const log of logs) {
+        if (!log || log.length === 0) continue;
+        for (const entry of log) {
+          const hash = await hashEntry(entry);
+          if (!known.has(hash)) {
+            bundle.audit.push(entry);
+            known.add(hash);
+          }
+        }
+        heads.push(await head(log));
+      }
+
+      const distinct = [...new Set(heads)];
+      if (distinct.length < 2) return null;
+
+      const entry = await createEntry(bundle.audit, 'merged', { role: 'system' }, { data: { heads: distinct.sort() } });
+      bundle.audit.push(entry);
+      return entry;
+    });
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Check the chain and every signature
+   * @param {Array} entries
+   * @returns {Promise<{valid: boolean, head: string|null, problems: string[], entries: Array<{entry: Object, hash: string, signature: string}>}>}
+   *   signature is 'valid', 'invalid' or 'unsigned'
+   */
+  async function verify(entries) {
+    const problems = [];
+    const results = [];
+    const seen = new Set();
+    const referenced = new Set();
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const hash = await hashEntry(entry);
+
+      if (entry.version !== VERSION) {
+        problems.push(`Entry ${i + 1}: unsupported version`);
+      }
+      if (i === 0 ? entry.prev !== null : !seen.has(entry.prev)) {
+        problems.push(`Entry ${i + 1} (${entry.type}) does not follow an earlier entry`);
+      }
+      referenced.add(entry.prev);
+      if (entry.type === 'merged') {
+        const heads = (entry.data && entry.data.heads) || [];
+        heads.forEach(h => {
+          if (!seen.has(h)) problems.push(`Entry ${i + 1} merges an unknown branch`);
+          referenced.add(h);
+        });
+      }
+
+      let signature = 'unsigned';
+      if (entry.signature) {
+        try {
+          signature = Crypto.verify(
+            signingMessage(entry),
+            Crypto.hexToBytes(entry.signature),
+            Crypto.parsePublicKey(entry.publicKey)
+          ) ? 'valid' : 'invalid';
+        } catch (err) {
+          signature = 'invalid';
+        }
+        if (signature === 'invalid') problems.push(`Entry ${i + 1} (${entry.type}): signature invalid`);
+      }
+
+      results.push({ entry, hash, signature });
+      seen.add(hash);
+    }
+
+    // Every entry but the head must be built on, or a branch was cut off
+    results.slice(0, -1).forEach((r, i) => {
+      if (!referenced.has(r.hash)) problems.push(`Entry ${i + 1} (${r.entry.type}) is not part of the chain`);
+    });
+
+    return {
+      valid: problems.length === 0,
+      head: results.length > 0 ? results[results.length - 1].hash : null,
+      problems,
+      entries: results
+    };
+  }
+
+  return {
+    VERSION,
+    hashEntry,
+    head,
+    createEntry,
+    append,
+    merge,
+    verify
+  };
+})();
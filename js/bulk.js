@@ -0,0 +1,175 @@
+/**
+ * bulk.js - One bundle per CSV row from a template
+ *
+ * Each row names the people for the template's roles ("<role> name",
+ * "<role> email") and may fill text fields ahead of time ("<role> text 1").
+ * A bad row is reported and skipped; the rest still go into the ZIP.
+ *
+ * Depends on JSZip, Bundle, Template, TextField, Audit and Seal.
+ */
+
+const Bulk = (function() {
+  'use strict';
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  /**
+   * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+   * @param {string} text
+   * @returns {string[][]} rows of cells; blank lines are dropped
+   */
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    text = text.replace(/^﻿/, '');
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          cell += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += c;
+      }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+  }
+
+  /**
+   * The CSV header a template expects; text columns are optional
+   * @param {Object} template
+   * @returns {{required: string[], optional: string[]}}
+   */
+  function columns(template) {
+    const required = [];
+    template.roles.forEach(role => required.push(`${role.name} name`, `${role.name} email`));
+    return { required, optional: Template.textFieldNames(template).map(f => f.name) };
+  }
+
+  /**
+   * Build a bundle per row and pack them into one ZIP
+   * @param {File} pdfFile
+   * @param {Object} template
+   * @param {string[][]} rows - from parseCsv, header first
+   * @param {Object} options
+   * @param {Object} options.sender - { name, email, publicKey, kdf }; every bundle is sealed as theirs
+   * @param {Object} options.keypair - the sender's keypair
+   * @param {Function} [options.onProgress] - called with (done, total)
+   * @returns {Promise<{zip: JSZip, created: Array<{row: number, filename: string}>, errors: Array<{row: number, message: string}>}>}
+   *   row counts the header as row 1
+   */
+  async function createBundles(pdfFile, template, rows, options) {
+    const { sender, keypair } = options;
+    const actor = { role: 'sender', name: sender.name, email: sender.email };
+    const progress = options.onProgress || (() => {});
+    const [header, ...data] = rows;
+    if (!header) throw new Error('The CSV is empty');
+
+    const index = {};
+    header.forEach((name, i) => { index[name.trim().toLowerCase()] = i; });
+    const missing = columns(template).required.filter(name => !(name.toLowerCase() in index));
+    if (missing.length > 0) {
+      throw new Error('The CSV is missing columns: ' + missing.join(', '));
+    }
+    const cell = (row, name) => {
+      const i = index[name.toLowerCase()];
+      return i === undefined ? '' : (row[i] || '').trim();
+    };
+
+    const pdfBytes = await pdfFile.arrayBuffer();
+    const pageCount = (await Template.pageSizes(pdfBytes)).length;
+    const formFields = await Template.formFields(pdfBytes);
+    const zip = new JSZip();
+    const created = [];
+    const errors = [];
+    const used = new Set();
+
+    for (let r = 0; r < data.length; r++) {
+      const row = data[r];
+      const line = r + 2; // the header is row 1
+      try {
+        const people = {};
+        for (const role of template.roles) {
+          const name = cell(row, `${role.name} name`);
+          const email = cell(row, `${role.name} email`);
+          if (!name) throw new Error(`${role.name} has no name`);
+          if (!EMAIL_PATTERN.test(email)) throw new Error(`${role.name} has an invalid email "${email}"`);
+          people[role.name] = { name, email };
+        }
+
+        const values = {};
+        for (const { name, index } of Template.textFieldNames(template)) {
+          const value = cell(row, name);
+          if (!value) continue;
+          const problem = TextField.validate(value, TextField.getFormat(template.fields[index]));
+          if (problem) throw new Error(`${name}: ${problem}`);
+          values[name] = value;
+        }
+
+        const bundle = await Bundle.create(pdfFile);
+        Template.apply(bundle, template, people, pageCount, values, formFields);
+        bundle.sender = { ...sender };
+        await Audit.append(bundle, 'created', actor, { keypair, data: { document: pdfFile.name, template: template.name } });
+
+        await Seal.sign(bundle, keypair);
+        await Audit.append(bundle, 'sent', actor, {
+          keypair,
+          data: { signers: bundle.signers.length, fields: bundle.fields.length }
+        });
+        Bundle.markSent(bundle);
+
+        const filename = uniqueName(filenameFor(line, pdfFile.name, people[template.roles[0].name]), used);
+        zip.file(filename, JSON.stringify(bundle, null, 2));
+        created.push({ row: line, filename });
+      } catch (err) {
+        errors.push({ row: line, message: err.message });
+      }
+      progress(r + 1, data.length);
+    }
+
+    return { zip, created, errors };
+  }
+
+  // "012-offer-letter-jane-doe.ots-sign": CSV row, document, first role's name
+  function filenameFor(line, documentName, person) {
+    const slug = text => text.toLowerCase().normalize('NFKD').replace(/[^\w]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${String(line).padStart(3, '0')}-${slug(documentName.replace(/\.pdf$/i, ''))}-${slug(person.name) || 'signer'}${Bundle.EXTENSION}`;
+  }
+
+  function uniqueName(filename, used) {
+    let name = filename;
+    for (let n = 2; used.has(name); n++) {
+      name = filename.replace(Bundle.EXTENSION, `-${n}${Bundle.EXTENSION}`);
+    }
+    used.add(name);
+    return name;
+  }
+
+  return {
+    parseCsv,
+    columns,
+    createBundles
+  };
+})();
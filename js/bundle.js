@@ -15,6 +15,10 @@ const Bundle = (function() {
   const VERSION = '1.0';
   const MIME_TYPE = 'application/json';
   const EXTENSION = '.ots-sign';
+  // Same as Envelope.FORMAT; checked here so loading doesn't need envelope.js
+  const ENVELOPE_FORMAT = 'ots-sign-envelope-v1';
+  // Value of a ticked checkbox; unticked is null
+  const CHECKED = 'checked';
 
   /**
    * Create a new empty bundle
@@ -39,8 +43,32 @@ const Bundle = (function() {
       signers: [],
       fields: [],
       
-      status: 'draft',  // draft | in_progress | completed
+      status: 'draft',  // draft | in_progress | completed | declined | voided
+
+      // { name, email, publicKey, kdf } of whoever prepared it; only they can void it
+      sender: null,
+      // Signed void record once the sender cancels the bundle
+      voided: null,
+      // Sender's signature over the layout as sent, see seal.js
+      seal: null,
+      // ISO time after which nobody should sign; sealed with the layout
+      expiresAt: null,
+      // Boxes painted white over anchor tags in the final PDF, see anchors.js
+      whiteout: null,
+      // { flatten: boolean } once fields were imported from the PDF's own form, see acroform.js
+      acroForm: null,
+
+      // { algorithm: 'ed25519' | 'p256' } to embed a PDF signature per signer
+      pdfSignatures: null,
+      // PDF with the signed revisions appended so far
+      signedDocument: null,
       
+      // Hash-chained event log, see audit.js
+      audit: [],
+
+      // How finalize marks the pages: stamp is 'line' | 'box' | 'none'
+      completion: { stamp: 'line', certificate: true },
+
       // Filled after completion
       completedDocument: null,
       timestamp: null
@@ -57,6 +85,9 @@ const Bundle = (function() {
     const bundle = JSON.parse(text);
 
     // Validate
+    if (bundle.format === ENVELOPE_FORMAT) {
+      throw new Error('This bundle is encrypted; open it on the sign page to unlock it');
+    }
     if (!bundle.version) {
       throw new Error('Invalid bundle: missing version');
     }
@@ -109,14 +140,41 @@ const Bundle = (function() {
     };
   }
 
+  /**
+   * Get the PDF carrying the embedded signatures so far, or the original
+   * @param {Object} bundle 
+   * @returns {ArrayBuffer}
+   */
+  function getSignedPdfBytes(bundle) {
+    return base64ToArrayBuffer(bundle.signedDocument ? bundle.signedDocument.data : bundle.document.data);
+  }
+
+  /**
+   * Store the PDF after a signer appended their signed revision
+   * @param {Object} bundle 
+   * @param {Uint8Array} pdfBytes 
+   */
+  function setSignedPdf(bundle, pdfBytes) {
+    bundle.signedDocument = {
+      data: arrayBufferToBase64(pdfBytes),
+      modified: new Date().toISOString()
+    };
+  }
+
   /**
    * Add a signer to the bundle
    * @param {Object} bundle 
    * @param {string} name 
    * @param {string} email 
+   * @param {Object} [options]
+   * @param {string} [options.expectedPublicKey] - pin the key this signer must sign with
+   * @param {Object} [options.expectedKdf] - the KDF that key was derived with, if known
+   * @param {number} [options.order] - routing group, lower groups sign first (default 1)
+   * @param {string} [options.role] - template role this signer fills, e.g. "Employee"
+   * @param {string} [options.deadline] - ISO time this signer should sign by
    * @returns {Object} the new signer
    */
-  function addSigner(bundle, name, email) {
+  function addSigner(bundle, name, email, options = {}) {
     const colors = ['#e63946', '#457b9d', '#2a9d8f', '#e9c46a', '#9b5de5', '#f72585'];
     const colorIndex = bundle.signers.length % colors.length;
 
@@ -128,6 +186,16 @@ const Bundle = (function() {
       signed: false,
       signedAt: null,
       publicKey: null,
+      kdf: null,
+      // Without a pinned key, whoever signs first defines this signer's key
+      expectedPublicKey: options.expectedPublicKey || null,
+      expectedKdf: options.expectedKdf || null,
+      // Signers sharing an order sign in parallel; the next group waits for them
+      order: options.order || 1,
+      role: options.role || null,
+      deadline: options.deadline || null,
+      // Signed decline record if this signer refuses
+      declined: null,
       signatureImage: null
     };
 
@@ -148,13 +216,16 @@ const Bundle = (function() {
   /**
    * Add a field to the bundle
    * @param {Object} bundle 
-   * @param {Object} fieldData 
+   * @param {Object} fieldData - dropdowns take `options`; radio boxes take
+   *   the `group` they share with the other boxes and their own `option`;
+   *   text fields take an optional `format` (see text-field.js); a field
+   *   imported from the PDF's form takes the form field's name as `formField`
    * @returns {Object} the new field
    */
   function addField(bundle, fieldData) {
     const field = {
       id: 'f' + Date.now() + Math.random().toString(36).substr(2, 5),
-      type: fieldData.type,        // signature | initials | date | text
+      type: fieldData.type,        // signature | initials | date | text | checkbox | radio | dropdown
       signerId: fieldData.signerId,
       page: fieldData.page,        // 0-indexed
       x: fieldData.x,              // PDF coordinates
@@ -166,6 +237,21 @@ const Bundle = (function() {
       signatureData: null          // cryptographic signature data
     };
 
+    // A radio box's value is its option once chosen, a dropdown's the chosen option
+    if (field.type === 'dropdown') {
+      field.options = (fieldData.options || []).slice();
+    }
+    if (field.type === 'radio') {
+      field.group = fieldData.group || 'g' + Date.now() + Math.random().toString(36).substr(2, 5);
+      field.option = fieldData.option || '';
+    }
+    if (field.type === 'text' && fieldData.format) {
+      field.format = { ...fieldData.format };
+    }
+    if (fieldData.formField) {
+      field.formField = fieldData.formField;
+    }
+
     bundle.fields.push(field);
     return field;
   }
@@ -176,7 +262,20 @@ const Bundle = (function() {
    * @param {string} fieldId 
    */
   function removeField(bundle, fieldId) {
+    const removed = bundle.fields.find(f => f.id === fieldId);
     bundle.fields = bundle.fields.filter(f => f.id !== fieldId);
+
+    // Rules on the removed field move to another box of its radio group, or go
+    const sibling = removed && removed.type === 'radio' &&
+      bundle.fields.find(f => f.type === 'radio' && f.group === removed.group);
+    bundle.fields.forEach(f => {
+      if (!f.rule || f.rule.field !== fieldId) return;
+      if (sibling) {
+        f.rule = { ...f.rule, field: sibling.id };
+      } else {
+        delete f.rule;
+      }
+    });
   }
 
   /**
@@ -202,6 +301,151 @@ const Bundle = (function() {
     return bundle.fields.filter(f => f.signerId === signerId);
   }
 
+  /**
+   * Whether a field has been filled. A radio box counts as soon as any box
+   * in its group is chosen.
+   * @param {Object} bundle 
+   * @param {Object} field 
+   * @returns {boolean}
+   */
+  function isFieldFilled(bundle, field) {
+    if (field.type === 'radio') {
+      return bundle.fields.some(f => f.type === 'radio' && f.group === field.group && hasValue(f));
+    }
+    return hasValue(field);
+  }
+
+  /**
+   * A field's settings beyond its position: its form field, its rule, a
+   * dropdown's options, a radio box's group and option, a text field's
+   * format. Empty when there are none.
+   * @param {Object} field 
+   * @returns {Object}
+   */
+  function getFieldConfig(field) {
+    const config = {
+      ...(field.formField ? { formField: field.formField } : {}),
+      ...(field.rule ? { rule: field.rule } : {})
+    };
+    if (field.type === 'dropdown') return { ...config, options: field.options || [] };
+    if (field.type === 'radio') return { ...config, group: field.group, option: field.option || '' };
+    if (field.type === 'text' && field.format) return { ...config, format: field.format };
+    return config;
+  }
+
+  /**
+   * The value a rule sees: a radio group's chosen option, or the field's own value
+   * @param {Object} bundle 
+   * @param {Object} field 
+   * @returns {string|null}
+   */
+  function getFieldValue(bundle, field) {
+    if (field.type === 'radio') {
+      const chosen = bundle.fields.find(f => f.type === 'radio' && f.group === field.group && hasValue(f));
+      return chosen ? chosen.value : null;
+    }
+    return hasValue(field) && field.value !== '' ? field.value : null;
+  }
+
+  /**
+   * Whether the condition of a field's rule holds. A rule is
+   * { field, operator: filled | empty | equals | not_equals, value, effect: show | require | disable }
+   * where `field` is the ID of the field it looks at.
+   * @param {Object} bundle 
+   * @param {Object} field 
+   * @returns {boolean|null} null if the field has no rule or its source is gone
+   */
+  function isRuleActive(bundle, field) {
+    const rule = field.rule;
+    const source = rule && bundle.fields.find(f => f.id === rule.field);
+    if (!source) return null;
+
+    const value = getFieldValue(bundle, source);
+    switch (rule.operator) {
+      case 'filled': return value !== null;
+      case 'empty': return value === null;
+      case 'equals': return value === rule.value;
+      case 'not_equals': return value !== rule.value;
+      default: return null;
+    }
+  }
+
+  /**
+   * A field as its rule leaves it right now. Hidden and disabled fields
+   * are never required and can't hold a value.
+   * @param {Object} bundle 
+   * @param {Object} field 
+   * @returns {{visible: boolean, enabled: boolean, required: boolean}}
+   */
+  function getFieldState(bundle, field) {
+    const state = { visible: true, enabled: true, required: Boolean(field.required) };
+    const active = isRuleActive(bundle, field);
+    if (active === null) return state;
+
+    if (field.rule.effect === 'show' && !active) {
+      return { visible: false, enabled: false, required: false };
+    }
+    if (field.rule.effect === 'disable' && active) {
+      return { visible: true, enabled: false, required: false };
+    }
+    if (field.rule.effect === 'require') state.required = active;
+    return state;
+  }
+
+  /**
+   * Fields currently shown
+   * @param {Object} bundle 
+   * @param {Array} [fields] - defaults to all of the bundle's fields
+   * @returns {Array}
+   */
+  function getVisibleFields(bundle, fields = bundle.fields) {
+    return fields.filter(f => getFieldState(bundle, f).visible);
+  }
+
+  /**
+   * Empty a signer's fields that their rules now hide or disable. Clearing
+   * one can switch off another, so this repeats until nothing changes.
+   * @param {Object} bundle 
+   * @param {string} signerId 
+   * @returns {Array} the fields cleared
+   */
+  function clearInactiveFields(bundle, signerId) {
+    const cleared = [];
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const field of getFieldsForSigner(bundle, signerId)) {
+        if (hasValue(field) && !getFieldState(bundle, field).enabled) {
+          field.value = null;
+          cleared.push(field);
+          changed = true;
+        }
+      }
+    }
+    return cleared;
+  }
+
+  function hasValue(field) {
+    return field.value !== null && field.value !== undefined;
+  }
+
+  /**
+   * Required fields a signer still has to fill, one per radio group
+   * @param {Object} bundle 
+   * @param {string} signerId 
+   * @returns {Array}
+   */
+  function getRemainingFields(bundle, signerId) {
+    const groups = new Set();
+    return getFieldsForSigner(bundle, signerId).filter(f => {
+      if (!getFieldState(bundle, f).required || isFieldFilled(bundle, f)) return false;
+      if (f.type !== 'radio') return true;
+      if (groups.has(f.group)) return false;
+      groups.add(f.group);
+      return true;
+    });
+  }
+
   /**
    * Get unsigned fields for a signer
    * @param {Object} bundle 
@@ -219,8 +463,8 @@ const Bundle = (function() {
    */
   function isComplete(bundle) {
     return bundle.fields
-      .filter(f => f.required)
-      .every(f => f.value !== null);
+      .filter(f => getFieldState(bundle, f).required)
+      .every(f => isFieldFilled(bundle, f));
   }
 
   /**
@@ -232,8 +476,8 @@ const Bundle = (function() {
   function isSignerComplete(bundle, signerId) {
     const fields = getFieldsForSigner(bundle, signerId);
     return fields.length > 0 && fields
-      .filter(f => f.required)
-      .every(f => f.value !== null);
+      .filter(f => getFieldState(bundle, f).required)
+      .every(f => isFieldFilled(bundle, f));
   }
 
   /**
@@ -243,13 +487,29 @@ const Bundle = (function() {
    * @param {Object} signatureData 
    */
   function markSignerSigned(bundle, signerId, signatureData) {
+    if (isClosed(bundle)) {
+      throw new Error(`This bundle has been ${bundle.status}`);
+    }
     const signer = bundle.signers.find(s => s.id === signerId);
+    // A second signature would leave merged copies with two versions of this signer
+    if (signer && signer.signed) {
+      throw new Error(`${signer.name} has already signed`);
+    }
+    if (signer && signer.expectedPublicKey && signer.expectedPublicKey !== signatureData.publicKey) {
+      throw new Error(`${signer.email} must sign with the key the sender pinned`);
+    }
+    if (signer && !getActiveSigners(bundle).includes(signer)) {
+      throw new Error(`It is not ${signer.name}'s turn to sign yet`);
+    }
     if (signer) {
       signer.signed = true;
-      signer.signedAt = new Date().toISOString();
+      // Must be the exact timestamp that went into the signing message
+      signer.signedAt = signatureData.signedAt || new Date().toISOString();
       signer.publicKey = signatureData.publicKey;
+      signer.kdf = signatureData.kdf || null;
       signer.signatureImage = signatureData.signatureImage;
       signer.cryptoSignature = signatureData.cryptoSignature;
+      signer.manifest = signatureData.manifest || null;
     }
 
     // Update bundle status
@@ -257,11 +517,59 @@ const Bundle = (function() {
   }
 
   /**
-   * Update bundle status based on signatures
+   * Record that a signer refused to sign. Nobody can sign after that.
+   * @param {Object} bundle 
+   * @param {string} signerId 
+   * @param {Object} record - from Outcome.decline: { reason, at, email, publicKey, kdf, signature }
+   */
+  function markSignerDeclined(bundle, signerId, record) {
+    const signer = bundle.signers.find(s => s.id === signerId);
+    if (!signer) throw new Error('Unknown signer');
+    if (isClosed(bundle)) throw new Error(`This bundle has been ${bundle.status}`);
+    if (signer.signed) throw new Error(`${signer.name} has already signed`);
+    if (signer.expectedPublicKey && signer.expectedPublicKey !== record.publicKey) {
+      throw new Error(`${signer.email} must decline with the key the sender pinned`);
+    }
+
+    signer.declined = record;
+    updateStatus(bundle);
+  }
+
+  /**
+   * Record that the sender cancelled the bundle
+   * @param {Object} bundle 
+   * @param {Object} record - from Outcome.voidBundle: { reason, at, email, publicKey, kdf, signature }
+   */
+  function markVoided(bundle, record) {
+    if (!bundle.sender) throw new Error('This bundle has no sender key to void it with');
+    if (record.publicKey !== bundle.sender.publicKey) throw new Error('Only the sender can void this bundle');
+    if (bundle.status === 'completed') throw new Error('Everyone has already signed');
+    if (bundle.voided) throw new Error('This bundle has already been voided');
+
+    bundle.voided = record;
+    updateStatus(bundle);
+  }
+
+  /**
+   * A declined or voided bundle can't be signed or finalized
+   * @param {Object} bundle 
+   * @returns {boolean}
+   */
+  function isClosed(bundle) {
+    return Boolean(bundle.voided) || bundle.signers.some(s => s.declined);
+  }
+
+  /**
+   * Update bundle status based on signatures. Whose turn it is comes from
+   * the signers themselves, see getActiveSigners().
    * @param {Object} bundle 
    */
   function updateStatus(bundle) {
-    if (bundle.signers.length === 0) {
+    if (bundle.voided) {
+      bundle.status = 'voided';
+    } else if (bundle.signers.some(s => s.declined)) {
+      bundle.status = 'declined';
+    } else if (bundle.signers.length === 0) {
       bundle.status = 'draft';
     } else if (bundle.signers.every(s => s.signed)) {
       bundle.status = 'completed';
@@ -272,6 +580,16 @@ const Bundle = (function() {
     }
   }
 
+  /**
+   * Mark a prepared bundle as sent. Routing starts at the first order step;
+   * with nobody signed yet, updateStatus() alone would still call it a draft.
+   * @param {Object} bundle
+   */
+  function markSent(bundle) {
+    updateStatus(bundle);
+    if (bundle.status === 'draft') bundle.status = 'in_progress';
+  }
+
   /**
    * Get signers who haven't signed yet
    * @param {Object} bundle 
@@ -281,6 +599,193 @@ const Bundle = (function() {
     return bundle.signers.filter(s => !s.signed);
   }
 
+  /**
+   * Get the pending signers whose turn it is: the lowest routing group
+   * that still has someone left to sign
+   * @param {Object} bundle 
+   * @returns {Array}
+   */
+  function getActiveSigners(bundle) {
+    const pending = getPendingSigners(bundle);
+    if (pending.length === 0 || isClosed(bundle)) return [];
+    const current = Math.min(...pending.map(getOrder));
+    return pending.filter(s => getOrder(s) === current);
+  }
+
+  /**
+   * Routing group of a signer. Bundles from before routing sign in parallel.
+   * @param {Object} signer 
+   * @returns {number}
+   */
+  function getOrder(signer) {
+    return signer.order || 1;
+  }
+
+  /**
+   * Stamp style and certificate page for finalize. Bundles from before these
+   * options get the signer box on every page and no certificate.
+   * @param {Object} bundle 
+   * @returns {{stamp: string, certificate: boolean}}
+   */
+  function getCompletion(bundle) {
+    return {
+      stamp: 'box',
+      certificate: false,
+      ...bundle.completion
+    };
+  }
+
+  /**
+   * When a signer must have signed by: their own deadline or the bundle's
+   * expiry, whichever comes first
+   * @param {Object} bundle 
+   * @param {Object} signer 
+   * @returns {string|null} ISO time, or null if there is no limit
+   */
+  function getDeadline(bundle, signer) {
+    const limits = [bundle.expiresAt, signer.deadline].filter(Boolean);
+    if (limits.length === 0) return null;
+    return limits.reduce((a, b) => (new Date(a) <= new Date(b) ? a : b));
+  }
+
+  /**
+   * Whether the bundle's expiry has passed
+   * @param {Object} bundle 
+   * @param {Date} [now]
+   * @returns {boolean}
+   */
+  function isExpired(bundle, now = new Date()) {
+    return Boolean(bundle.expiresAt) && new Date(bundle.expiresAt) < now;
+  }
+
+  /**
+   * Whether a signature came after the signer's deadline
+   * @param {Object} bundle 
+   * @param {Object} signer - a signer who has signed
+   * @returns {boolean}
+   */
+  function isLate(bundle, signer) {
+    const deadline = getDeadline(bundle, signer);
+    return Boolean(deadline && signer.signedAt) && new Date(signer.signedAt) > new Date(deadline);
+  }
+
+  /**
+   * Distinct routing groups in signing order
+   * @param {Object} bundle 
+   * @returns {number[]}
+   */
+  function getRoutingGroups(bundle) {
+    return [...new Set(bundle.signers.map(getOrder))].sort((a, b) => a - b);
+  }
+
+  /**
+   * Combine copies of one bundle that were signed in parallel. Each signer's
+   * signature and field values come from the copy they signed, so values
+   * always stay with the signature that covers them.
+   * @param {Array<Object>} bundles - at least two copies of the same bundle
+   * @returns {{bundle: Object, conflicts: Array<{signerId: string, fieldId?: string, message: string}>}}
+   */
+  function merge(bundles) {
+    if (bundles.length < 2) {
+      throw new Error('Select at least two copies to combine');
+    }
+
+    const [base, ...others] = bundles;
+    for (const other of others) {
+      if (other.document.data !== base.document.data) {
+        throw new Error(`"${other.document.name}" is not the same original document`);
+      }
+      if (layoutKey(other) !== layoutKey(base)) {
+        throw new Error('The copies have different signers or field layouts');
+      }
+    }
+
+    const merged = JSON.parse(JSON.stringify(base));
+    const conflicts = [];
+
+    // A decline or void in any copy closes the combined bundle too
+    const voided = bundles.find(b => b.voided);
+    if (voided) merged.voided = voided.voided;
+
+    merged.signers.forEach((signer, index) => {
+      const signedCopies = bundles.filter(b => b.signers[index].signed);
+      if (signedCopies.length === 0) return;
+
+      const source = signedCopies[0];
+      Object.assign(signer, JSON.parse(JSON.stringify(source.signers[index])));
+
+      const fields = getFieldsForSigner(source, signer.id);
+      fields.forEach(field => {
+        const target = merged.fields.find(f => f.id === field.id);
+        target.value = field.value;
+        target.signatureData = field.signatureData;
+      });
+
+      for (const copy of signedCopies.slice(1)) {
+        if (copy.signers[index].cryptoSignature === signer.cryptoSignature) continue;
+        conflicts.push({
+          signerId: signer.id,
+          message: `${signer.name} signed more than one copy; keeping the signature from ${signer.signedAt}`
+        });
+        fields.forEach(field => {
+          const other = copy.fields.find(f => f.id === field.id);
+          if (other.value !== field.value) {
+            conflicts.push({
+              signerId: signer.id,
+              fieldId: field.id,
+              message: `${signer.name} filled their ${field.type} field on page ${field.page + 1} differently`
+            });
+          }
+        });
+      }
+    });
+
+    merged.signers.forEach((signer, index) => {
+      const declined = bundles.find(b => b.signers[index].declined);
+      if (declined) signer.declined = declined.signers[index].declined;
+    });
+
+    mergeSignedDocument(merged, bundles);
+    updateStatus(merged);
+    merged.modified = new Date().toISOString();
+
+    return { bundle: merged, conflicts };
+  }
+
+  // Everything the copies must agree on before they can be combined
+  function layoutKey(bundle) {
+    return JSON.stringify({
+      pdfSignatures: bundle.pdfSignatures || null,
+      sender: bundle.sender ? bundle.sender.publicKey : null,
+      seal: bundle.seal ? bundle.seal.signature : null,
+      completion: getCompletion(bundle),
+      expiresAt: bundle.expiresAt || null,
+      whiteout: bundle.whiteout || null,
+      acroForm: bundle.acroForm || null,
+      signers: bundle.signers.map(s => [s.id, s.email, getOrder(s), s.expectedPublicKey || null, s.deadline || null]),
+      fields: bundle.fields.map(f => [f.id, f.type, f.signerId, f.page, f.x, f.y, f.width, f.height, f.required, getFieldConfig(f)])
+    });
+  }
+
+  // Embedded PDF signatures form one chain of revisions, so one copy must
+  // contain all the others
+  function mergeSignedDocument(merged, bundles) {
+    const documents = bundles
+      .filter(b => b.signedDocument)
+      .map(b => b.signedDocument.data)
+      .sort((a, b) => b.length - a.length);
+    if (documents.length === 0) return;
+
+    const longest = new Uint8Array(base64ToArrayBuffer(documents[0]));
+    for (const data of documents.slice(1)) {
+      const bytes = new Uint8Array(base64ToArrayBuffer(data));
+      if (!bytes.every((byte, i) => byte === longest[i])) {
+        throw new Error('These copies embed PDF signatures in different revisions. With PDF signatures, signers must sign one after another.');
+      }
+    }
+    merged.signedDocument = { data: documents[0], modified: new Date().toISOString() };
+  }
+
   // Default field dimensions (in PDF points)
   function getDefaultWidth(type) {
     switch (type) {
@@ -288,6 +793,9 @@ const Bundle = (function() {
       case 'initials': return 80;
       case 'date': return 120;
       case 'text': return 150;
+      case 'checkbox': return 16;
+      case 'radio': return 120;
+      case 'dropdown': return 150;
       default: return 100;
     }
   }
@@ -298,10 +806,18 @@ const Bundle = (function() {
       case 'initials': return 40;
       case 'date': return 20;
       case 'text': return 20;
+      case 'checkbox': return 16;
+      case 'radio': return 16;
+      case 'dropdown': return 20;
       default: return 30;
     }
   }
 
+  /**
+   * Default .ots-sign filename for a bundle
+   * @param {Object} bundle 
+   * @returns {string}
+   */
   function getDefaultFilename(bundle) {
     const baseName = bundle.document.name.replace(/\.pdf$/i, '');
     return baseName + EXTENSION;
@@ -327,15 +843,23 @@ const Bundle = (function() {
   }
 
   /**
-   * Detect file type (PDF or bundle)
+   * Detect file type (PDF, bundle or encrypted bundle)
    * @param {File} file 
-   * @returns {string} 'pdf' | 'bundle' | 'unknown'
+   * @param {string} [text] - the file's contents, to tell encrypted bundles apart
+   * @returns {string} 'pdf' | 'bundle' | 'encrypted' | 'unknown'
    */
-  function detectFileType(file) {
+  function detectFileType(file, text) {
     if (file.name.endsWith('.pdf') || file.type === 'application/pdf') {
       return 'pdf';
     }
     if (file.name.endsWith(EXTENSION) || file.type === 'application/json') {
+      if (text !== undefined) {
+        try {
+          if (JSON.parse(text).format === ENVELOPE_FORMAT) return 'encrypted';
+        } catch (err) {
+          return 'unknown';
+        }
+      }
       return 'bundle';
     }
     return 'unknown';
@@ -344,11 +868,15 @@ const Bundle = (function() {
   return {
     VERSION,
     EXTENSION,
+    CHECKED,
     create,
     load,
     save,
+    getDefaultFilename,
     getPdfBytes,
     setCompletedPdf,
+    getSignedPdfBytes,
+    setSignedPdf,
     addSigner,
     removeSigner,
     addField,
@@ -356,11 +884,31 @@ const Bundle = (function() {
     updateField,
     getFieldsForSigner,
     getUnsignedFields,
+    isFieldFilled,
+    getFieldConfig,
+    getFieldValue,
+    isRuleActive,
+    getFieldState,
+    getVisibleFields,
+    clearInactiveFields,
+    getRemainingFields,
     isComplete,
     isSignerComplete,
     markSignerSigned,
+    markSignerDeclined,
+    markVoided,
+    isClosed,
     updateStatus,
+    markSent,
     getPendingSigners,
+    getActiveSigners,
+    getOrder,
+    getRoutingGroups,
+    getCompletion,
+    getDeadline,
+    isExpired,
+    isLate,
+    merge,
     detectFileType,
     arrayBufferToBase64,
     base64ToArrayBuffer
@@ -0,0 +1,454 @@
+/**
+ * cms.js - Minimal DER, X.509 and CMS SignedData for PDF signatures
+ *
+ * Builds exactly what a PAdES signature needs and nothing more:
+ * - a self-signed X.509 certificate for the signer's key
+ * - a detached CMS SignedData over a digest (RFC 5652), with the
+ *   contentType, messageDigest and signingCertificateV2 attributes
+ *
+ * Ed25519 follows RFC 8419 (SHA-512 digest, PureEdDSA over the signed
+ * attributes). ECDSA P-256 uses SHA-256.
+ *
+ * Signing keys are plain objects: {algorithm, publicKey, sign(bytes)}.
+ */
+
+const Cms = (function() {
+  'use strict';
+
+  const OID = {
+    data: '1.2.840.113549.1.7.1',
+    signedData: '1.2.840.113549.1.7.2',
+    contentType: '1.2.840.113549.1.9.3',
+    messageDigest: '1.2.840.113549.1.9.4',
+    signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+    emailAddress: '1.2.840.113549.1.9.1',
+    commonName: '2.5.4.3',
+    keyUsage: '2.5.29.15',
+    sha256: '2.16.840.1.101.3.4.2.1',
+    sha512: '2.16.840.1.101.3.4.2.3',
+    ed25519: '1.3.101.112',
+    ecPublicKey: '1.2.840.10045.2.1',
+    prime256v1: '1.2.840.10045.3.1.7',
+    ecdsaWithSha256: '1.2.840.10045.4.3.2'
+  };
+
+  const ALGORITHMS = {
+    ed25519: { digest: 'sha512', signature: OID.ed25519, label: 'Ed25519' },
+    p256: { digest: 'sha256', signature: OID.ecdsaWithSha256, label: 'ECDSA P-256' }
+  };
+
+  const DIGESTS = {
+    sha256: { oid: OID.sha256, name: 'SHA-256' },
+    sha512: { oid: OID.sha512, name: 'SHA-512' }
+  };
+
+  // ---- DER encoding ----
+
+  function concat(parts) {
+    const length = parts.reduce((sum, p) => sum + p.length, 0);
+    const out = new Uint8Array(length);
+    let offset = 0;
+    for (const part of parts) {
+      out.set(part, offset);
+      offset += part.length;
+    }
+    return out;
+  }
+
+  function tlv(tag, content) {
+    const len = content.length;
+    let header;
+    if (len < 0x80) {
+      header = [tag, len];
+    } else {
+      const bytes = [];
+      for (let n = len; n > 0; n = Math.floor(n / 256)) bytes.unshift(n & 0xff);
+      header = [tag, 0x80 | bytes.length, ...bytes];
+    }
+    return concat([Uint8Array.from(header), content]);
+  }
+
+  const sequence = (...items) => tlv(0x30, concat(items));
+  const octetString = bytes => tlv(0x04, bytes);
+  const bitString = bytes => tlv(0x03, concat([Uint8Array.of(0), bytes]));
+  const explicit = (n, content) => tlv(0xa0 + n, content);
+
+  // DER sorts SET OF members by their encoding
+  function setOf(items) {
+    const sorted = items.slice().sort((a, b) => {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+      }
+      return a.length - b.length;
+    });
+    return concat(sorted);
+  }
+
+  function integer(bytes) {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) start++;
+    bytes = bytes.slice(start);
+    return tlv(0x02, bytes[0] & 0x80 ? concat([Uint8Array.of(0), bytes]) : bytes);
+  }
+
+  function oid(dotted) {
+    const arcs = dotted.split('.').map(Number);
+    const bytes = [40 * arcs[0] + arcs[1]];
+    for (const arc of arcs.slice(2)) {
+      const chunk = [arc & 0x7f];
+      for (let n = Math.floor(arc / 128); n > 0; n = Math.floor(n / 128)) chunk.unshift(0x80 | (n & 0x7f));
+      bytes.push(...chunk);
+    }
+    return tlv(0x06, Uint8Array.from(bytes));
+  }
+
+  function string(tag, text) {
+    return tlv(tag, new TextEncoder().encode(text));
+  }
+
+  // UTCTime until 2049, GeneralizedTime after (RFC 5280)
+  function time(date) {
+    const iso = date.toISOString();
+    const digits = iso.slice(0, 19).replace(/[-:T]/g, '') + 'Z';
+    return date.getUTCFullYear() < 2050 ? string(0x17, digits.slice(2)) : string(0x18, digits);
+  }
+
+  function algorithmIdentifier(id) {
+    return sequence(oid(id));
+  }
+
+  // ---- DER decoding ----
+
+  /**
+   * Parse one DER element
+   * @param {Uint8Array} bytes
+   * @param {number} [offset]
+   * @returns {{tag: number, start: number, contentStart: number, end: number, children: Array|null}}
+   */
+  function parse(bytes, offset = 0) {
+    const tag = bytes[offset];
+    let len = bytes[offset + 1];
+    let contentStart = offset + 2;
+    if (len & 0x80) {
+      const count = len & 0x7f;
+      if (count === 0 || count > 4) throw new Error('Unsupported DER length');
+      len = 0;
+      for (let i = 0; i < count; i++) len = len * 256 + bytes[contentStart + i];
+      contentStart += count;
+    }
+    const end = contentStart + len;
+    if (tag === undefined || end > bytes.length) throw new Error('Truncated DER');
+
+    const node = { tag, start: offset, contentStart, end, children: null, bytes };
+    if (tag & 0x20) {
+      node.children = [];
+      for (let pos = contentStart; pos < end; pos = node.children[node.children.length - 1].end) {
+        node.children.push(parse(bytes, pos));
+      }
+    }
+    return node;
+  }
+
+  const encoded = node => node.bytes.slice(node.start, node.end);
+  const content = node => node.bytes.slice(node.contentStart, node.end);
+
+  function decodeOid(node) {
+    const bytes = content(node);
+    const arcs = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+    let value = 0;
+    for (const b of bytes.slice(1)) {
+      value = value * 128 + (b & 0x7f);
+      if (!(b & 0x80)) {
+        arcs.push(value);
+        value = 0;
+      }
+    }
+    return arcs.join('.');
+  }
+
+  // ---- Certificates ----
+
+  function subjectName(name, email) {
+    const rdns = [
+      tlv(0x31, sequence(oid(OID.commonName), string(0x0c, name)))
+    ];
+    if (email) {
+      rdns.push(tlv(0x31, sequence(oid(OID.emailAddress), string(0x16, email))));
+    }
+    return sequence(...rdns);
+  }
+
+  function subjectPublicKeyInfo(algorithm, publicKey) {
+    if (algorithm === 'ed25519') {
+      return sequence(algorithmIdentifier(OID.ed25519), bitString(publicKey));
+    }
+    return sequence(sequence(oid(OID.ecPublicKey), oid(OID.prime256v1)), bitString(publicKey));
+  }
+
+  /**
+   * Create a self-signed certificate for a signing key.
+   * PDF readers show it as an unknown identity; trust comes from the archive.
+   * @param {Object} key - {algorithm, publicKey, sign}
+   * @param {Object} subject - {name, email}
+   * @param {Date} notBefore
+   * @returns {Promise<Uint8Array>} DER certificate
+   */
+  async function createCertificate(key, subject, notBefore) {
+    const algorithm = ALGORITHMS[key.algorithm];
+    const name = subjectName(subject.name, subject.email);
+
+    // Serial is derived from the key so the same signer always gets the same one
+    const serial = (await Crypto.sha256(key.publicKey)).slice(0, 16);
+    serial[0] &= 0x7f;
+    serial[0] |= 0x01;
+
+    const notAfter = new Date(notBefore.getTime());
+    notAfter.setUTCFullYear(notAfter.getUTCFullYear() + 10);
+
+    // digitalSignature + nonRepudiation, critical
+    const keyUsage = sequence(
+      oid(OID.keyUsage),
+      Uint8Array.of(0x01, 0x01, 0xff),
+      octetString(Uint8Array.of(0x03, 0x02, 0x06, 0xc0))
+    );
+
+    const tbs = sequence(
+      explicit(0, integer(Uint8Array.of(2))),
+      integer(serial),
+      algorithmIdentifier(algorithm.signature),
+      name,
+      sequence(time(notBefore), time(notAfter)),
+      name,
+      subjectPublicKeyInfo(key.algorithm, key.publicKey),
+      explicit(3, sequence(keyUsage))
+    );
+
+    const signature = await key.sign(tbs);
+    return sequence(tbs, algorithmIdentifier(algorithm.signature), bitString(signature));
+  }
+
+  function readCertificate(der) {
+    const cert = parse(der);
+    const tbs = cert.children[0];
+    const offset = tbs.children[0].tag === 0xa0 ? 1 : 0;
+    const issuer = tbs.children[2 + offset];
+    const subject = tbs.children[4 + offset];
+    const spki = tbs.children[5 + offset];
+
+    const keyAlgorithm = decodeOid(spki.children[0].children[0]);
+    const publicKey = content(spki.children[1]).slice(1);
+
+    const names = {};
+    for (const rdn of subject.children) {
+      for (const attr of rdn.children) {
+        names[decodeOid(attr.children[0])] = new TextDecoder().decode(content(attr.children[1]));
+      }
+    }
+
+    return {
+      der: encoded(cert),
+      issuer: encoded(issuer),
+      serial: encoded(tbs.children[offset]),
+      algorithm: keyAlgorithm === OID.ed25519 ? 'ed25519' : keyAlgorithm === OID.ecPublicKey ? 'p256' : null,
+      publicKey,
+      name: names[OID.commonName] || null,
+      email: names[OID.emailAddress] || null
+    };
+  }
+
+  // ---- SignedData ----
+
+  /**
+   * Digest algorithm a key type signs with
+   * @param {string} algorithm - 'ed25519' | 'p256'
+   * @returns {string} WebCrypto digest name
+   */
+  function digestName(algorithm) {
+    return DIGESTS[ALGORITHMS[algorithm].digest].name;
+  }
+
+  /**
+   * Build a detached CMS SignedData
+   * @param {Object} key - {algorithm, publicKey, sign}
+   * @param {Uint8Array} certificate - DER, from createCertificate
+   * @param {Uint8Array} digest - digest of the signed content, see digestName()
+   * @returns {Promise<Uint8Array>} DER ContentInfo
+   */
+  async function sign(key, certificate, digest) {
+    const algorithm = ALGORITHMS[key.algorithm];
+    const digestAlgorithm = algorithmIdentifier(DIGESTS[algorithm.digest].oid);
+    const cert = readCertificate(certificate);
+
+    const attributes = setOf([
+      sequence(oid(OID.contentType), tlv(0x31, oid(OID.data))),
+      sequence(oid(OID.messageDigest), tlv(0x31, octetString(digest))),
+      sequence(
+        oid(OID.signingCertificateV2),
+        tlv(0x31, sequence(sequence(sequence(octetString(await Crypto.sha256(certificate))))))
+      )
+    ]);
+
+    // Signed attributes are signed as a SET, but stored as [0] IMPLICIT
+    const signature = await key.sign(tlv(0x31, attributes));
+
+    const signerInfo = sequence(
+      integer(Uint8Array.of(1)),
+      sequence(cert.issuer, cert.serial),
+      digestAlgorithm,
+      tlv(0xa0, attributes),
+      algorithmIdentifier(algorithm.signature),
+      octetString(signature)
+    );
+
+    const signedData = sequence(
+      integer(Uint8Array.of(1)),
+      tlv(0x31, digestAlgorithm),
+      sequence(oid(OID.data)),
+      tlv(0xa0, certificate),
+      tlv(0x31, signerInfo)
+    );
+
+    return sequence(oid(OID.signedData), explicit(0, signedData));
+  }
+
+  /**
+   * Read the parts of a CMS SignedData needed to check it
+   * @param {Uint8Array} der
+   * @returns {Object} {digestName, messageDigest, signedAttributes, signature, signatureAlgorithm, certificate}
+   */
+  function read(der) {
+    const contentInfo = parse(der);
+    if (decodeOid(contentInfo.children[0]) !== OID.signedData) {
+      throw new Error('Not a CMS SignedData');
+    }
+    const signedData = contentInfo.children[1].children[0];
+    const certificates = signedData.children.find(c => c.tag === 0xa0);
+    const signerInfos = signedData.children[signedData.children.length - 1];
+    const signerInfo = signerInfos.children[0];
+    if (!certificates || !signerInfo) {
+      throw new Error('Signature has no certificate or signer');
+    }
+
+    const [, , digestAlgorithm, signedAttrs, signatureAlgorithm, signature] = signerInfo.children;
+    if (!signedAttrs || signedAttrs.tag !== 0xa0) {
+      throw new Error('Signature has no signed attributes');
+    }
+
+    let messageDigest = null;
+    for (const attr of signedAttrs.children) {
+      if (decodeOid(attr.children[0]) === OID.messageDigest) {
+        messageDigest = content(attr.children[1].children[0]);
+      }
+    }
+
+    const digestOid = decodeOid(digestAlgorithm.children[0]);
+    const digest = Object.values(DIGESTS).find(d => d.oid === digestOid);
+
+    // Re-tag [0] IMPLICIT back to SET, which is what was signed
+    const signedAttributes = encoded(signedAttrs);
+    signedAttributes[0] = 0x31;
+
+    return {
+      digestName: digest ? digest.name : null,
+      messageDigest,
+      signedAttributes,
+      signatureAlgorithm: decodeOid(signatureAlgorithm.children[0]),
+      signature: content(signature),
+      certificate: readCertificate(encoded(certificates.children[0]))
+    };
+  }
+
+  /**
+   * Check a CMS SignedData against the digest of the signed content
+   * @param {Object} parsed - from read()
+   * @param {Uint8Array} digest - digest computed with parsed.digestName
+   * @returns {Promise<{digestValid: boolean, signatureValid: boolean}>}
+   */
+  async function verify(parsed, digest) {
+    const digestValid = !!parsed.messageDigest && equal(parsed.messageDigest, digest);
+    const { algorithm, publicKey } = parsed.certificate;
+
+    let signatureValid = false;
+    if (algorithm === 'ed25519' && parsed.signatureAlgorithm === OID.ed25519) {
+      signatureValid = Crypto.verify(parsed.signedAttributes, parsed.signature, publicKey);
+    } else if (algorithm === 'p256' && parsed.signatureAlgorithm === OID.ecdsaWithSha256) {
+      const key = await crypto.subtle.importKey(
+        'raw',
+        publicKey,
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['verify']
+      );
+      signatureValid = await crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        key,
+        ecdsaDerToRaw(parsed.signature),
+        parsed.signedAttributes
+      );
+    }
+
+    return { digestValid, signatureValid };
+  }
+
+  // ---- Signing keys ----
+
+  /**
+   * Wrap an Ed25519 secret key for signing
+   * @param {Uint8Array} secretKey - 64-byte TweetNaCl secret key
+   * @returns {Object} {algorithm, publicKey, sign}
+   */
+  function ed25519Key(secretKey) {
+    return {
+      algorithm: 'ed25519',
+      publicKey: secretKey.slice(32),
+      sign: async data => Crypto.sign(data, secretKey)
+    };
+  }
+
+  /**
+   * Wrap a P-256 key (from Crypto.deriveP256Key) for signing
+   * @param {{privateKey: CryptoKey, publicKey: Uint8Array}} pair
+   * @returns {Object} {algorithm, publicKey, sign}
+   */
+  function p256Key(pair) {
+    return {
+      algorithm: 'p256',
+      publicKey: pair.publicKey,
+      sign: async data => {
+        const raw = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, pair.privateKey, data);
+        return ecdsaRawToDer(new Uint8Array(raw));
+      }
+    };
+  }
+
+  // WebCrypto uses r||s, CMS wants SEQUENCE { INTEGER r, INTEGER s }
+  function ecdsaRawToDer(raw) {
+    return sequence(integer(raw.slice(0, 32)), integer(raw.slice(32)));
+  }
+
+  function ecdsaDerToRaw(der) {
+    const seq = parse(der);
+    const raw = new Uint8Array(64);
+    seq.children.forEach((node, i) => {
+      let value = content(node);
+      while (value.length > 32 && value[0] === 0) value = value.slice(1);
+      raw.set(value, 32 * (i + 1) - value.length);
+    });
+    return raw;
+  }
+
+  function equal(a, b) {
+    return a.length === b.length && a.every((v, i) => v === b[i]);
+  }
+
+  return {
+    ALGORITHMS,
+    digestName,
+    createCertificate,
+    sign,
+    read,
+    verify,
+    ed25519Key,
+    p256Key
+  };
+})();
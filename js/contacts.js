@@ -0,0 +1,89 @@
+/**
+ * contacts.js - Known signer keys
+ *
+ * A local address book of public keys, filled from verified documents or
+ * pasted in by hand. prepare.html uses it to pin each signer's expected key,
+ * so nobody else can sign in their name with a fresh password.
+ *
+ * Public keys aren't secret, so entries live in plain localStorage.
+ */
+
+const Contacts = (function() {
+  'use strict';
+
+  const STORAGE_KEY = 'ots-sign-contacts';
+
+  /**
+   * All contacts, sorted by name
+   * @returns {Array<{name: string, email: string, publicKey: string, kdf: Object|null, updated: string}>}
+   */
+  function list() {
+    let contacts;
+    try {
+      contacts = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (err) {
+      contacts = [];
+    }
+    return Array.isArray(contacts) ? contacts.sort((a, b) => a.name.localeCompare(b.name)) : [];
+  }
+
+  /**
+   * Look up a contact by email
+   * @param {string} email
+   * @returns {Object|null}
+   */
+  function get(email) {
+    const normalized = email.toLowerCase().trim();
+    return list().find(c => c.email === normalized) || null;
+  }
+
+  /**
+   * Add or replace the contact with this email
+   * @param {{name: string, email: string, publicKey: string, kdf?: Object}} contact
+   * @returns {Object} the stored contact
+   */
+  function save(contact) {
+    if (!isValidKey(contact.publicKey)) {
+      throw new Error('Invalid public key');
+    }
+
+    const entry = {
+      name: contact.name,
+      email: contact.email.toLowerCase().trim(),
+      publicKey: contact.publicKey,
+      kdf: contact.kdf ? Crypto.normalizeKdf(contact.kdf) : null,
+      updated: new Date().toISOString()
+    };
+
+    const contacts = list().filter(c => c.email !== entry.email);
+    contacts.push(entry);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(contacts));
+    return entry;
+  }
+
+  /**
+   * Remove a contact
+   * @param {string} email
+   */
+  function remove(email) {
+    const normalized = email.toLowerCase().trim();
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list().filter(c => c.email !== normalized)));
+  }
+
+  /**
+   * Check a pasted key has the shape Crypto.formatPublicKey produces
+   * @param {string} publicKey
+   * @returns {boolean}
+   */
+  function isValidKey(publicKey) {
+    return typeof publicKey === 'string' && /^ed25519:[0-9a-f]{64}$/.test(publicKey);
+  }
+
+  return {
+    list,
+    get,
+    save,
+    remove,
+    isValidKey
+  };
+})();
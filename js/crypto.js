@@ -1,29 +1,113 @@
 /**
  * crypto.js - Key derivation and digital signatures
  * 
- * Uses PBKDF2 for key stretching and TweetNaCl for Ed25519 signatures.
+ * Uses a versioned KDF (Argon2id, or PBKDF2 for ots-sign-v1 keys) for key
+ * stretching and TweetNaCl for Ed25519 signatures.
  * 
  * The core idea: email + password deterministically derives a keypair.
  * Same inputs = same keypair, always. No key files to manage.
+ * The KDF descriptor is recorded next to each public key so the same
+ * keypair can be derived again later.
  */
 
 const Crypto = (function() {
   'use strict';
 
-  const PBKDF2_ITERATIONS = 100000;
-  const SALT_PREFIX = 'ots-sign-v1:';
+  // Original scheme. Keys derived this way must keep working.
+  const LEGACY_KDF = Object.freeze({
+    algorithm: 'pbkdf2-sha256',
+    version: 'ots-sign-v1',
+    iterations: 100000
+  });
+
+  // Memory-hard default for new signatures
+  const DEFAULT_KDF = Object.freeze({
+    algorithm: 'argon2id',
+    version: 'ots-sign-v2',
+    memoryKiB: 65536,
+    iterations: 3,
+    parallelism: 1
+  });
+
+  // Upper bounds so a crafted descriptor can't lock up the browser
+  const MAX_ARGON2_MEMORY_KIB = 1048576;
+  const MAX_ITERATIONS = 10000000;
 
   /**
-   * Derive an Ed25519 keypair from email + password
+   * Validate a KDF descriptor. Missing descriptors mean ots-sign-v1.
+   * @param {Object} [kdf] 
+   * @returns {Object}
+   */
+  function normalizeKdf(kdf) {
+    if (!kdf) return LEGACY_KDF;
+
+    if (typeof kdf.version !== 'string' || !/^ots-sign-v\d+$/.test(kdf.version)) {
+      throw new Error('Invalid KDF version');
+    }
+
+    if (kdf.algorithm === 'pbkdf2-sha256') {
+      if (!(kdf.iterations >= 1 && kdf.iterations <= MAX_ITERATIONS)) {
+        throw new Error('Invalid PBKDF2 parameters');
+      }
+      return { algorithm: kdf.algorithm, version: kdf.version, iterations: kdf.iterations };
+    }
+
+    if (kdf.algorithm === 'argon2id') {
+      if (!(kdf.memoryKiB >= 8 && kdf.memoryKiB <= MAX_ARGON2_MEMORY_KIB) ||
+          !(kdf.iterations >= 1 && kdf.iterations <= 100) ||
+          !(kdf.parallelism >= 1 && kdf.parallelism <= 16)) {
+        throw new Error('Invalid Argon2id parameters');
+      }
+      return {
+        algorithm: kdf.algorithm,
+        version: kdf.version,
+        memoryKiB: kdf.memoryKiB,
+        iterations: kdf.iterations,
+        parallelism: kdf.parallelism
+      };
+    }
+
+    throw new Error('Unsupported KDF: ' + kdf.algorithm);
+  }
+
+  /**
+   * Short human-readable KDF label
+   * @param {Object} [kdf] 
+   * @returns {string}
+   */
+  function describeKdf(kdf) {
+    const k = normalizeKdf(kdf);
+    if (k.algorithm === 'argon2id') {
+      return `Argon2id (${k.memoryKiB / 1024} MiB, t=${k.iterations}, p=${k.parallelism})`;
+    }
+    return `PBKDF2-SHA256 (${k.iterations} iterations)`;
+  }
+
+  /**
+   * Derive the 32-byte Ed25519 seed from email + password
    * @param {string} email 
    * @param {string} password 
-   * @returns {Promise<{publicKey: Uint8Array, secretKey: Uint8Array}>}
+   * @param {Object} [kdf] - descriptor, defaults to ots-sign-v1 PBKDF2
+   * @returns {Promise<Uint8Array>}
    */
-  async function deriveKeypair(email, password) {
+  async function deriveSeed(email, password, kdf) {
+    const params = normalizeKdf(kdf);
     const normalizedEmail = email.toLowerCase().trim();
-    const salt = new TextEncoder().encode(SALT_PREFIX + normalizedEmail);
+    const salt = new TextEncoder().encode(params.version + ':' + normalizedEmail);
     const passwordBytes = new TextEncoder().encode(password);
 
+    if (params.algorithm === 'argon2id') {
+      return hashwasm.argon2id({
+        password: passwordBytes,
+        salt: salt,
+        parallelism: params.parallelism,
+        iterations: params.iterations,
+        memorySize: params.memoryKiB,
+        hashLength: 32,
+        outputType: 'binary'
+      });
+    }
+
     // Import password as key material
     const keyMaterial = await window.crypto.subtle.importKey(
       'raw',
@@ -38,15 +122,34 @@ const Crypto = (function() {
       {
         name: 'PBKDF2',
         salt: salt,
-        iterations: PBKDF2_ITERATIONS,
+        iterations: params.iterations,
         hash: 'SHA-256'
       },
       keyMaterial,
       256
     );
 
-    const seed = new Uint8Array(seedBits);
+    return new Uint8Array(seedBits);
+  }
+
+  /**
+   * Derive an Ed25519 keypair from email + password
+   * @param {string} email 
+   * @param {string} password 
+   * @param {Object} [kdf] - descriptor, defaults to ots-sign-v1 PBKDF2
+   * @returns {Promise<{publicKey: Uint8Array, secretKey: Uint8Array}>}
+   */
+  async function deriveKeypair(email, password, kdf) {
+    const seed = await deriveSeed(email, password, kdf);
+    return keypairFromSeed(seed);
+  }
 
+  /**
+   * Rebuild an Ed25519 keypair from its 32-byte seed
+   * @param {Uint8Array} seed 
+   * @returns {{publicKey: Uint8Array, secretKey: Uint8Array}}
+   */
+  function keypairFromSeed(seed) {
     // Generate Ed25519 keypair from seed using TweetNaCl
     const keypair = nacl.sign.keyPair.fromSeed(seed);
 
@@ -56,6 +159,103 @@ const Crypto = (function() {
     };
   }
 
+  /**
+   * Derive an ECDSA P-256 key from an Ed25519 seed, for PDF signatures
+   * that readers without Ed25519 support can check. Same seed = same key.
+   * @param {Uint8Array} seed - 32-byte Ed25519 seed
+   * @returns {Promise<{privateKey: CryptoKey, publicKey: Uint8Array}>} publicKey is uncompressed (65 bytes)
+   */
+  async function deriveP256Key(seed) {
+    const label = new TextEncoder().encode('ots-sign-p256');
+    let d = 0n;
+    for (let counter = 0; d === 0n || d >= P256_N; counter++) {
+      const input = new Uint8Array(seed.length + label.length + 1);
+      input.set(seed);
+      input.set(label, seed.length);
+      input[input.length - 1] = counter;
+      d = BigInt('0x' + bytesToHex(await sha256(input)));
+    }
+
+    // A PKCS#8 key holding only the scalar: WebCrypto works out the public point itself
+    const pkcs8 = new Uint8Array(P256_PKCS8_PREFIX.length + 32);
+    pkcs8.set(P256_PKCS8_PREFIX);
+    pkcs8.set(hexToBytes(d.toString(16).padStart(64, '0')), P256_PKCS8_PREFIX.length);
+    const algorithm = { name: 'ECDSA', namedCurve: 'P-256' };
+    const imported = await window.crypto.subtle.importKey('pkcs8', pkcs8, algorithm, true, ['sign']);
+    const jwk = await window.crypto.subtle.exportKey('jwk', imported);
+    const privateKey = await window.crypto.subtle.importKey('jwk', jwk, algorithm, false, ['sign']);
+
+    const publicKey = new Uint8Array(65);
+    publicKey[0] = 0x04;
+    publicKey.set(fromBase64Url(jwk.x), 1);
+    publicKey.set(fromBase64Url(jwk.y), 33);
+    return { privateKey, publicKey };
+  }
+
+  // Order of the P-256 group: a private scalar must be below it
+  const P256_N = 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n;
+
+  // PrivateKeyInfo { v0, ecPublicKey on prime256v1, ECPrivateKey { v1, 32-byte key } } up to the key itself
+  const P256_PKCS8_PREFIX = new Uint8Array([
+    0x30, 0x41, 0x02, 0x01, 0x00,
+    0x30, 0x13, 0x06, 0x07, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x02, 0x01, 0x06, 0x08, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x03, 0x01, 0x07,
+    0x04, 0x27, 0x30, 0x25, 0x02, 0x01, 0x01, 0x04, 0x20
+  ]);
+
+  // Curve25519 field prime
+  const P25519 = 2n ** 255n - 19n;
+
+  /**
+   * Convert an Ed25519 public key to the X25519 key for the same secret,
+   * so bundles can be encrypted to a signer's existing key
+   * @param {Uint8Array} publicKey - 32-byte Ed25519 public key
+   * @returns {Uint8Array} 32-byte X25519 public key
+   */
+  function toX25519PublicKey(publicKey) {
+    let y = 0n;
+    for (let i = 31; i >= 0; i--) {
+      y = (y << 8n) | BigInt(i === 31 ? publicKey[i] & 0x7f : publicKey[i]);
+    }
+    if (y >= P25519 || y === 1n) throw new Error('Invalid Ed25519 public key');
+
+    // Birational map from Edwards y to Montgomery u: u = (1 + y) / (1 - y)
+    let u = ((1n + y) * pow25519(P25519 + 1n - y, P25519 - 2n)) % P25519;
+    const bytes = new Uint8Array(32);
+    for (let i = 0; i < 32; i++) {
+      bytes[i] = Number(u & 0xffn);
+      u >>= 8n;
+    }
+    return bytes;
+  }
+
+  /**
+   * Convert an Ed25519 secret key to its X25519 secret key
+   * @param {Uint8Array} secretKey - 64-byte TweetNaCl secret key (seed first)
+   * @returns {Uint8Array} 32-byte X25519 secret key
+   */
+  function toX25519SecretKey(secretKey) {
+    const hash = nacl.hash(secretKey.subarray(0, 32));
+    hash[0] &= 248;
+    hash[31] &= 127;
+    hash[31] |= 64;
+    return hash.slice(0, 32);
+  }
+
+  function pow25519(base, exponent) {
+    let result = 1n;
+    base %= P25519;
+    while (exponent > 0n) {
+      if (exponent & 1n) result = (result * base) % P25519;
+      base = (base * base) % P25519;
+      exponent >>= 1n;
+    }
+    return result;
+  }
+
+  function fromBase64Url(text) {
+    return Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+  }
+
   /**
    * Sign a message with a secret key
    * @param {Uint8Array} message 
@@ -128,6 +328,15 @@ const Crypto = (function() {
     return 'ed25519:' + bytesToHex(publicKey);
   }
 
+  /**
+   * Format an uncompressed P-256 public key for display
+   * @param {Uint8Array} publicKey
+   * @returns {string}
+   */
+  function formatP256PublicKey(publicKey) {
+    return 'p256:' + bytesToHex(publicKey);
+  }
+
   /**
    * Parse formatted public key
    * @param {string} formatted 
@@ -140,21 +349,47 @@ const Crypto = (function() {
     return hexToBytes(formatted.slice(8));
   }
 
+  /**
+   * Serialize a value as JSON with object keys sorted, so the same data
+   * always produces the same bytes
+   * @param {*} value 
+   * @returns {string}
+   */
+  function canonicalJson(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(canonicalJson).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => JSON.stringify(key) + ':' + canonicalJson(value[key]))
+        .join(',') + '}';
+    }
+    return JSON.stringify(value);
+  }
+
   /**
    * Create the message that gets signed
-   * This binds the signature to the document and metadata
+   * This binds the signature to the document and metadata.
+   * With a manifest hash (ots-sign-v2) it also binds the signer's field values.
    * @param {Uint8Array} documentHash 
    * @param {string} email 
    * @param {string} timestamp 
+   * @param {Uint8Array} [manifestHash] 
    * @returns {Uint8Array}
    */
-  async function createSigningMessage(documentHash, email, timestamp) {
-    const message = JSON.stringify({
+  async function createSigningMessage(documentHash, email, timestamp, manifestHash) {
+    const payload = {
       documentHash: bytesToHex(documentHash),
       email: email.toLowerCase().trim(),
       timestamp: timestamp,
       version: 'ots-sign-v1'
-    });
+    };
+    if (manifestHash) {
+      payload.manifestHash = bytesToHex(manifestHash);
+      payload.version = 'ots-sign-v2';
+    }
+    const message = JSON.stringify(payload);
     return new TextEncoder().encode(message);
   }
 
@@ -199,48 +434,27 @@ const Crypto = (function() {
     };
   }
 
-  // Local storage for credentials (optional save)
-  const STORAGE_KEY = 'ots-sign-credentials';
-
-  function saveCredentials(email, password) {
-    // Simple obfuscation - not true encryption, but prevents casual reading
-    // The real security is that the private key is never stored
-    const data = btoa(JSON.stringify({ email, password }));
-    localStorage.setItem(STORAGE_KEY, data);
-  }
-
-  function loadCredentials() {
-    const data = localStorage.getItem(STORAGE_KEY);
-    if (!data) return null;
-    try {
-      return JSON.parse(atob(data));
-    } catch {
-      return null;
-    }
-  }
-
-  function clearCredentials() {
-    localStorage.removeItem(STORAGE_KEY);
-  }
-
-  function hasStoredCredentials() {
-    return localStorage.getItem(STORAGE_KEY) !== null;
-  }
-
   return {
+    LEGACY_KDF,
+    DEFAULT_KDF,
+    normalizeKdf,
+    describeKdf,
+    deriveSeed,
     deriveKeypair,
+    keypairFromSeed,
+    deriveP256Key,
+    toX25519PublicKey,
+    toX25519SecretKey,
     sign,
     verify,
     sha256,
     bytesToHex,
     hexToBytes,
     formatPublicKey,
+    formatP256PublicKey,
     parsePublicKey,
+    canonicalJson,
     createSigningMessage,
-    checkPasswordStrength,
-    saveCredentials,
-    loadCredentials,
-    clearCredentials,
-    hasStoredCredentials
+    checkPasswordStrength
   };
 })();
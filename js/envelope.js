@@ -0,0 +1,204 @@
+/**
+ * envelope.js - Encrypted .ots-sign bundles
+ *
+ * The bundle JSON is encrypted with a random content key (XSalsa20-Poly1305,
+ * nacl.secretbox). The content key is then wrapped for each way in:
+ *
+ *   - a shared passphrase, stretched with Argon2id and a random salt
+ *   - each recipient's X25519 key, converted from their Ed25519 signing key
+ *     (pinned signers and the sender), with nacl.box from a fresh ephemeral key
+ *
+ * Whoever unlocks a bundle re-encrypts it under the same content key and
+ * wrapped keys when passing it on, so the next signer opens it the same way.
+ * Recipient emails stay readable so the unlock prompt can offer them.
+ *
+ * Depends on nacl, hashwasm, Bundle, Crypto and (for save) Utils.
+ */
+
+const Envelope = (function() {
+  'use strict';
+
+  const FORMAT = 'ots-sign-envelope-v1';
+  const SALT_LENGTH = 16;
+
+  /**
+   * Whether parsed JSON is an encrypted envelope rather than a bundle
+   * @param {Object} json
+   * @returns {boolean}
+   */
+  function isEnvelope(json) {
+    return Boolean(json) && json.format === FORMAT;
+  }
+
+  /**
+   * Everyone the bundle can be encrypted to: the sender and pinned signers
+   * @param {Object} bundle
+   * @returns {{recipients: Array<{email: string, publicKey: string, kdf: Object|null}>, missing: Array}}
+   *   missing lists signers without a pinned key
+   */
+  function recipientsFor(bundle) {
+    const recipients = [];
+    if (bundle.sender) {
+      recipients.push({ email: bundle.sender.email, publicKey: bundle.sender.publicKey, kdf: bundle.sender.kdf || null });
+    }
+    const missing = [];
+    for (const signer of bundle.signers) {
+      if (!signer.expectedPublicKey) {
+        missing.push(signer);
+      } else if (!recipients.some(r => r.publicKey === signer.expectedPublicKey)) {
+        recipients.push({ email: signer.email, publicKey: signer.expectedPublicKey, kdf: signer.expectedKdf || null });
+      }
+    }
+    return { recipients, missing };
+  }
+
+  /**
+   * Pick a content key and wrap it for a passphrase and/or recipients
+   * @param {Object} options
+   * @param {string} [options.passphrase]
+   * @param {Array<{email: string, publicKey: string, kdf?: Object}>} [options.recipients]
+   * @returns {Promise<{key: Uint8Array, slots: Object}>} state for encrypt()
+   */
+  async function create(options) {
+    const recipients = options.recipients || [];
+    if (!options.passphrase && recipients.length === 0) {
+      throw new Error('Nobody could open this bundle: give a passphrase or at least one key');
+    }
+
+    const key = nacl.randomBytes(nacl.secretbox.keyLength);
+    const slots = { passphrase: null, recipients: [] };
+
+    if (options.passphrase) {
+      const kdf = { ...Crypto.DEFAULT_KDF, salt: Crypto.bytesToHex(nacl.randomBytes(SALT_LENGTH)) };
+      slots.passphrase = { kdf, ...box(key, await passphraseKey(options.passphrase, kdf)) };
+    }
+
+    for (const recipient of recipients) {
+      const ephemeral = nacl.box.keyPair();
+      const nonce = nacl.randomBytes(nacl.box.nonceLength);
+      const theirs = Crypto.toX25519PublicKey(Crypto.parsePublicKey(recipient.publicKey));
+      slots.recipients.push({
+        email: recipient.email.toLowerCase().trim(),
+        publicKey: recipient.publicKey,
+        kdf: recipient.kdf || null,
+        ephemeralKey: Crypto.bytesToHex(ephemeral.publicKey),
+        nonce: toBase64(nonce),
+        key: toBase64(nacl.box(key, nonce, theirs, ephemeral.secretKey))
+      });
+    }
+
+    return { key, slots };
+  }
+
+  /**
+   * Encrypt a bundle
+   * @param {Object} bundle
+   * @param {{key: Uint8Array, slots: Object}} state - from create() or unlock()
+   * @returns {Object} envelope
+   */
+  function encrypt(bundle, state) {
+    const plaintext = new TextEncoder().encode(JSON.stringify(bundle));
+    return {
+      format: FORMAT,
+      ...box(plaintext, state.key, 'ciphertext'),
+      passphrase: state.slots.passphrase,
+      recipients: state.slots.recipients
+    };
+  }
+
+  /**
+   * Recover the content key
+   * @param {Object} envelope
+   * @param {{passphrase?: string, keypair?: Object}} credentials - keypair is the recipient's Ed25519 keypair
+   * @returns {Promise<{key: Uint8Array, slots: Object}>}
+   */
+  async function unlock(envelope, credentials) {
+    const slots = { passphrase: envelope.passphrase || null, recipients: envelope.recipients || [] };
+    let key = null;
+
+    if (credentials.passphrase !== undefined) {
+      if (!slots.passphrase) throw new Error('This bundle has no passphrase');
+      key = unbox(slots.passphrase, await passphraseKey(credentials.passphrase, slots.passphrase.kdf));
+      if (!key) throw new Error('Wrong passphrase');
+    } else {
+      const publicKey = Crypto.formatPublicKey(credentials.keypair.publicKey);
+      const slot = slots.recipients.find(r => r.publicKey === publicKey);
+      if (!slot) throw new Error("This bundle wasn't encrypted to that key");
+      key = nacl.box.open(
+        fromBase64(slot.key),
+        fromBase64(slot.nonce),
+        Crypto.hexToBytes(slot.ephemeralKey),
+        Crypto.toX25519SecretKey(credentials.keypair.secretKey)
+      );
+      if (!key) throw new Error('Could not unwrap the bundle key');
+    }
+
+    return { key, slots };
+  }
+
+  /**
+   * Decrypt and parse the bundle
+   * @param {Object} envelope
+   * @param {{key: Uint8Array}} state - from unlock()
+   * @returns {Object} bundle
+   */
+  function open(envelope, state) {
+    const plaintext = nacl.secretbox.open(fromBase64(envelope.ciphertext), fromBase64(envelope.nonce), state.key);
+    if (!plaintext) throw new Error('The bundle could not be decrypted');
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Encrypt a bundle and download it
+   * @param {Object} bundle
+   * @param {{key: Uint8Array, slots: Object}} state
+   * @param {string} [filename]
+   */
+  function save(bundle, state, filename) {
+    bundle.modified = new Date().toISOString();
+    const json = JSON.stringify(encrypt(bundle, state), null, 2);
+    Utils.downloadBlob(new Blob([json], { type: 'application/json' }), filename || Bundle.getDefaultFilename(bundle));
+  }
+
+  async function passphraseKey(passphrase, kdf) {
+    const params = Crypto.normalizeKdf(kdf);
+    if (params.algorithm !== 'argon2id') throw new Error('Unsupported passphrase KDF');
+    return hashwasm.argon2id({
+      password: new TextEncoder().encode(passphrase),
+      salt: Crypto.hexToBytes(kdf.salt),
+      parallelism: params.parallelism,
+      iterations: params.iterations,
+      memorySize: params.memoryKiB,
+      hashLength: nacl.secretbox.keyLength,
+      outputType: 'binary'
+    });
+  }
+
+  function box(message, key, field = 'key') {
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    return { nonce: toBase64(nonce), [field]: toBase64(nacl.secretbox(message, nonce, key)) };
+  }
+
+  function unbox(slot, key) {
+    return nacl.secretbox.open(fromBase64(slot.key), fromBase64(slot.nonce), key);
+  }
+
+  function toBase64(bytes) {
+    return Bundle.arrayBufferToBase64(bytes);
+  }
+
+  function fromBase64(base64) {
+    return new Uint8Array(Bundle.base64ToArrayBuffer(base64));
+  }
+
+  return {
+    FORMAT,
+    isEnvelope,
+    recipientsFor,
+    create,
+    encrypt,
+    unlock,
+    open,
+    save
+  };
+})();
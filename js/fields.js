@@ -12,6 +12,12 @@ const Fields = (function() {
   let resizing = null;
   let resizeStart = { x: 0, y: 0, width: 0, height: 0 };
 
+  // Overlay borders are drawn inside the box; text is placed from the page's edge of it
+  const BORDER = 2;
+  // Helvetica is what finalize draws with; Arial has the same widths
+  const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+  const ASCENT = 0.8;
+
   function init(containerEl, callbacks = {}) {
     container = containerEl;
     onFieldClick = callbacks.onClick || (() => {});
@@ -24,8 +30,9 @@ const Fields = (function() {
 
   function render(fields, pageNum, options = {}) {
     if (!container) return;
-    container.querySelectorAll('.field-overlay').forEach(el => el.remove());
-    const pageFields = fields.filter(f => f.page === pageNum);
+    container.querySelectorAll('.field-overlay, .field-editor, .field-editor-error').forEach(el => el.remove());
+    // Fields a rule hides aren't drawn at all
+    const pageFields = fields.filter(f => f.page === pageNum && (!options.getState || options.getState(f).visible));
     pageFields.forEach(field => {
       const el = createFieldElement(field, options);
       container.appendChild(el);
@@ -33,7 +40,7 @@ const Fields = (function() {
   }
 
   function createFieldElement(field, options = {}) {
-    const { signers = [], selectedId = null, mode = 'prepare', currentSigner = null } = options;
+    const { signers = [], selectedId = null, mode = 'prepare', currentSigner = null, getState = null } = options;
     const signer = signers.find(s => s.id === field.signerId);
     const color = signer?.color || '#666666';
 
@@ -61,15 +68,27 @@ const Fields = (function() {
       color: ${color};
     `;
 
-    if (field.value) {
+    if (getState && !getState(field).enabled) el.classList.add('field-disabled');
+    if (field.rule && mode === 'prepare') el.classList.add('field-conditional');
+    if (field.formField && mode === 'prepare') el.title = field.formField;
+
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      // Shown ticked or not; a radio box also shows its option
+      el.classList.add('field-choice');
+      const mark = field.type === 'checkbox' ? (field.value ? '☑' : '☐') : (field.value ? '◉' : '○');
+      el.textContent = field.type === 'radio' ? `${mark} ${field.option}` : mark;
+    } else if (field.value) {
       if (field.type === 'signature' || field.type === 'initials') {
         const img = document.createElement('img');
         img.src = field.value;
         img.style.cssText = 'max-width: 100%; max-height: 100%; object-fit: contain;';
         el.appendChild(img);
       } else {
-        el.textContent = field.value;
+        renderText(el, field, field.value);
       }
+    } else if (field.type === 'text' && mode === 'sign' && TextField.getFormat(field).placeholder) {
+      el.classList.add('field-placeholder');
+      renderText(el, field, TextField.getFormat(field).placeholder);
     } else {
       const label = document.createElement('span');
       label.className = 'field-label';
@@ -105,12 +124,100 @@ const Fields = (function() {
     return el;
   }
 
+  // Lines where finalize will draw them, laid out by TextField
+  function renderText(el, field, text) {
+    const format = TextField.getFormat(field);
+    const scale = PdfViewer.pdfDimsToScreen(1, 1, field.page + 1).width;
+    const { lines } = TextField.layoutText(text, format, field.width, field.height);
+    el.classList.add('field-text');
+    lines.forEach(line => {
+      const span = document.createElement('span');
+      span.className = 'field-line';
+      span.textContent = TextField.printable(line.text);
+      span.style.cssText = `
+        left: ${line.x * scale - BORDER}px;
+        top: ${(line.baseline - format.fontSize * ASCENT) * scale - BORDER}px;
+        font-size: ${format.fontSize * scale}px;
+      `;
+      el.appendChild(span);
+    });
+  }
+
+  // Inline editor over a text field, checked as the signer types.
+  // Enter saves (Ctrl+Enter in multiline fields), Escape cancels.
+  function edit(field, onSave) {
+    const el = container?.querySelector(`[data-field-id="${field.id}"]`);
+    if (!el) return;
+    const format = TextField.getFormat(field);
+    const scale = PdfViewer.pdfDimsToScreen(1, 1, field.page + 1).width;
+
+    const input = document.createElement(format.multiline ? 'textarea' : 'input');
+    input.className = 'field-editor';
+    input.value = field.value || '';
+    input.placeholder = format.placeholder;
+    if (format.maxLength) input.maxLength = format.maxLength;
+    input.style.cssText = `
+      left: ${el.style.left};
+      top: ${el.style.top};
+      width: ${el.style.width};
+      height: ${el.style.height};
+      padding: ${TextField.PADDING * scale}px;
+      font-family: ${FONT_FAMILY};
+      font-size: ${format.fontSize * scale}px;
+      line-height: ${TextField.LINE_HEIGHT};
+      text-align: ${format.align};
+    `;
+
+    const error = document.createElement('div');
+    error.className = 'field-editor-error';
+    error.style.left = el.style.left;
+    error.style.top = `${parseFloat(el.style.top) + parseFloat(el.style.height) + 2}px`;
+
+    const check = () => {
+      const message = TextField.validate(input.value, format) ||
+        (TextField.layoutText(input.value, format, field.width, field.height).overflow ? "This doesn't fit in the field" : null);
+      error.textContent = message || '';
+      error.style.display = message ? 'block' : 'none';
+      input.classList.toggle('invalid', Boolean(message));
+      return !message;
+    };
+    const close = () => {
+      input.remove();
+      error.remove();
+    };
+    const save = () => {
+      if (!input.isConnected || !check()) return;
+      close();
+      onSave(input.value);
+    };
+
+    input.addEventListener('input', check);
+    input.addEventListener('blur', save);
+    input.addEventListener('click', e => e.stopPropagation());
+    input.addEventListener('keydown', e => {
+      if (e.key === 'Escape') {
+        close();
+      } else if (e.key === 'Enter' && (!format.multiline || e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        save();
+      }
+    });
+
+    container.appendChild(input);
+    container.appendChild(error);
+    check();
+    input.focus();
+  }
+
   function getFieldLabel(type) {
     switch (type) {
       case 'signature': return 'Sign';
       case 'initials': return 'Initial';
       case 'date': return 'Date';
       case 'text': return 'Text';
+      case 'checkbox': return 'Check';
+      case 'radio': return 'Option';
+      case 'dropdown': return 'Select';
       default: return type;
     }
   }
@@ -166,7 +273,9 @@ const Fields = (function() {
       const scale = PdfViewer.getScale();
       const pdfWidth = element.offsetWidth / scale;
       const pdfHeight = element.offsetHeight / scale;
-      onFieldResize(field.id, pdfWidth, pdfHeight);
+      // field.y is the bottom edge, which moves with the handle
+      const bottom = PdfViewer.screenToPdf(0, parseFloat(element.style.top) + element.offsetHeight, field.page + 1).y;
+      onFieldResize(field.id, pdfWidth, pdfHeight, bottom);
       resizing = null;
     }
   }
@@ -186,5 +295,5 @@ const Fields = (function() {
     container = null;
   }
 
-  return { init, render, highlight, destroy };
+  return { init, render, edit, highlight, destroy };
 })();
@@ -0,0 +1,554 @@
+/**
+ * finalize.js - Produce the .ots-signed archive for a completed bundle
+ *
+ * Draws the filled fields and the "DIGITALLY SIGNED" stamp, builds the
+ * merkle tree over the final PDF and every signer, timestamps the root and
+ * packs document.pdf, verification.json and timestamp.ots into a ZIP.
+ *
+ * The PDF also carries verification.json and timestamp.ots as attachments,
+ * appended after the revision the document hash covers, so it verifies on
+ * its own when forwarded without the ZIP.
+ *
+ * When the bundle embeds PDF signatures, each signer's fields are already in
+ * their own signed revision, so only the stamp is appended here. Anchor tags
+ * are whited out in the first signer's revision instead. Such a PDF's form
+ * is never flattened: that would rewrite the signed revisions' fields.
+ *
+ * The optional completion certificate needs the merkle root, so it can't be
+ * part of the hashed revision: it is appended as an update of its own after
+ * it, before the attachments, and the verifier allows exactly that many
+ * trailing pages.
+ *
+ * The bundle's audit log gets a closing `finalized` entry and goes into the
+ * tree as the last leaf. The entry carries the hash of the drawn-field list
+ * in verification.json, so the root commits to that list too.
+ *
+ * No DOM access: sign.html downloads the result, scripts can call it directly.
+ */
+
+const Finalize = (function() {
+  'use strict';
+
+  const STAMP_HEIGHT = 50;
+  const STAMP_PADDING = 10;
+
+  const CERT_MARGIN = 50;
+  const CERT_HEADER = 230;
+  const CERT_CONTINUED = 40;
+  const CERT_SIGNER = 78;
+  const CERT_FOOTER = 20;
+  const CERT_QR = 110;
+
+  /**
+   * Paint white boxes over anchor tags, before any field is drawn on top
+   * @param {PDFLib.PDFDocument} pdfDoc
+   * @param {Array<{page: number, x: number, y: number, width: number, height: number}>} [boxes]
+   */
+  function drawWhiteout(pdfDoc, boxes) {
+    const pages = pdfDoc.getPages();
+    for (const box of boxes || []) {
+      const page = pages[box.page];
+      if (!page) continue;
+      page.drawRectangle({ x: box.x, y: box.y, width: box.width, height: box.height, color: PDFLib.rgb(1, 1, 1) });
+    }
+  }
+
+  /**
+   * Draw filled field values onto their pages, in the boxes the sign page
+   * shows: field.y is the bottom edge. Fields imported from the PDF's form
+   * are filled in the form instead; only their signature and initials
+   * images are drawn, and the fields the form couldn't take.
+   * @param {PDFLib.PDFDocument} pdfDoc
+   * @param {Array} fields
+   */
+  async function drawFields(pdfDoc, fields) {
+    const pages = pdfDoc.getPages();
+    const font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+
+    const formFields = fields.filter(f => f.formField);
+    const unfilled = formFields.length > 0 ? AcroForm.fill(pdfDoc, formFields) : [];
+
+    for (const field of fields) {
+      const page = pages[field.page];
+      const filled = field.formField && !unfilled.includes(field);
+      if (filled && field.type !== 'signature' && field.type !== 'initials') continue;
+
+      // Boxes are drawn ticked or not, so the page shows what was left unchosen
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        drawChoice(page, field, font);
+        continue;
+      }
+      if (!field.value) continue;
+
+      if (field.type === 'signature' || field.type === 'initials') {
+        const image = await pdfDoc.embedPng(dataUrlToBytes(field.value));
+        page.drawImage(image, {
+          x: field.x,
+          y: field.y,
+          width: field.width,
+          height: field.height
+        });
+      } else {
+        // Same layout as the sign page's editor: wrapped, aligned and clipped to the field
+        const format = TextField.getFormat(field);
+        const { lines } = TextField.layoutText(field.value, format, field.width, field.height);
+        for (const line of lines) {
+          page.drawText(TextField.printable(line.text), {
+            x: field.x + line.x,
+            y: field.y + field.height - line.baseline,
+            size: format.fontSize,
+            font: font
+          });
+        }
+      }
+    }
+  }
+
+  // A square or round box at the field's left edge, with a radio box's option beside it
+  function drawChoice(page, field, font) {
+    const size = Math.min(field.width, field.height);
+    const x = field.x;
+    const y = field.y + (field.height - size) / 2;
+    const black = PDFLib.rgb(0, 0, 0);
+
+    if (field.type === 'checkbox') {
+      page.drawRectangle({ x, y, width: size, height: size, borderColor: black, borderWidth: 1 });
+      if (field.value) {
+        // Check mark as two strokes; the standard fonts have no glyph for it
+        const thickness = Math.max(1, size / 10);
+        page.drawLine({ start: { x: x + size * 0.2, y: y + size * 0.5 }, end: { x: x + size * 0.42, y: y + size * 0.25 }, thickness, color: black });
+        page.drawLine({ start: { x: x + size * 0.42, y: y + size * 0.25 }, end: { x: x + size * 0.82, y: y + size * 0.8 }, thickness, color: black });
+      }
+      return;
+    }
+
+    const radius = size / 2;
+    page.drawCircle({ x: x + radius, y: y + radius, size: radius, borderColor: black, borderWidth: 1 });
+    if (field.value) {
+      page.drawCircle({ x: x + radius, y: y + radius, size: radius * 0.5, color: black });
+    }
+    if (field.option) {
+      const textSize = Math.min(10, size);
+      page.drawText(fit(font, textSize, field.option, Math.max(field.width - size - 4, textSize)), {
+        x: x + size + 4,
+        y: y + (size - textSize * 0.7) / 2,
+        size: textSize,
+        font
+      });
+    }
+  }
+
+  /**
+   * Mark every page as signed
+   * @param {PDFLib.PDFDocument} pdfDoc
+   * @param {Array} signers
+   * @param {Object} [options]
+   * @param {string} [options.style] - 'box' lists the signers, 'line' is a one-line marker, 'none' draws nothing
+   * @param {boolean} [options.certificate] - mention the certificate page in the marker
+   */
+  async function drawStamp(pdfDoc, signers, options = {}) {
+    const style = options.style || 'box';
+    if (style === 'none') return;
+
+    const font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+    const fontBold = await pdfDoc.embedFont(PDFLib.StandardFonts.HelveticaBold);
+
+    if (style === 'line') {
+      const signed = signers.filter(s => s.signed);
+      const date = signed.map(s => s.signedAt).sort().pop().slice(0, 10);
+      const suffix = ` · ${date}` + (options.certificate ? ' · certificate on the last page' : '');
+
+      for (const page of pdfDoc.getPages()) {
+        const { width } = page.getSize();
+        const names = fit(font, 6, `Digitally signed by ${signed.map(s => s.name).join(', ')}`,
+          width - STAMP_PADDING * 2 - font.widthOfTextAtSize(printable(font, suffix), 6));
+        page.drawText(printable(font, names + suffix), {
+          x: STAMP_PADDING,
+          y: STAMP_PADDING / 2,
+          size: 6,
+          font: font,
+          color: PDFLib.rgb(0.4, 0.4, 0.4)
+        });
+      }
+      return;
+    }
+
+    for (const page of pdfDoc.getPages()) {
+      const { width } = page.getSize();
+
+      page.drawRectangle({
+        x: STAMP_PADDING,
+        y: STAMP_PADDING,
+        width: width - STAMP_PADDING * 2,
+        height: STAMP_HEIGHT,
+        color: PDFLib.rgb(0.97, 0.97, 0.97),
+        borderColor: PDFLib.rgb(0.8, 0.8, 0.8),
+        borderWidth: 0.5
+      });
+
+      page.drawText('DIGITALLY SIGNED', {
+        x: STAMP_PADDING + 8,
+        y: STAMP_PADDING + STAMP_HEIGHT - 14,
+        size: 8,
+        font: fontBold,
+        color: PDFLib.rgb(0.3, 0.3, 0.3)
+      });
+
+      let y = STAMP_PADDING + STAMP_HEIGHT - 26;
+      for (const signer of signers) {
+        if (signer.signed) {
+          page.drawText(`${signer.name} <${signer.email}> · ${signer.signedAt.slice(0, 10)}`, {
+            x: STAMP_PADDING + 8,
+            y: y,
+            size: 6,
+            font: font,
+            color: PDFLib.rgb(0.4, 0.4, 0.4)
+          });
+          y -= 10;
+        }
+      }
+    }
+  }
+
+  /**
+   * Split signers over certificate pages. Depends only on the page height and
+   * signer count, so the page count is known before anything is drawn.
+   * @param {number} pageHeight
+   * @param {number} signerCount
+   * @returns {Array<Array<{index: number, y: number}>>} signer slots per page
+   */
+  function certificateLayout(pageHeight, signerCount) {
+    const pages = [];
+    let slots = [];
+    let y = pageHeight - CERT_MARGIN - CERT_HEADER;
+
+    for (let i = 0; i < signerCount; i++) {
+      if (y - CERT_SIGNER < CERT_MARGIN + CERT_FOOTER && slots.length > 0) {
+        pages.push(slots);
+        slots = [];
+        y = pageHeight - CERT_MARGIN - CERT_CONTINUED;
+      }
+      slots.push({ index: i, y });
+      y -= CERT_SIGNER;
+    }
+    pages.push(slots);
+    return pages;
+  }
+
+  /**
+   * Append the completion certificate: who signed with which key and when,
+   * the document hash and the merkle root, with the root as a QR code.
+   * Drawn after the root exists, so it is informational and not covered by it.
+   * @param {PDFLib.PDFDocument} pdfDoc
+   * @param {Object} verification - from run(), before the proof is attached
+   * @param {Array} signers - bundle signers, for their signature images
+   * @param {{width: number, height: number}} size
+   */
+  async function drawCertificate(pdfDoc, verification, signers, size) {
+    const font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+    const fontBold = await pdfDoc.embedFont(PDFLib.StandardFonts.HelveticaBold);
+    const mono = await pdfDoc.embedFont(PDFLib.StandardFonts.Courier);
+    const grey = PDFLib.rgb(0.4, 0.4, 0.4);
+    const { width, height } = size;
+    const top = height - CERT_MARGIN;
+    const layout = certificateLayout(height, signers.length);
+
+    const text = (page, value, x, y, size, f = font, color = PDFLib.rgb(0, 0, 0)) => {
+      page.drawText(printable(f, String(value)), { x, y, size, font: f, color });
+    };
+
+    for (let p = 0; p < layout.length; p++) {
+      const page = pdfDoc.addPage([width, height]);
+
+      if (p === 0) {
+        text(page, 'Certificate of Completion', CERT_MARGIN, top - 20, 20, fontBold);
+        text(page, fit(font, 11, verification.document.name, width - CERT_MARGIN * 3 - CERT_QR), CERT_MARGIN, top - 40, 11, font, grey);
+
+        const finalizedAt = verification.audit.entries[verification.audit.entries.length - 1].at;
+        const rows = [
+          ['Completed', finalizedAt, font],
+          ['Document SHA-256 (signed revision)', verification.document.hash, mono],
+          ['Original SHA-256', verification.document.originalHash, mono],
+          ['Merkle root (timestamped)', verification.merkleRoot, mono]
+        ];
+        let y = top - 70;
+        for (const [label, value, f] of rows) {
+          text(page, label, CERT_MARGIN, y, 7, font, grey);
+          text(page, value, CERT_MARGIN, y - 11, 8, f);
+          y -= 24;
+        }
+
+        drawQr(page, verification.merkleRoot, width - CERT_MARGIN - CERT_QR, top - CERT_QR, CERT_QR);
+        text(page, 'Merkle root', width - CERT_MARGIN - CERT_QR, top - CERT_QR - 10, 7, font, grey);
+
+        text(page, 'Signers', CERT_MARGIN, top - CERT_HEADER + 12, 11, fontBold);
+      } else {
+        text(page, 'Certificate of Completion (continued)', CERT_MARGIN, top - 14, 14, fontBold);
+      }
+
+      for (const { index, y } of layout[p]) {
+        const signer = verification.signers[index];
+        page.drawLine({
+          start: { x: CERT_MARGIN, y },
+          end: { x: width - CERT_MARGIN, y },
+          thickness: 0.5,
+          color: PDFLib.rgb(0.8, 0.8, 0.8)
+        });
+        text(page, signer.name, CERT_MARGIN, y - 16, 11, fontBold);
+        text(page, signer.email, CERT_MARGIN, y - 30, 9, font, grey);
+        text(page, 'Key ' + await fingerprint(signer.publicKey), CERT_MARGIN, y - 44, 8, mono);
+        text(page, 'Signed ' + signer.signedAt, CERT_MARGIN, y - 57, 8, font, grey);
+
+        const image = signers[index].signatureImage;
+        if (image) {
+          const png = await pdfDoc.embedPng(dataUrlToBytes(image));
+          const scale = Math.min(120 / png.width, 45 / png.height);
+          page.drawImage(png, {
+            x: width - CERT_MARGIN - png.width * scale,
+            y: y - 8 - png.height * scale,
+            width: png.width * scale,
+            height: png.height * scale
+          });
+        }
+      }
+
+      text(page,
+        'Added after signing and not covered by the document hash. The proofs are attached to this PDF (verification.json, timestamp.ots).',
+        CERT_MARGIN, CERT_MARGIN - 20, 7, font, grey);
+    }
+  }
+
+  // Dark modules as filled squares, with the quiet zone the spec asks for
+  function drawQr(page, value, x, y, size) {
+    const qr = qrcode(0, 'M');
+    qr.addData(value);
+    qr.make();
+
+    const count = qr.getModuleCount();
+    const cell = size / (count + 8);
+    for (let row = 0; row < count; row++) {
+      for (let col = 0; col < count; col++) {
+        if (!qr.isDark(row, col)) continue;
+        page.drawRectangle({
+          x: x + (col + 4) * cell,
+          y: y + size - (row + 5) * cell,
+          width: cell,
+          height: cell,
+          color: PDFLib.rgb(0, 0, 0)
+        });
+      }
+    }
+  }
+
+  // First 128 bits of the key's hash, grouped for reading aloud
+  async function fingerprint(publicKey) {
+    const digest = Crypto.bytesToHex(await Crypto.sha256(Crypto.parsePublicKey(publicKey)));
+    return digest.slice(0, 32).match(/.{4}/g).join(' ');
+  }
+
+  // The standard fonts only cover WinAnsi; anything else would make drawText throw
+  function printable(font, text) {
+    const supported = new Set(font.getCharacterSet());
+    return Array.from(text, c => supported.has(c.codePointAt(0)) ? c : '?').join('');
+  }
+
+  function fit(font, size, text, maxWidth) {
+    let result = printable(font, text);
+    if (font.widthOfTextAtSize(result, size) <= maxWidth) return result;
+    while (result.length > 1 && font.widthOfTextAtSize(result + '…', size) > maxWidth) {
+      result = result.slice(0, -1);
+    }
+    return result + '…';
+  }
+
+  /**
+   * Build the final PDF, merkle tree, timestamp and verification record
+   * @param {Object} bundle - a completed bundle
+   * @param {Object} [options]
+   * @param {Function} [options.stamp] - async (detached) => void, defaults to OpenTimestamps.stamp
+   * @param {Function} [options.onProgress] - called with a short status message
+   * @returns {Promise<{pdfBytes: Uint8Array, verification: Object, otsBytes: Uint8Array}>} pdfBytes include the proof attachments
+   */
+  async function run(bundle, options = {}) {
+    const stamp = options.stamp || (detached => OpenTimestamps.stamp(detached));
+    const progress = options.onProgress || (() => {});
+
+    if (Bundle.isClosed(bundle)) {
+      throw new Error(`This bundle has been ${bundle.status} and can't be finalized`);
+    }
+
+    const pdfBytes = new Uint8Array(Bundle.getPdfBytes(bundle));
+    const completion = Bundle.getCompletion(bundle);
+    // Fields a rule hides are left off the page, here and in each signer's PDF revision
+    const visibleFields = Bundle.getVisibleFields(bundle);
+    const stampOptions = { style: completion.stamp, certificate: completion.certificate };
+
+    let signedPdfBytes;
+    if (bundle.pdfSignatures && bundle.signedDocument) {
+      // Rewriting would break the embedded signatures, so the stamp goes in a new revision
+      signedPdfBytes = new Uint8Array(Bundle.getSignedPdfBytes(bundle));
+      if (completion.stamp !== 'none') {
+        signedPdfBytes = await PdfSignature.appendUpdate(
+          signedPdfBytes,
+          pdfDoc => drawStamp(pdfDoc, bundle.signers, stampOptions)
+        );
+      }
+    } else {
+      const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes);
+      drawWhiteout(pdfDoc, bundle.whiteout);
+      await drawFields(pdfDoc, visibleFields);
+      if (bundle.acroForm && bundle.acroForm.flatten) AcroForm.flatten(pdfDoc);
+      await drawStamp(pdfDoc, bundle.signers, stampOptions);
+      signedPdfBytes = await pdfDoc.save();
+    }
+
+    // The certificate matches the last page's size; its page count goes into the audit log
+    let certificateSize = null;
+    let certificatePages = 0;
+    if (completion.certificate) {
+      const pages = (await PDFLib.PDFDocument.load(signedPdfBytes, { updateMetadata: false })).getPages();
+      certificateSize = pages[pages.length - 1].getSize();
+      certificatePages = certificateLayout(certificateSize.height, bundle.signers.length).length;
+    }
+
+    // Record what actually goes onto the page so verifiers can match it against each manifest.
+    // Manifests list hidden fields too, so they stay in the list, marked hidden.
+    const drawnFields = [];
+    for (const field of bundle.fields) {
+      const hidden = !visibleFields.includes(field) || undefined;
+      drawnFields.push({ signerId: field.signerId, ...(await Manifest.describeField(field)), hidden });
+    }
+
+    // Signers signed the original (unstamped) PDF, so verifiers need its hash
+    const originalHash = await Crypto.sha256(pdfBytes);
+
+    // Build merkle tree
+    const leaves = [];
+    const docHash = await Merkle.hashDocument(signedPdfBytes);
+    leaves.push(await Merkle.documentLeaf(Merkle.V4, docHash));
+
+    for (const signer of bundle.signers) {
+      // Committed with the deadline the verifier judges the signature against
+      leaves.push(await Merkle.signerLeaf(Merkle.V4, { ...signer, deadline: Bundle.getDeadline(bundle, signer) }));
+    }
+
+    const auditEntries = (bundle.audit || []).slice();
+    auditEntries.push(await Audit.createEntry(auditEntries, 'finalized', { role: 'system' }, {
+      data: {
+        documentHash: Crypto.bytesToHex(docHash),
+        fieldsHash: await Manifest.hashDrawn(drawnFields),
+        certificatePages: certificatePages || undefined
+      }
+    }));
+    const auditHead = await Audit.head(auditEntries);
+    leaves.push(await Merkle.auditLeaf(auditHead));
+
+    const root = await Merkle.computeRoot(leaves);
+    const docProof = await Merkle.getAuditPath(leaves, 0);
+    const signerProofs = [];
+    for (let i = 0; i < bundle.signers.length; i++) {
+      signerProofs.push(await Merkle.getAuditPath(leaves, i + 1));
+    }
+    const auditProof = await Merkle.getAuditPath(leaves, leaves.length - 1);
+
+    // Timestamp
+    progress('Timestamping...');
+    const detached = OpenTimestamps.DetachedTimestampFile.fromBytes(
+      new OpenTimestamps.Ops.OpSHA256(),
+      root
+    );
+    await stamp(detached);
+    const otsBytes = detached.serializeToBytes();
+
+    const verification = {
+      version: Merkle.V4,
+      merkleRoot: Crypto.bytesToHex(root),
+      document: {
+        name: bundle.document.name,
+        hash: Crypto.bytesToHex(docHash),
+        originalHash: Crypto.bytesToHex(originalHash),
+        // The hash covers the first `size` bytes; the proof attachments come after
+        scope: 'revision',
+        size: signedPdfBytes.length,
+        proof: docProof
+      },
+      pdfSignatures: bundle.pdfSignatures || undefined,
+      fields: drawnFields,
+      signers: bundle.signers.map((s, i) => ({
+        id: s.id,
+        name: s.name,
+        email: s.email,
+        publicKey: s.publicKey,
+        expectedPublicKey: s.expectedPublicKey || undefined,
+        kdf: s.kdf || undefined,
+        order: s.order || undefined,
+        deadline: Bundle.getDeadline(bundle, s) || undefined,
+        cryptoSignature: s.cryptoSignature,
+        signedAt: s.signedAt,
+        manifest: s.manifest,
+        proof: signerProofs[i]
+      })),
+      audit: {
+        head: auditHead,
+        entries: auditEntries,
+        proof: auditProof
+      }
+    };
+
+    let finalPdfBytes = signedPdfBytes;
+    if (completion.certificate) {
+      progress('Adding certificate...');
+      finalPdfBytes = await PdfSignature.appendUpdate(
+        signedPdfBytes,
+        pdfDoc => drawCertificate(pdfDoc, verification, bundle.signers, certificateSize)
+      );
+    }
+
+    const selfVerifyingPdf = await Attachments.attachProof(finalPdfBytes, { verification, otsBytes });
+
+    return { pdfBytes: selfVerifyingPdf, verification, otsBytes };
+  }
+
+  /**
+   * Pack a finalized document into an .ots-signed ZIP
+   * @param {Object} result - from run()
+   * @param {string} [type] - JSZip output type (default 'blob')
+   * @returns {Promise<Blob|Uint8Array>}
+   */
+  function createArchive(result, type = 'blob') {
+    const zip = new JSZip();
+    zip.file('document.pdf', result.pdfBytes);
+    zip.file('verification.json', JSON.stringify(result.verification, null, 2));
+    zip.file('timestamp.ots', result.otsBytes);
+    return zip.generateAsync({ type });
+  }
+
+  /**
+   * Default archive filename for a bundle
+   * @param {Object} bundle
+   * @returns {string}
+   */
+  function archiveName(bundle) {
+    return bundle.document.name.replace(/\.pdf$/i, '') + '.ots-signed';
+  }
+
+  function dataUrlToBytes(dataUrl) {
+    const base64 = dataUrl.split(',')[1];
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  return {
+    drawWhiteout,
+    drawFields,
+    drawStamp,
+    drawCertificate,
+    run,
+    createArchive,
+    archiveName
+  };
+})();
@@ -0,0 +1,202 @@
+/**
+ * manifest.js - Signer manifests
+ *
+ * A manifest is a canonical description of the fields a signer filled in:
+ * their IDs, types, positions, whatever else changes how they are drawn
+ * (a radio box's option, a dropdown's options, a text field's format) and
+ * a hash of each value. Its hash goes into the signing message, so the
+ * signer's Ed25519 signature covers exactly what they put on the page.
+ *
+ * With a signing order, the manifest also records the signer's routing
+ * group and the signatures of every earlier group, so each signature
+ * proves it was made after the ones it had to wait for.
+ *
+ * Fields with a rule are listed under `conditions` with whether the rule
+ * held when the signer signed, so it's on record which fields were shown,
+ * required or disabled for them.
+ */
+
+const Manifest = (function() {
+  'use strict';
+
+  const VERSION = 'ots-sign-manifest-v1';
+
+  /**
+   * Hash a field value (data URL, text or date)
+   * @param {string|null} value
+   * @returns {Promise<string|null>} hex digest, or null for empty fields
+   */
+  async function hashValue(value) {
+    if (value === null || value === undefined) return null;
+    const digest = await Crypto.sha256(new TextEncoder().encode(String(value)));
+    return Crypto.bytesToHex(digest);
+  }
+
+  /**
+   * Describe a single field as it appears in a manifest
+   * @param {Object} field
+   * @returns {Promise<Object>}
+   */
+  async function describeField(field) {
+    return {
+      id: field.id,
+      type: field.type,
+      page: field.page,
+      x: field.x,
+      y: field.y,
+      width: field.width,
+      height: field.height,
+      // Undefined when unset: canonicalJson() leaves those out
+      option: field.option,
+      options: field.options,
+      format: field.format || undefined,
+      valueHash: await hashValue(field.value)
+    };
+  }
+
+  /**
+   * Build the manifest for a signer's fields
+   * @param {Object} bundle
+   * @param {string} signerId
+   * @param {Object} [options]
+   * @param {string} [options.pdfSigningKey] - formatted P-256 key used for the embedded PDF signature
+   * @returns {Promise<Object>}
+   */
+  async function build(bundle, signerId, options = {}) {
+    const fields = Bundle.getFieldsForSigner(bundle, signerId)
+      .slice()
+      .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+    const entries = [];
+    for (const field of fields) {
+      entries.push(await describeField(field));
+    }
+
+    const manifest = {
+      version: VERSION,
+      signerId: signerId,
+      fields: entries
+    };
+    if (options.pdfSigningKey) {
+      manifest.pdfSigningKey = options.pdfSigningKey;
+    }
+    if (Bundle.getRoutingGroups(bundle).length > 1) {
+      manifest.routing = buildRouting(bundle, signerId);
+    }
+    const conditions = fields.filter(f => f.rule).map(f => ({
+      fieldId: f.id,
+      rule: f.rule,
+      active: Boolean(Bundle.isRuleActive(bundle, f))
+    }));
+    if (conditions.length > 0) {
+      manifest.conditions = conditions;
+    }
+    return manifest;
+  }
+
+  function buildRouting(bundle, signerId) {
+    const order = Bundle.getOrder(bundle.signers.find(s => s.id === signerId));
+    return {
+      order: order,
+      after: bundle.signers
+        .filter(s => Bundle.getOrder(s) < order)
+        .map(s => s.cryptoSignature)
+        .sort()
+    };
+  }
+
+  /**
+   * Check a signer's routing record against the other signers in verification.json
+   * @param {Object} signer - entry from verification.json `signers`
+   * @param {Array} signers - all entries
+   * @returns {string[]} problems, empty if the order was followed
+   */
+  function checkRouting(signer, signers) {
+    const routing = signer.manifest && signer.manifest.routing;
+    const order = signer.order || 1;
+    if (!routing) return [`${signer.name} did not sign a routing record`];
+    if (routing.order !== order) return [`${signer.name} signed as group ${routing.order}, not ${order}`];
+
+    const problems = [];
+    const earlier = signers.filter(s => (s.order || 1) < order);
+    const expected = earlier.map(s => s.cryptoSignature).sort();
+    if (!Array.isArray(routing.after) || routing.after.join() !== expected.join()) {
+      problems.push(`${signer.name} did not sign after every earlier signer`);
+    }
+    for (const s of earlier) {
+      if (s.signedAt > signer.signedAt) {
+        problems.push(`${signer.name} signed at ${signer.signedAt}, before ${s.name} (${s.signedAt})`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Hash a manifest for inclusion in the signing message
+   * @param {Object} manifest
+   * @returns {Promise<Uint8Array>}
+   */
+  async function hash(manifest) {
+    const data = new TextEncoder().encode(Crypto.canonicalJson(manifest));
+    return Crypto.sha256(data);
+  }
+
+  /**
+   * Hash the list of fields drawn into the final PDF, for the closing audit
+   * entry that the merkle root commits to
+   * @param {Array} drawnFields - verification.json `fields`
+   * @returns {Promise<string>} hex digest
+   */
+  async function hashDrawn(drawnFields) {
+    const data = new TextEncoder().encode(Crypto.canonicalJson(drawnFields));
+    return Crypto.bytesToHex(await Crypto.sha256(data));
+  }
+
+  /**
+   * Compare a signed manifest with the fields drawn into the final PDF
+   * @param {Object} manifest
+   * @param {Array} drawnFields - entries from verification.json `fields`
+   * @returns {{valid: boolean, problems: string[]}}
+   */
+  function check(manifest, drawnFields) {
+    const problems = [];
+
+    if (manifest.version !== VERSION) {
+      return { valid: false, problems: ['Unsupported manifest version: ' + manifest.version] };
+    }
+
+    const drawn = drawnFields.filter(f => f.signerId === manifest.signerId);
+
+    for (const entry of manifest.fields) {
+      const match = drawn.find(f => f.id === entry.id);
+      if (!match) {
+        problems.push(`Field ${entry.id} is missing from the document`);
+        continue;
+      }
+      for (const key of Object.keys(entry)) {
+        if (Crypto.canonicalJson(match[key]) !== Crypto.canonicalJson(entry[key])) {
+          problems.push(`Field ${entry.id}: ${key} differs from what was signed`);
+        }
+      }
+    }
+
+    for (const field of drawn) {
+      if (!manifest.fields.some(e => e.id === field.id)) {
+        problems.push(`Field ${field.id} was not signed by this signer`);
+      }
+    }
+
+    return { valid: problems.length === 0, problems };
+  }
+
+  return {
+    VERSION,
+    hashValue,
+    describeField,
+    build,
+    hash,
+    hashDrawn,
+    check,
+    checkRouting
+  };
+})();
@@ -1,6 +1,15 @@
 const Merkle = (function() {
   'use strict';
 
+  // verification.json versions. v3 sorts pairs and has no domain separation;
+  // v4 follows RFC 6962: 0x00 leaf / 0x01 node prefixes, position-committing proofs.
+  const V3 = 'ots-sign-v3';
+  const V4 = 'ots-sign-v4';
+
+  const LEAF_PREFIX = 0x00;
+  const NODE_PREFIX = 0x01;
+  const LEAF_TYPES = { document: 0x01, signer: 0x02, audit: 0x03 };
+
   async function hash(data) {
     const bytes = typeof data === 'string' 
       ? new TextEncoder().encode(data)
@@ -87,23 +96,155 @@ const Merkle = (function() {
     return hash(pdfBytes);
   }
 
-  async function hashSigner(signer) {
-    const data = JSON.stringify({
+  function signerRecord(signer) {
+    const leaf = {
       email: signer.email,
       publicKey: signer.publicKey,
       signature: signer.cryptoSignature,
       signedAt: signer.signedAt
-    });
-    return hash(data);
+    };
+    // Only present from ots-sign-v2 keys on, so older leaves hash the same
+    if (signer.kdf) leaf.kdf = Crypto.normalizeKdf(signer.kdf);
+    // A key pinned by the sender is timestamped with the signature it vouches for
+    if (signer.expectedPublicKey) leaf.expectedPublicKey = signer.expectedPublicKey;
+    if (signer.order) leaf.order = signer.order;
+    // The deadline a late signature is judged against
+    if (signer.deadline) leaf.deadline = signer.deadline;
+    return leaf;
+  }
+
+  async function hashSigner(signer) {
+    return hash(JSON.stringify(signerRecord(signer)));
+  }
+
+  // --- v4 (RFC 6962 style) ---
+
+  async function hashLeaf(type, data) {
+    const tag = LEAF_TYPES[type];
+    if (!tag) throw new Error('Unknown leaf type: ' + type);
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    const combined = new Uint8Array(bytes.length + 2);
+    combined[0] = LEAF_PREFIX;
+    combined[1] = tag;
+    combined.set(bytes, 2);
+    return hash(combined);
+  }
+
+  async function hashInterior(left, right) {
+    const combined = new Uint8Array(left.length + right.length + 1);
+    combined[0] = NODE_PREFIX;
+    combined.set(left, 1);
+    combined.set(right, left.length + 1);
+    return hash(combined);
+  }
+
+  // Largest power of two smaller than n
+  function splitPoint(n) {
+    let k = 1;
+    while (k * 2 < n) k *= 2;
+    return k;
+  }
+
+  async function computeRoot(leaves) {
+    if (leaves.length === 0) return null;
+    if (leaves.length === 1) return leaves[0];
+    const k = splitPoint(leaves.length);
+    return hashInterior(await computeRoot(leaves.slice(0, k)), await computeRoot(leaves.slice(k)));
+  }
+
+  async function auditPath(leaves, index) {
+    if (leaves.length <= 1) return [];
+    const k = splitPoint(leaves.length);
+    if (index < k) {
+      return [...await auditPath(leaves.slice(0, k), index), await computeRoot(leaves.slice(k))];
+    }
+    return [...await auditPath(leaves.slice(k), index - k), await computeRoot(leaves.slice(0, k))];
+  }
+
+  async function getAuditPath(leaves, index) {
+    const path = await auditPath(leaves, index);
+    return { index, size: leaves.length, path: path.map(Crypto.bytesToHex) };
+  }
+
+  // RFC 9162 section 2.1.3.2
+  async function verifyAuditPath(leafHash, proof, root) {
+    if (!proof || !Array.isArray(proof.path)) return false;
+    if (!(Number.isInteger(proof.index) && Number.isInteger(proof.size))) return false;
+    if (proof.index < 0 || proof.index >= proof.size) return false;
+
+    let fn = proof.index;
+    let sn = proof.size - 1;
+    let current = typeof leafHash === 'string' ? Crypto.hexToBytes(leafHash) : leafHash;
+
+    for (const step of proof.path) {
+      if (sn === 0) return false;
+      const sibling = Crypto.hexToBytes(step);
+      if (fn % 2 === 1 || fn === sn) {
+        current = await hashInterior(sibling, current);
+        if (fn % 2 === 0) {
+          while (fn % 2 === 0 && fn !== 0) {
+            fn = Math.floor(fn / 2);
+            sn = Math.floor(sn / 2);
+          }
+        }
+      } else {
+        current = await hashInterior(current, sibling);
+      }
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
+    }
+
+    const rootBytes = typeof root === 'string' ? Crypto.hexToBytes(root) : root;
+    return sn === 0 && Crypto.bytesToHex(current) === Crypto.bytesToHex(rootBytes);
+  }
+
+  // --- version dispatch for verification.json ---
+
+  function isSupported(version) {
+    return version === V3 || version === V4;
+  }
+
+  async function documentLeaf(version, docHash) {
+    return version === V4 ? hashLeaf('document', docHash) : docHash;
+  }
+
+  async function signerLeaf(version, signer) {
+    return version === V4
+      ? hashLeaf('signer', Crypto.canonicalJson(signerRecord(signer)))
+      : hashSigner(signer);
+  }
+
+  // v4 only: the audit log is committed through the hash of its last entry
+  async function auditLeaf(headHash) {
+    return hashLeaf('audit', Crypto.hexToBytes(headHash));
+  }
+
+  async function verifyLeaf(version, leafHash, proof, root) {
+    return version === V4
+      ? verifyAuditPath(leafHash, proof, root)
+      : verifyProof(leafHash, proof, root);
   }
 
   return {
+    V3,
+    V4,
+    LEAF_TYPES,
     hash,
     hashNodes,
     buildTree,
     getProof,
     verifyProof,
     hashDocument,
-    hashSigner
+    hashSigner,
+    hashLeaf,
+    hashInterior,
+    computeRoot,
+    getAuditPath,
+    verifyAuditPath,
+    isSupported,
+    documentLeaf,
+    signerLeaf,
+    auditLeaf,
+    verifyLeaf
   };
 })();
@@ -0,0 +1,105 @@
+/**
+ * outcome.js - Declining and voiding bundles
+ *
+ * A signer who refuses to sign records a reason signed with their derived
+ * key; the sender cancels a bundle the same way with their own key. Either
+ * record closes the bundle, and anyone holding it can check who closed it.
+ *
+ * Depends on Bundle and Crypto.
+ */
+
+const Outcome = (function() {
+  'use strict';
+
+  const DECLINE_VERSION = 'ots-sign-decline-v1';
+  const VOID_VERSION = 'ots-sign-void-v1';
+
+  /**
+   * Build the message a decline or void record signs
+   * @param {string} version - DECLINE_VERSION or VOID_VERSION
+   * @param {Uint8Array} documentHash - SHA-256 of the original PDF
+   * @param {string} email
+   * @param {string} reason
+   * @param {string} timestamp
+   * @returns {Uint8Array}
+   */
+  function createMessage(version, documentHash, email, reason, timestamp) {
+    return new TextEncoder().encode(Crypto.canonicalJson({
+      documentHash: Crypto.bytesToHex(documentHash),
+      email: email.toLowerCase().trim(),
+      reason: reason,
+      timestamp: timestamp,
+      version: version
+    }));
+  }
+
+  async function createRecord(bundle, version, email, reason, keypair, kdf) {
+    const documentHash = await Crypto.sha256(new Uint8Array(Bundle.getPdfBytes(bundle)));
+    const at = new Date().toISOString();
+    const message = createMessage(version, documentHash, email, reason, at);
+    return {
+      reason: reason,
+      at: at,
+      email: email.toLowerCase().trim(),
+      publicKey: Crypto.formatPublicKey(keypair.publicKey),
+      kdf: kdf ? Crypto.normalizeKdf(kdf) : null,
+      signature: Crypto.bytesToHex(Crypto.sign(message, keypair.secretKey))
+    };
+  }
+
+  /**
+   * Sign and record a signer's refusal
+   * @param {Object} bundle
+   * @param {string} signerId
+   * @param {{reason: string, keypair: Object, kdf?: Object}} options
+   * @returns {Promise<Object>} the decline record
+   */
+  async function decline(bundle, signerId, options) {
+    const signer = bundle.signers.find(s => s.id === signerId);
+    if (!signer) throw new Error('Unknown signer');
+
+    const record = await createRecord(bundle, DECLINE_VERSION, signer.email, options.reason, options.keypair, options.kdf);
+    Bundle.markSignerDeclined(bundle, signerId, record);
+    return record;
+  }
+
+  /**
+   * Sign and record the sender cancelling the bundle
+   * @param {Object} bundle
+   * @param {{reason: string, keypair: Object, kdf?: Object}} options
+   * @returns {Promise<Object>} the void record
+   */
+  async function voidBundle(bundle, options) {
+    if (!bundle.sender) throw new Error('This bundle has no sender key to void it with');
+
+    const record = await createRecord(bundle, VOID_VERSION, bundle.sender.email, options.reason, options.keypair, options.kdf);
+    Bundle.markVoided(bundle, record);
+    return record;
+  }
+
+  /**
+   * Check a decline or void record's signature
+   * @param {Object} bundle
+   * @param {Object} record
+   * @param {string} version - DECLINE_VERSION or VOID_VERSION
+   * @returns {Promise<boolean>}
+   */
+  async function verifyRecord(bundle, record, version) {
+    try {
+      const documentHash = await Crypto.sha256(new Uint8Array(Bundle.getPdfBytes(bundle)));
+      const message = createMessage(version, documentHash, record.email, record.reason, record.at);
+      return Crypto.verify(message, Crypto.hexToBytes(record.signature), Crypto.parsePublicKey(record.publicKey));
+    } catch (err) {
+      return false;
+    }
+  }
+
+  return {
+    DECLINE_VERSION,
+    VOID_VERSION,
+    createMessage,
+    decline,
+    voidBundle,
+    verifyRecord
+  };
+})();
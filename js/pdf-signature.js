@@ -0,0 +1,387 @@
+/**
+ * pdf-signature.js - Embedded PDF signatures (PAdES) and incremental updates
+ *
+ * A signed PDF can't be rewritten without breaking its signatures, so
+ * everything after the first signature is appended as an incremental
+ * update: the changed objects, a new xref section and a trailer pointing
+ * back at the previous one.
+ *
+ * Each signature is a /Sig field whose /Contents holds a detached CMS
+ * SignedData (see cms.js) over every byte of the file except /Contents
+ * itself, as listed in /ByteRange (SubFilter ETSI.CAdES.detached).
+ *
+ * Depends on PDFLib, Crypto and Cms.
+ */
+
+const PdfSignature = (function() {
+  'use strict';
+
+  const SUBFILTER = 'ETSI.CAdES.detached';
+
+  // Bytes reserved for the CMS blob; certificate, attributes and signature need about 1 KB
+  const SIGNATURE_SIZE = 8192;
+
+  // Fixed-width stand-in for /ByteRange values, filled in once offsets are known
+  const PLACEHOLDER = '**********';
+
+  const ALGORITHMS = {
+    ed25519: 'Ed25519 (RFC 8419)',
+    p256: 'ECDSA P-256'
+  };
+
+  /**
+   * Create the key a signer uses for their PDF signature
+   * @param {Uint8Array} secretKey - 64-byte Ed25519 secret key
+   * @param {string} algorithm - 'ed25519' | 'p256'
+   * @returns {Promise<Object>} Cms signing key
+   */
+  async function createKey(secretKey, algorithm) {
+    if (algorithm === 'p256') {
+      return Cms.p256Key(await Crypto.deriveP256Key(secretKey.slice(0, 32)));
+    }
+    if (algorithm === 'ed25519') {
+      return Cms.ed25519Key(secretKey);
+    }
+    throw new Error('Unsupported PDF signature algorithm: ' + algorithm);
+  }
+
+  /**
+   * Format a signing key's public key, as recorded in manifests and reports
+   * @param {string} algorithm
+   * @param {Uint8Array} publicKey
+   * @returns {string}
+   */
+  function formatKey(algorithm, publicKey) {
+    return algorithm === 'p256' ? Crypto.formatP256PublicKey(publicKey) : Crypto.formatPublicKey(publicKey);
+  }
+
+  /**
+   * Append an incremental update, leaving the existing bytes untouched
+   * @param {Uint8Array} pdfBytes
+   * @param {Function} modify - async (pdfDoc) => void
+   * @returns {Promise<Uint8Array>}
+   */
+  async function appendUpdate(pdfBytes, modify) {
+    const update = await writeUpdate(pdfBytes, modify);
+    return update.bytes;
+  }
+
+  async function writeUpdate(pdfBytes, modify) {
+    const previous = await PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false });
+    const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false });
+    const xref = previousXref(pdfBytes);
+
+    // pdf-lib doesn't count object and xref streams; new objects must not reuse their numbers
+    const { context } = pdfDoc;
+    context.largestObjectNumber = Math.max(context.largestObjectNumber, xref.size - 1);
+
+    await modify(pdfDoc);
+    await pdfDoc.flush();
+
+    const changed = [];
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+      const bytes = serialize(object);
+      const before = previous.context.lookup(ref);
+      if (!before || !equal(serialize(before), bytes)) {
+        changed.push({ ref, bytes });
+      }
+    }
+
+    const parts = [];
+    let offset = pdfBytes.length;
+    const push = chunk => {
+      const bytes = typeof chunk === 'string' ? latin1Bytes(chunk) : chunk;
+      parts.push(bytes);
+      offset += bytes.length;
+    };
+
+    if (pdfBytes[pdfBytes.length - 1] !== 0x0a) push('\n');
+
+    const entries = [];
+    for (const { ref, bytes } of changed) {
+      entries.push({ number: ref.objectNumber, generation: ref.generationNumber, offset });
+      push(`${ref.objectNumber} ${ref.generationNumber} obj\n`);
+      push(bytes);
+      push('\nendobj\n');
+    }
+
+    const trailer = ['Root', 'Info', 'ID']
+      .filter(key => context.trailerInfo[key])
+      .map(key => `/${key} ${context.trailerInfo[key].toString()}`)
+      .concat(`/Prev ${xref.offset}`);
+
+    const xrefOffset = offset;
+    if (xref.isStream) {
+      // Stay with xref streams if the file already uses them
+      const number = context.nextRef().objectNumber;
+      entries.push({ number, generation: 0, offset: xrefOffset });
+      entries.sort((a, b) => a.number - b.number);
+
+      const data = new Uint8Array(entries.length * 7);
+      entries.forEach((entry, i) => {
+        const row = [1, entry.offset >>> 24, entry.offset >>> 16, entry.offset >>> 8, entry.offset, entry.generation >>> 8, entry.generation];
+        row.forEach((b, j) => { data[i * 7 + j] = b & 0xff; });
+      });
+
+      push(`${number} 0 obj\n<<\n/Type /XRef\n/Size ${context.largestObjectNumber + 1}\n` +
+        `/Index [${subsections(entries).map(s => `${s[0].number} ${s.length}`).join(' ')}]\n` +
+        `/W [1 4 2]\n${trailer.join('\n')}\n/Length ${data.length}\n>>\nstream\n`);
+      push(data);
+      push('\nendstream\nendobj\n');
+    } else {
+      entries.sort((a, b) => a.number - b.number);
+      let table = 'xref\n';
+      for (const section of subsections(entries)) {
+        table += `${section[0].number} ${section.length}\n`;
+        for (const entry of section) {
+          table += `${String(entry.offset).padStart(10, '0')} ${String(entry.generation).padStart(5, '0')} n\r\n`;
+        }
+      }
+      push(table + `trailer\n<<\n/Size ${context.largestObjectNumber + 1}\n${trailer.join('\n')}\n>>\n`);
+    }
+    push(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+    const bytes = new Uint8Array(offset);
+    bytes.set(pdfBytes);
+    let position = pdfBytes.length;
+    for (const part of parts) {
+      bytes.set(part, position);
+      position += part.length;
+    }
+
+    return { bytes, entries };
+  }
+
+  // Runs of consecutive object numbers, one xref subsection each
+  function subsections(entries) {
+    const sections = [];
+    for (const entry of entries) {
+      const last = sections[sections.length - 1];
+      if (last && last[last.length - 1].number + 1 === entry.number) {
+        last.push(entry);
+      } else {
+        sections.push([entry]);
+      }
+    }
+    return sections;
+  }
+
+  function previousXref(pdfBytes) {
+    const text = latin1(pdfBytes);
+    const at = text.lastIndexOf('startxref');
+    const match = at >= 0 && /^startxref\s+(\d+)/.exec(text.slice(at));
+    if (!match) throw new Error('PDF has no cross-reference section');
+
+    const offset = parseInt(match[1], 10);
+    const section = text.slice(offset, at);
+    const size = /\/Size\s+(\d+)/.exec(section);
+    return {
+      offset,
+      isStream: !section.startsWith('xref'),
+      size: size ? parseInt(size[1], 10) : 0
+    };
+  }
+
+  /**
+   * Append a revision that carries one signer's PDF signature
+   * @param {Uint8Array} pdfBytes
+   * @param {Object} options
+   * @param {Object} options.key - from createKey()
+   * @param {{name: string, email: string}} options.signer
+   * @param {Date} options.signingTime
+   * @param {Function} [options.draw] - async (pdfDoc) => void, drawn in the same revision
+   * @returns {Promise<Uint8Array>}
+   */
+  async function sign(pdfBytes, options) {
+    let sigRef = null;
+    const { bytes, entries } = await writeUpdate(pdfBytes, async pdfDoc => {
+      if (options.draw) await options.draw(pdfDoc);
+      sigRef = addSignatureField(pdfDoc, options);
+    });
+
+    // Find the placeholders inside the signature dictionary we just wrote
+    const start = entries.find(e => e.number === sigRef.objectNumber).offset;
+    const text = latin1(bytes.subarray(start, start + SIGNATURE_SIZE * 2 + 1024));
+    const rangeStart = start + text.indexOf('[', text.indexOf('/ByteRange'));
+    const rangeEnd = start + text.indexOf(']', rangeStart - start) + 1;
+    const contentsStart = start + text.indexOf('<', text.indexOf('/Contents'));
+    const contentsEnd = contentsStart + SIGNATURE_SIZE * 2 + 2;
+
+    const byteRange = [0, contentsStart, contentsEnd, bytes.length - contentsEnd];
+    const rangeText = ('[' + byteRange.join(' ')).padEnd(rangeEnd - rangeStart - 1) + ']';
+    bytes.set(latin1Bytes(rangeText), rangeStart);
+
+    const signed = new Uint8Array(contentsStart + bytes.length - contentsEnd);
+    signed.set(bytes.subarray(0, contentsStart));
+    signed.set(bytes.subarray(contentsEnd), contentsStart);
+    const digest = new Uint8Array(await crypto.subtle.digest(Cms.digestName(options.key.algorithm), signed));
+
+    const certificate = await Cms.createCertificate(options.key, options.signer, options.signingTime);
+    const cms = await Cms.sign(options.key, certificate, digest);
+    if (cms.length > SIGNATURE_SIZE) {
+      throw new Error('PDF signature is larger than the space reserved for it');
+    }
+
+    bytes.set(latin1Bytes(Crypto.bytesToHex(cms).toUpperCase()), contentsStart + 1);
+    return bytes;
+  }
+
+  function addSignatureField(pdfDoc, options) {
+    const { context } = pdfDoc;
+    const { PDFHexString, PDFString, PDFName, PDFNumber } = PDFLib;
+
+    const sigRef = context.register(context.obj({
+      Type: 'Sig',
+      Filter: 'Adobe.PPKLite',
+      SubFilter: SUBFILTER,
+      ByteRange: [0, PLACEHOLDER, PLACEHOLDER, PLACEHOLDER],
+      Name: PDFHexString.fromText(options.signer.name),
+      ContactInfo: PDFHexString.fromText(options.signer.email),
+      M: PDFString.fromDate(options.signingTime),
+      Contents: PDFHexString.of('0'.repeat(SIGNATURE_SIZE * 2))
+    }));
+
+    const acroForm = pdfDoc.catalog.getOrCreateAcroForm();
+    const names = new Set(acroForm.getAllFields().map(([field]) => field.getFullyQualifiedName()));
+    let n = 1;
+    while (names.has(`Signature${n}`)) n++;
+
+    // Invisible widget: the visible signature is the drawn field itself
+    const page = pdfDoc.getPage(0);
+    const widgetRef = context.register(context.obj({
+      Type: 'Annot',
+      Subtype: 'Widget',
+      FT: 'Sig',
+      T: PDFString.of(`Signature${n}`),
+      Rect: [0, 0, 0, 0],
+      F: 132,
+      P: page.ref,
+      V: sigRef
+    }));
+
+    page.node.addAnnot(widgetRef);
+    acroForm.addField(widgetRef);
+    acroForm.dict.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+    return sigRef;
+  }
+
+  /**
+   * Find the embedded signatures in a PDF
+   * @param {Uint8Array} pdfBytes
+   * @returns {Array<{byteRange: number[], contents: Uint8Array, revision: number, revisions: number}>}
+   */
+  function find(pdfBytes) {
+    const text = latin1(pdfBytes);
+
+    const revisionEnds = [];
+    const eof = /%%EOF(\r\n|\r|\n)?/g;
+    for (let m = eof.exec(text); m; m = eof.exec(text)) {
+      revisionEnds.push(m.index + m[0].length);
+    }
+
+    const found = [];
+    const re = /\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g;
+    for (let m = re.exec(text); m; m = re.exec(text)) {
+      const byteRange = m.slice(1, 5).map(Number);
+      const [first, gapStart, gapEnd, last] = byteRange;
+      if (first !== 0 || gapStart >= gapEnd || gapEnd + last > pdfBytes.length) continue;
+
+      const hex = /^<([0-9A-Fa-f]*)>$/.exec(text.slice(gapStart, gapEnd));
+      if (!hex) continue;
+
+      const coveredEnd = gapEnd + last;
+      found.push({
+        byteRange,
+        contents: Crypto.hexToBytes(hex[1].length % 2 ? hex[1] + '0' : hex[1]),
+        revision: revisionEnds.filter(end => end <= coveredEnd).length,
+        revisions: revisionEnds.length
+      });
+    }
+    return found;
+  }
+
+  /**
+   * Check every embedded signature in a PDF
+   * @param {Uint8Array} pdfBytes
+   * @returns {Promise<Array>} [{valid, error, algorithm, publicKey, name, email, revision, revisions, byteRange}]
+   */
+  async function verify(pdfBytes) {
+    const results = [];
+
+    for (const { byteRange, contents, revision, revisions } of find(pdfBytes)) {
+      const result = {
+        valid: false,
+        error: null,
+        algorithm: null,
+        publicKey: null,
+        name: null,
+        email: null,
+        revision,
+        revisions,
+        byteRange
+      };
+
+      try {
+        const parsed = Cms.read(contents);
+        const { algorithm, publicKey, name, email } = parsed.certificate;
+        Object.assign(result, { algorithm, name, email });
+        if (!algorithm) throw new Error('Unsupported key type');
+        result.publicKey = formatKey(algorithm, publicKey);
+        if (!parsed.digestName) throw new Error('Unsupported digest algorithm');
+
+        const [, gapStart, gapEnd, last] = byteRange;
+        const signed = new Uint8Array(gapStart + last);
+        signed.set(pdfBytes.subarray(0, gapStart));
+        signed.set(pdfBytes.subarray(gapEnd, gapEnd + last), gapStart);
+        const digest = new Uint8Array(await crypto.subtle.digest(parsed.digestName, signed));
+
+        const { digestValid, signatureValid } = await Cms.verify(parsed, digest);
+        result.valid = digestValid && signatureValid;
+        if (!digestValid) {
+          result.error = 'Signed bytes were changed';
+        } else if (!signatureValid) {
+          result.error = 'Signature does not match its certificate';
+        }
+      } catch (err) {
+        result.error = err.message;
+      }
+
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  function serialize(object) {
+    const buffer = new Uint8Array(object.sizeInBytes());
+    object.copyBytesInto(buffer, 0);
+    return buffer;
+  }
+
+  function latin1(bytes) {
+    return new TextDecoder('latin1').decode(bytes);
+  }
+
+  function latin1Bytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+      bytes[i] = text.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  function equal(a, b) {
+    return a.length === b.length && a.every((v, i) => v === b[i]);
+  }
+
+  return {
+    SUBFILTER,
+    ALGORITHMS,
+    createKey,
+    formatKey,
+    appendUpdate,
+    sign,
+    find,
+    verify
+  };
+})();
@@ -0,0 +1,194 @@
+/**
+ * seal.js - Sender-signed bundle layout
+ *
+ * A bundle travels as plain JSON, so anyone passing it on could swap the
+ * PDF, move fields or change the signer list. On Send, the sender signs a
+ * hash of each part they prepared; sign.html recomputes them on load.
+ *
+ * Signing doesn't change any sealed part: signers only add their own
+ * signature records and field values, which are checked against their
+ * signatures instead.
+ *
+ * Depends on Bundle, Crypto and Manifest.
+ */
+
+const Seal = (function() {
+  'use strict';
+
+  const VERSION = 'ots-sign-seal-v1';
+
+  const PART_LABELS = {
+    document: 'The PDF was replaced',
+    signers: 'Signers were added, removed or changed',
+    fields: 'Fields were added, moved or removed',
+    options: 'Signing options, the expiry date or the white-out areas were changed'
+  };
+
+  const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+  async function hashJson(value) {
+    return Crypto.bytesToHex(await Crypto.sha256(new TextEncoder().encode(Crypto.canonicalJson(value))));
+  }
+
+  /**
+   * Hash each part of the bundle the sender prepared
+   * @param {Object} bundle
+   * @returns {Promise<{document: string, signers: string, fields: string, options: string}>} hex digests
+   */
+  async function describe(bundle) {
+    const documentHash = await Crypto.sha256(new Uint8Array(Bundle.getPdfBytes(bundle)));
+    return {
+      document: Crypto.bytesToHex(documentHash),
+      signers: await hashJson(bundle.signers.slice().sort(byId).map(s => ({
+        id: s.id,
+        name: s.name,
+        email: s.email.toLowerCase().trim(),
+        order: Bundle.getOrder(s),
+        expectedPublicKey: s.expectedPublicKey || null,
+        // Only present when set, so seals from before deadlines still match
+        ...(s.deadline ? { deadline: s.deadline } : {})
+      }))),
+      fields: await hashJson(bundle.fields.slice().sort(byId).map(f => ({
+        id: f.id,
+        type: f.type,
+        signerId: f.signerId,
+        page: f.page,
+        x: f.x,
+        y: f.y,
+        width: f.width,
+        height: f.height,
+        required: Boolean(f.required),
+        ...Bundle.getFieldConfig(f)
+      }))),
+      options: await hashJson({
+        pdfSignatures: bundle.pdfSignatures || null,
+        completion: Bundle.getCompletion(bundle),
+        ...(bundle.expiresAt ? { expiresAt: bundle.expiresAt } : {}),
+        ...(bundle.whiteout && bundle.whiteout.length > 0 ? { whiteout: bundle.whiteout } : {}),
+        ...(bundle.acroForm ? { acroForm: bundle.acroForm } : {})
+      })
+    };
+  }
+
+  function createMessage(seal) {
+    return new TextEncoder().encode(Crypto.canonicalJson({
+      at: seal.at,
+      name: seal.name,
+      email: seal.email,
+      parts: seal.parts,
+      version: seal.version
+    }));
+  }
+
+  /**
+   * Sign the bundle's current layout as its sender
+   * @param {Object} bundle - with bundle.sender set
+   * @param {Object} keypair - the sender's Ed25519 keypair
+   * @returns {Promise<Object>} the seal, also stored as bundle.seal
+   */
+  async function sign(bundle, keypair) {
+    if (!bundle.sender) throw new Error('Set a sender key before sending');
+
+    const publicKey = Crypto.formatPublicKey(keypair.publicKey);
+    if (publicKey !== bundle.sender.publicKey) {
+      throw new Error("This key doesn't match the bundle's sender");
+    }
+
+    const seal = {
+      version: VERSION,
+      at: new Date().toISOString(),
+      name: bundle.sender.name,
+      email: bundle.sender.email,
+      parts: await describe(bundle)
+    };
+    seal.publicKey = publicKey;
+    seal.signature = Crypto.bytesToHex(Crypto.sign(createMessage(seal), keypair.secretKey));
+
+    bundle.seal = seal;
+    return seal;
+  }
+
+  /**
+   * Check the seal against the bundle as it arrived
+   * @param {Object} bundle
+   * @returns {Promise<{status: string, seal: Object|null, problems: string[]}>}
+   *   status is 'unsealed', 'valid', 'invalid' (bad signature) or 'modified'
+   */
+  async function check(bundle) {
+    const seal = bundle.seal;
+    if (!seal) return { status: 'unsealed', seal: null, problems: [] };
+
+    let signatureValid = false;
+    try {
+      signatureValid = seal.version === VERSION && Crypto.verify(
+        createMessage(seal),
+        Crypto.hexToBytes(seal.signature),
+        Crypto.parsePublicKey(seal.publicKey)
+      );
+    } catch (err) {
+      signatureValid = false;
+    }
+    if (!signatureValid) {
+      return { status: 'invalid', seal, problems: ["The sender's signature on the layout is invalid"] };
+    }
+
+    const problems = [];
+    if (!bundle.sender || bundle.sender.publicKey !== seal.publicKey) {
+      problems.push('The sender was replaced');
+    }
+
+    const parts = await describe(bundle);
+    Object.keys(PART_LABELS).forEach(part => {
+      if (parts[part] !== seal.parts[part]) problems.push(PART_LABELS[part]);
+    });
+
+    for (const signer of bundle.signers.filter(s => s.signed)) {
+      problems.push(...await checkSigner(bundle, signer, parts.document));
+    }
+
+    return { status: problems.length > 0 ? 'modified' : 'valid', seal, problems };
+  }
+
+  // A signed signer's record and field values must be what their signature covers
+  async function checkSigner(bundle, signer, documentHash) {
+    if (signer.expectedPublicKey && signer.publicKey !== signer.expectedPublicKey) {
+      return [`${signer.name} signed with a key other than the pinned one`];
+    }
+
+    try {
+      const manifestHash = signer.manifest ? await Manifest.hash(signer.manifest) : undefined;
+      const message = await Crypto.createSigningMessage(
+        Crypto.hexToBytes(documentHash),
+        signer.email,
+        signer.signedAt,
+        manifestHash
+      );
+      const valid = Crypto.verify(
+        message,
+        Crypto.hexToBytes(signer.cryptoSignature),
+        Crypto.parsePublicKey(signer.publicKey)
+      );
+      if (!valid) return [`${signer.name}'s signature is invalid`];
+    } catch (err) {
+      return [`${signer.name}'s signature is invalid`];
+    }
+
+    if (signer.manifest) {
+      const drawn = [];
+      for (const field of Bundle.getFieldsForSigner(bundle, signer.id)) {
+        drawn.push({ signerId: signer.id, ...(await Manifest.describeField(field)) });
+      }
+      const { valid } = Manifest.check(signer.manifest, drawn);
+      if (!valid) return [`${signer.name}'s fields were changed after they signed`];
+    }
+
+    return [];
+  }
+
+  return {
+    VERSION,
+    describe,
+    sign,
+    check
+  };
+})();
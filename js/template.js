@@ -0,0 +1,263 @@
+/**
+ * template.js - Reusable field layouts (.ots-template)
+ *
+ * A template keeps a bundle's fields tied to named roles ("Employee",
+ * "Manager") instead of signer IDs, plus the page sizes of the PDF it was
+ * made on. Applying it to a new PDF checks those sizes, then adds one signer
+ * per role and places the fields for them. A field's rule names the field
+ * it depends on by its index in the template's list.
+ *
+ * Fields imported from a PDF form keep the form field's name. On a PDF
+ * without a matching form field they become ordinary fields, drawn on the
+ * page at the same spot.
+ *
+ * Depends on PDFLib, Bundle and AcroForm; save() also uses Utils.
+ */
+
+const Template = (function() {
+  'use strict';
+
+  const FORMAT = 'ots-template-v1';
+  const EXTENSION = '.ots-template';
+  const MIME_TYPE = 'application/json';
+
+  // Page sizes within this many points count as the same paper
+  const SIZE_TOLERANCE = 1;
+
+  /**
+   * Page sizes of a PDF, in points
+   * @param {ArrayBuffer|Uint8Array} pdfBytes
+   * @returns {Promise<Array<[number, number]>>} [width, height] per page
+   */
+  async function pageSizes(pdfBytes) {
+    const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false, ignoreEncryption: true });
+    return pdfDoc.getPages().map(page => {
+      const { width, height } = page.getSize();
+      return [round(width), round(height)];
+    });
+  }
+
+  /**
+   * Names and types of a PDF's form fields, in AcroForm.read()'s terms
+   * @param {ArrayBuffer|Uint8Array} pdfBytes
+   * @returns {Promise<Object<string, string>>} type by field name
+   */
+  async function formFields(pdfBytes) {
+    const entries = await AcroForm.read(pdfBytes);
+    return Object.fromEntries(entries.map(e => [e.name, e.type]));
+  }
+
+  /**
+   * Build a template from a prepared bundle
+   * @param {Object} bundle
+   * @param {string} name
+   * @param {Object<string, string>} roles - role name per signer ID
+   * @returns {Promise<Object>} template
+   */
+  async function fromBundle(bundle, name, roles) {
+    const names = bundle.signers.map(s => (roles[s.id] || '').trim());
+    if (names.some(n => !n)) throw new Error('Every signer needs a role');
+    if (new Set(names).size !== names.length) throw new Error('Role names must be different');
+
+    return {
+      format: FORMAT,
+      name: name,
+      created: new Date().toISOString(),
+      document: {
+        name: bundle.document.name,
+        pageSizes: await pageSizes(Bundle.getPdfBytes(bundle))
+      },
+      roles: bundle.signers.map((s, i) => ({ name: names[i], order: Bundle.getOrder(s) })),
+      fields: bundle.fields.map(f => ({
+        role: names[bundle.signers.findIndex(s => s.id === f.signerId)],
+        type: f.type,
+        page: f.page,
+        x: f.x,
+        y: f.y,
+        width: f.width,
+        height: f.height,
+        required: f.required,
+        ...Bundle.getFieldConfig(f),
+        ...(f.rule ? { rule: { ...f.rule, field: bundle.fields.findIndex(s => s.id === f.rule.field) } } : {})
+      })),
+      options: {
+        pdfSignatures: bundle.pdfSignatures || null,
+        completion: Bundle.getCompletion(bundle),
+        ...(bundle.acroForm ? { acroForm: bundle.acroForm } : {})
+      }
+    };
+  }
+
+  /**
+   * Compare a PDF's pages with the ones the template was made on
+   * @param {Object} template
+   * @param {Array<[number, number]>} sizes - from pageSizes()
+   * @param {Object<string, string>} [fields] - from formFields(); checks form fields too
+   * @returns {string[]} warnings, empty if the pages match
+   */
+  function compare(template, sizes, fields) {
+    const expected = template.document.pageSizes;
+    const warnings = [];
+
+    if (sizes.length !== expected.length) {
+      warnings.push(`The template was made for ${expected.length} page${expected.length === 1 ? '' : 's'}; this PDF has ${sizes.length}`);
+    }
+
+    const used = new Set(template.fields.map(f => f.page));
+    for (let i = 0; i < Math.min(sizes.length, expected.length); i++) {
+      const [w, h] = sizes[i];
+      const [ew, eh] = expected[i];
+      if (Math.abs(w - ew) > SIZE_TOLERANCE || Math.abs(h - eh) > SIZE_TOLERANCE) {
+        warnings.push(`Page ${i + 1} is ${w} × ${h} pt, the template expects ${ew} × ${eh}` +
+          (used.has(i) ? '; its fields may land in the wrong place' : ''));
+      }
+    }
+
+    const missing = template.fields.filter(f => f.page >= sizes.length).length;
+    if (missing > 0) {
+      warnings.push(`${missing} field${missing === 1 ? ' is' : 's are'} on pages this PDF doesn't have and will be left out`);
+    }
+
+    if (fields) {
+      const unmatched = template.fields.filter(f => f.formField && !matchesForm(f, fields)).length;
+      if (unmatched > 0) {
+        warnings.push(`${unmatched} field${unmatched === 1 ? ' comes' : 's come'} from form fields this PDF doesn't have; ` +
+          `${unmatched === 1 ? 'it' : 'they'} will be drawn on the page instead`);
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Names for the template's text fields, so values can be filled in ahead
+   * of time (e.g. from a CSV column): "<role> text <n>", numbered per role
+   * @param {Object} template
+   * @returns {Array<{name: string, index: number}>} index into template.fields
+   */
+  function textFieldNames(template) {
+    const counts = {};
+    const names = [];
+    template.fields.forEach((field, index) => {
+      if (field.type !== 'text') return;
+      counts[field.role] = (counts[field.role] || 0) + 1;
+      names.push({ name: `${field.role} text ${counts[field.role]}`, index });
+    });
+    return names;
+  }
+
+  /**
+   * Add a signer per role and place the template's fields for them
+   * @param {Object} bundle - a new bundle without signers
+   * @param {Object} template
+   * @param {Object<string, {name: string, email: string, expectedPublicKey?: string, expectedKdf?: Object}>} people - by role name
+   * @param {number} pageCount - pages in the bundle's PDF; fields beyond them are left out
+   * @param {Object<string, string>} [values] - text field values by textFieldNames() name
+   * @param {Object<string, string>} [fields] - the PDF's form fields, from formFields();
+   *   a field whose form field isn't among them is placed as an ordinary field
+   * @returns {{signers: Array, fields: Array, skipped: number}}
+   */
+  function apply(bundle, template, people, pageCount, values = {}, fields = {}) {
+    const missing = template.roles.find(role => {
+      const person = people[role.name];
+      return !person || !person.name || !person.email;
+    });
+    if (missing) throw new Error(`Nobody was chosen for ${missing.name}`);
+
+    const signers = {};
+    for (const role of template.roles) {
+      const person = people[role.name];
+      signers[role.name] = Bundle.addSigner(bundle, person.name, person.email, {
+        role: role.name,
+        order: role.order,
+        expectedPublicKey: person.expectedPublicKey,
+        expectedKdf: person.expectedKdf
+      });
+    }
+
+    const prefilled = {};
+    textFieldNames(template).forEach(({ name, index }) => {
+      if (values[name]) prefilled[index] = values[name];
+    });
+
+    const placed = [];
+    const byIndex = {};
+    let skipped = 0;
+    template.fields.forEach((field, index) => {
+      if (field.page >= pageCount || !signers[field.role]) {
+        skipped++;
+        return;
+      }
+      const added = Bundle.addField(bundle, {
+        ...field,
+        formField: field.formField && matchesForm(field, fields) ? field.formField : undefined,
+        signerId: signers[field.role].id
+      });
+      if (prefilled[index]) added.value = prefilled[index];
+      byIndex[index] = added;
+      placed.push(added);
+    });
+
+    // Rules point at other fields by index; a rule whose field was left out is dropped
+    template.fields.forEach((field, index) => {
+      const source = field.rule && byIndex[field.rule.field];
+      if (byIndex[index] && source) byIndex[index].rule = { ...field.rule, field: source.id };
+    });
+
+    if (template.options) {
+      bundle.pdfSignatures = template.options.pdfSignatures || null;
+      if (template.options.completion) bundle.completion = { ...template.options.completion };
+      if (template.options.acroForm) bundle.acroForm = { ...template.options.acroForm };
+    }
+
+    return { signers: Object.values(signers), fields: placed, skipped };
+  }
+
+  // A form field of the same name and a kind AcroForm.fill() can write this field's value to
+  function matchesForm(field, fields) {
+    return fields[field.formField] === AcroForm.formType(field.type);
+  }
+
+  /**
+   * Load a template file
+   * @param {File} file
+   * @returns {Promise<Object>}
+   */
+  async function load(file) {
+    const template = JSON.parse(await file.text());
+    if (template.format !== FORMAT) {
+      throw new Error('Not an .ots-template file');
+    }
+    if (!Array.isArray(template.roles) || !Array.isArray(template.fields) || !template.document) {
+      throw new Error('Invalid template: missing roles, fields or page sizes');
+    }
+    return template;
+  }
+
+  /**
+   * Download a template
+   * @param {Object} template
+   */
+  function save(template) {
+    const json = JSON.stringify(template, null, 2);
+    const filename = (template.name || 'template').replace(/[^\w.-]+/g, '-') + EXTENSION;
+    Utils.downloadBlob(new Blob([json], { type: MIME_TYPE }), filename);
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  return {
+    FORMAT,
+    EXTENSION,
+    pageSizes,
+    formFields,
+    fromBundle,
+    compare,
+    textFieldNames,
+    apply,
+    load,
+    save
+  };
+})();
@@ -0,0 +1,206 @@
+/**
+ * text-field.js - Text field formatting, validation and layout
+ *
+ * A text field can carry a `format`: font size, alignment, multiline with
+ * word wrap, max length, placeholder and a validation preset. The layout is
+ * computed here from Helvetica's metrics, the font finalize draws with, so
+ * the sign page's editor and finalize wrap and clip a value the same way.
+ * Date and dropdown values use the default format.
+ *
+ * Lines are placed from the field box's top-left corner; the box spans
+ * field.y (its bottom edge, in PDF points) to field.y + field.height.
+ *
+ * Depends on PDFLib for the font metrics.
+ */
+
+const TextField = (function() {
+  'use strict';
+
+  const DEFAULTS = {
+    fontSize: 10,
+    align: 'left',         // left | center | right
+    multiline: false,
+    maxLength: null,
+    placeholder: '',
+    validation: null,      // null | email | number | regex
+    pattern: null          // for regex, matched against the whole value
+  };
+
+  // Points between the field's border and its text
+  const PADDING = 2;
+  const LINE_HEIGHT = 1.2;
+  // Share of the font size that hangs below the baseline
+  const DESCENT = 0.2;
+
+  let helvetica = null;
+  let supported = null;
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const NUMBER_PATTERN = /^[-+]?\d+([.,]\d+)?$/;
+
+  /**
+   * A field's format with defaults filled in
+   * @param {Object} field
+   * @returns {Object}
+   */
+  function getFormat(field) {
+    return { ...DEFAULTS, ...field.format };
+  }
+
+  /**
+   * Check a value against a format
+   * @param {string} value
+   * @param {Object} format - from getFormat()
+   * @returns {string|null} what's wrong, or null if the value is fine
+   */
+  function validate(value, format) {
+    if (!value) return null;
+    if (format.maxLength && value.length > format.maxLength) {
+      return `Use at most ${format.maxLength} characters`;
+    }
+    if (format.validation === 'email' && !EMAIL_PATTERN.test(value)) {
+      return 'Enter an email address';
+    }
+    if (format.validation === 'number' && !NUMBER_PATTERN.test(value.trim())) {
+      return 'Enter a number';
+    }
+    if (format.validation === 'regex' && format.pattern) {
+      const pattern = compilePattern(format.pattern);
+      if (pattern && !pattern.test(value)) return "This doesn't match the expected format";
+    }
+    return null;
+  }
+
+  /**
+   * Compile a regex preset, anchored to the whole value
+   * @param {string} pattern
+   * @returns {RegExp|null} null if the pattern is invalid
+   */
+  function compilePattern(pattern) {
+    try {
+      return new RegExp(`^(?:${pattern})$`, 'u');
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Width of a line in Helvetica, as finalize will draw it
+   * @param {string} text
+   * @param {number} size - font size in points
+   * @returns {number} width in points
+   */
+  function measure(text, size) {
+    return font().widthOfTextAtSize(printable(text), size);
+  }
+
+  /**
+   * A line as finalize draws it: the standard fonts only cover WinAnsi, so
+   * anything else becomes "?"
+   * @param {string} text
+   * @returns {string}
+   */
+  function printable(text) {
+    if (!supported) supported = new Set(font().encoding.supportedCodePoints);
+    return Array.from(text, c => supported.has(c.codePointAt(0)) ? c : '?').join('');
+  }
+
+  // pdf-lib's copy of the standard font's metrics; no PDF document needed
+  function font() {
+    if (!helvetica) helvetica = PDFLib.StandardFontEmbedder.for(PDFLib.StandardFonts.Helvetica);
+    return helvetica;
+  }
+
+  /**
+   * Lay a value out in a field box: wrap, align and clip
+   * @param {string} text
+   * @param {Object} format - from getFormat()
+   * @param {number} width - field width in points
+   * @param {number} height - field height in points
+   * @returns {{lines: Array<{text: string, x: number, baseline: number}>, overflow: boolean}}
+   *   x and baseline are measured from the field's top-left corner
+   */
+  function layoutText(text, format, width, height) {
+    const size = format.fontSize;
+    const lineHeight = size * LINE_HEIGHT;
+    const available = Math.max(0, width - PADDING * 2);
+    let overflow = false;
+
+    let lines;
+    if (format.multiline) {
+      lines = [];
+      String(text).split(/\r?\n/).forEach(paragraph => lines.push(...wrap(paragraph, available, size)));
+    } else {
+      lines = [String(text).replace(/\s*\r?\n\s*/g, ' ')];
+    }
+
+    // A single line too long for the field is clipped at the right edge
+    lines = lines.map(line => {
+      if (measure(line, size) <= available) return line;
+      overflow = true;
+      return clip(line, available, size);
+    });
+
+    const fitting = format.multiline
+      ? Math.max(1, Math.floor((height - PADDING - size - size * DESCENT) / lineHeight) + 1)
+      : 1;
+    if (lines.length > fitting) {
+      lines = lines.slice(0, fitting);
+      overflow = true;
+    }
+
+    return {
+      lines: lines.map((line, i) => {
+        const lineWidth = measure(line, size);
+        const x = format.align === 'center' ? (width - lineWidth) / 2
+          : format.align === 'right' ? width - PADDING - lineWidth
+          : PADDING;
+        return { text: line, x, baseline: PADDING + size + i * lineHeight };
+      }),
+      overflow
+    };
+  }
+
+  // Greedy word wrap; words wider than a line are broken between characters
+  function wrap(paragraph, available, size) {
+    const words = paragraph.split(/ +/);
+    const lines = [];
+    let line = '';
+    for (const word of words) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measure(candidate, size) <= available) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (line.length > 1 && measure(line, size) > available) {
+        const head = clip(line, available, size) || line[0];
+        lines.push(head);
+        line = line.slice(head.length);
+      }
+    }
+    lines.push(line);
+    return lines;
+  }
+
+  function clip(line, available, size) {
+    let result = line;
+    while (result.length > 0 && measure(result, size) > available) {
+      result = result.slice(0, -1);
+    }
+    return result;
+  }
+
+  return {
+    DEFAULTS,
+    PADDING,
+    LINE_HEIGHT,
+    getFormat,
+    validate,
+    compilePattern,
+    measure,
+    printable,
+    layoutText
+  };
+})();
@@ -33,6 +33,17 @@ const Utils = (function() {
     return d.toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
   }
 
+  // "3 days left", "5 hours left", "expired 2 days ago"
+  function formatTimeLeft(date, now = new Date()) {
+    const ms = (typeof date === 'string' ? new Date(date) : date) - now;
+    const abs = Math.abs(ms);
+    const units = [['day', 86400000], ['hour', 3600000], ['minute', 60000]];
+    const [unit, size] = units.find(([, size]) => abs >= size) || units[units.length - 1];
+    const count = Math.max(1, Math.floor(abs / size));
+    const span = `${count} ${unit}${count === 1 ? '' : 's'}`;
+    return ms >= 0 ? `${span} left` : `expired ${span} ago`;
+  }
+
   function debounce(fn, delay) {
     let timeout;
     return function(...args) { clearTimeout(timeout); timeout = setTimeout(() => fn.apply(this, args), delay); };
@@ -102,5 +113,5 @@ const Utils = (function() {
   function pdfToScreen(pdfX, pdfY, pageHeight, scale) { return { x: pdfX * scale, y: (pageHeight - pdfY) * scale }; }
   function screenToPdf(screenX, screenY, pageHeight, scale) { return { x: screenX / scale, y: pageHeight - (screenY / scale) }; }
 
-  return { el, $, $$, formatDate, formatSigningDate, formatTimestamp, debounce, throttle, clone, uniqueId, downloadBlob, readFileAsArrayBuffer, readFileAsText, readFileAsDataURL, prevent, isSecureContext, toast, pdfToScreen, screenToPdf };
+  return { el, $, $$, formatDate, formatSigningDate, formatTimestamp, formatTimeLeft, debounce, throttle, clone, uniqueId, downloadBlob, readFileAsArrayBuffer, readFileAsText, readFileAsDataURL, prevent, isSecureContext, toast, pdfToScreen, screenToPdf };
 })();
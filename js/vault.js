@@ -0,0 +1,277 @@
+/**
+ * vault.js - Remembered signing keys
+ *
+ * Stores the derived Ed25519 seed (never the password) in IndexedDB,
+ * encrypted with AES-GCM under a non-extractable WebCrypto key that lives
+ * in the same database. Scripts can use the key but never read it out.
+ *
+ * Two modes:
+ * - device: unlocks silently on this browser profile
+ * - pin:    additionally wrapped under a key derived from a short PIN;
+ *           too many wrong PINs wipe the entry
+ *
+ * The wrong-PIN count is kept in the entry it guards. It stops guessing
+ * through this page, not someone who can edit the profile's IndexedDB:
+ * restoring an old copy of the entry resets the count, and the PIN's
+ * PBKDF2 cost is then all that slows a guesser down.
+ *
+ * Every entry expires. One entry per email, so several identities can
+ * share a browser.
+ */
+
+const Vault = (function() {
+  'use strict';
+
+  const DB_NAME = 'ots-sign-vault';
+  const DB_VERSION = 1;
+  const KEY_STORE = 'keys';
+  const IDENTITY_STORE = 'identities';
+  const DEVICE_KEY_ID = 'device';
+
+  const PIN_ITERATIONS = 600000;
+  const MAX_PIN_ATTEMPTS = 5;
+
+  // Plaintext (base64) credentials written by older versions
+  const LEGACY_STORAGE_KEY = 'ots-sign-credentials';
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const EXPIRY_OPTIONS = { '1d': DAY, '7d': 7 * DAY, '30d': 30 * DAY };
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(KEY_STORE)) {
+            db.createObjectStore(KEY_STORE, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(IDENTITY_STORE)) {
+            db.createObjectStore(IDENTITY_STORE, { keyPath: 'email' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  async function run(storeName, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async function getDeviceKey() {
+    const existing = await run(KEY_STORE, 'readonly', store => store.get(DEVICE_KEY_ID));
+    if (existing) return existing.key;
+
+    const key = await crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+    await run(KEY_STORE, 'readwrite', store => store.put({ id: DEVICE_KEY_ID, key }));
+    return key;
+  }
+
+  async function derivePinKey(pin, salt) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(pin),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: PIN_ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async function encrypt(key, data, aad) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: aad },
+      key,
+      data
+    );
+    return { iv, ciphertext: new Uint8Array(ciphertext) };
+  }
+
+  async function decrypt(key, box, aad) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: box.iv, additionalData: aad },
+      key,
+      box.ciphertext
+    );
+    return new Uint8Array(plaintext);
+  }
+
+  // Binds ciphertexts to their entry so they can't be swapped between identities
+  function associatedData(record) {
+    return new TextEncoder().encode(`${DB_NAME}:${record.email}:${record.publicKey}`);
+  }
+
+  function normalizeEmail(email) {
+    return email.toLowerCase().trim();
+  }
+
+  /**
+   * Remember a derived seed on this device
+   * @param {string} email
+   * @param {Uint8Array} seed - 32-byte Ed25519 seed
+   * @param {Object} options
+   * @param {string} options.publicKey - formatted public key
+   * @param {Object} options.kdf - KDF descriptor the seed came from
+   * @param {string} [options.mode] - 'device' | 'pin'
+   * @param {string} [options.pin] - required for 'pin' mode
+   * @param {string} [options.expiry] - key of EXPIRY_OPTIONS
+   */
+  async function save(email, seed, options) {
+    const mode = options.mode || 'device';
+    if (mode === 'pin' && !/^\d{4,}$/.test(options.pin || '')) {
+      throw new Error('PIN must be at least 4 digits');
+    }
+
+    const now = Date.now();
+    const record = {
+      email: normalizeEmail(email),
+      publicKey: options.publicKey,
+      kdf: options.kdf,
+      mode: mode,
+      created: new Date(now).toISOString(),
+      expiresAt: new Date(now + (EXPIRY_OPTIONS[options.expiry] || EXPIRY_OPTIONS['7d'])).toISOString(),
+      failedAttempts: 0,
+      pinSalt: null
+    };
+    const aad = associatedData(record);
+
+    let secret = seed;
+    if (mode === 'pin') {
+      record.pinSalt = crypto.getRandomValues(new Uint8Array(16));
+      const pinKey = await derivePinKey(options.pin, record.pinSalt);
+      const inner = await encrypt(pinKey, seed, aad);
+      secret = new Uint8Array(12 + inner.ciphertext.length);
+      secret.set(inner.iv);
+      secret.set(inner.ciphertext, 12);
+    }
+
+    record.box = await encrypt(await getDeviceKey(), secret, aad);
+    await run(IDENTITY_STORE, 'readwrite', store => store.put(record));
+  }
+
+  /**
+   * Look up a remembered identity without unlocking it.
+   * Expired entries are removed.
+   * @param {string} email
+   * @returns {Promise<Object|null>} {email, publicKey, kdf, mode, expiresAt}
+   */
+  async function get(email) {
+    const record = await run(IDENTITY_STORE, 'readonly', store => store.get(normalizeEmail(email)));
+    if (!record) return null;
+
+    if (new Date(record.expiresAt).getTime() <= Date.now()) {
+      await forget(record.email);
+      return null;
+    }
+
+    return {
+      email: record.email,
+      publicKey: record.publicKey,
+      kdf: record.kdf,
+      mode: record.mode,
+      expiresAt: record.expiresAt
+    };
+  }
+
+  /**
+   * Decrypt a remembered seed. A wrong PIN counts against the entry's
+   * attempts; see the header for what that count can't stop.
+   * @param {string} email
+   * @param {string} [pin] - required for 'pin' entries
+   * @returns {Promise<Uint8Array>} seed
+   */
+  async function unlock(email, pin) {
+    const record = await run(IDENTITY_STORE, 'readonly', store => store.get(normalizeEmail(email)));
+    if (!record || new Date(record.expiresAt).getTime() <= Date.now()) {
+      throw new Error('No saved key for ' + email);
+    }
+
+    const aad = associatedData(record);
+    const secret = await decrypt(await getDeviceKey(), record.box, aad);
+    if (record.mode !== 'pin') return secret;
+
+    try {
+      const pinKey = await derivePinKey(pin || '', record.pinSalt);
+      const seed = await decrypt(pinKey, { iv: secret.slice(0, 12), ciphertext: secret.slice(12) }, aad);
+      if (record.failedAttempts > 0) {
+        record.failedAttempts = 0;
+        await run(IDENTITY_STORE, 'readwrite', store => store.put(record));
+      }
+      return seed;
+    } catch {
+      record.failedAttempts++;
+      if (record.failedAttempts >= MAX_PIN_ATTEMPTS) {
+        await forget(record.email);
+        throw new Error('Too many wrong PINs. The saved key was removed.');
+      }
+      await run(IDENTITY_STORE, 'readwrite', store => store.put(record));
+      const left = MAX_PIN_ATTEMPTS - record.failedAttempts;
+      throw new Error(`Wrong PIN (${left} attempt${left === 1 ? '' : 's'} left)`);
+    }
+  }
+
+  /**
+   * List remembered identities (expired ones are skipped)
+   * @returns {Promise<Array>}
+   */
+  async function list() {
+    const records = await run(IDENTITY_STORE, 'readonly', store => store.getAll());
+    const now = Date.now();
+    return records
+      .filter(r => new Date(r.expiresAt).getTime() > now)
+      .map(r => ({ email: r.email, publicKey: r.publicKey, kdf: r.kdf, mode: r.mode, expiresAt: r.expiresAt }));
+  }
+
+  /**
+   * Forget one identity on this device
+   * @param {string} email
+   */
+  async function forget(email) {
+    await run(IDENTITY_STORE, 'readwrite', store => store.delete(normalizeEmail(email)));
+  }
+
+  /**
+   * Forget every identity and the device key
+   */
+  async function forgetAll() {
+    await run(IDENTITY_STORE, 'readwrite', store => store.clear());
+    await run(KEY_STORE, 'readwrite', store => store.clear());
+  }
+
+  // Older versions kept the password itself in localStorage
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+
+  return {
+    EXPIRY_OPTIONS,
+    MAX_PIN_ATTEMPTS,
+    save,
+    get,
+    unlock,
+    list,
+    forget,
+    forgetAll
+  };
+})();
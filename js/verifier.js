@@ -0,0 +1,1031 @@
+/**
+ * verifier.js - Verification of .ots-signed archives and self-verifying PDFs
+ *
+ * Shared by verify.html and the `otisign` CLI (bin/otisign.js), so the
+ * browser and the server run exactly the same checks. No DOM access here:
+ * everything comes in as bytes and goes out as a structured report.
+ *
+ * Depends on the same globals as verify.html: JSZip, PDFLib, OpenTimestamps,
+ * nacl, hashwasm, Bundle, Crypto, Merkle, Manifest, Cms, PdfSignature,
+ * Attachments, Outcome, Audit, Seal.
+ */
+
+const Verifier = (function() {
+  'use strict';
+
+  /**
+   * Verify an .ots-signed archive, a PDF carrying its own proof, or an
+   * unfinished .ots-sign bundle
+   * @param {ArrayBuffer|Uint8Array|Blob} data
+   * @param {Object} [options] - see verifyArchive
+   * @returns {Promise<Object>} report
+   */
+  async function verify(data, options = {}) {
+    let bytes;
+    if (data instanceof Uint8Array) {
+      bytes = data;
+    } else if (data instanceof ArrayBuffer) {
+      bytes = new Uint8Array(data);
+    } else {
+      bytes = new Uint8Array(await data.arrayBuffer());
+    }
+
+    // ZIPs start with PK; an uncompressed document.pdf would also put %PDF- near the start
+    const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b;
+    const head = new TextDecoder('latin1').decode(bytes.subarray(0, 1024));
+    if (!isZip && head.trimStart().startsWith('{')) return verifyBundle(bytes);
+    return !isZip && head.includes('%PDF-') ? verifyPdf(bytes, options) : verifyArchive(bytes, options);
+  }
+
+  /**
+   * Report on a bundle that is still being signed: the signatures so far,
+   * and whether a signer declined or the sender voided it. The signers get
+   * the same checks as in an archive, short of the merkle proof; the report
+   * is never `finalized`, since a bundle carries no timestamped proof.
+   * @param {Uint8Array} bytes - .ots-sign JSON
+   * @returns {Promise<Object>} report
+   */
+  async function verifyBundle(bytes) {
+    const report = createReport();
+
+    let bundle;
+    try {
+      bundle = JSON.parse(new TextDecoder().decode(bytes));
+      if (bundle.format && bundle.ciphertext) {
+        return fail(report, 'format', '🔒 Encrypted bundle', 'Unlock it on the sign page to see its signatures.');
+      }
+      if (!bundle.document || !bundle.document.data || !Array.isArray(bundle.signers)) throw new Error('missing document');
+    } catch (err) {
+      return fail(report, 'format', '✗ Invalid file', 'Not an .ots-sign bundle: ' + err.message);
+    }
+
+    const pdfBytes = new Uint8Array(Bundle.getPdfBytes(bundle));
+    const originalHash = Crypto.bytesToHex(await Crypto.sha256(pdfBytes));
+    report.status = bundle.status;
+    report.document = { name: bundle.document.name, hash: null, originalHash };
+    report.files = { zip: null, pdfBytes, otsBytes: null, verification: null, bundle };
+
+    add(report, await checkSeal(bundle));
+    if (bundle.voided) add(report, await checkVoid(bundle));
+
+    // Nothing is drawn yet: the manifests are held against the bundle's fields
+    const fields = [];
+    for (const field of bundle.fields || []) {
+      fields.push({ signerId: field.signerId, ...(await Manifest.describeField(field)) });
+    }
+
+    for (const signer of bundle.signers) {
+      const summary = {
+        name: signer.name,
+        email: signer.email,
+        publicKey: signer.publicKey,
+        keyPinned: Boolean(signer.expectedPublicKey),
+        signedAt: signer.signedAt
+      };
+      report.signers.push(summary);
+      if (signer.declined) {
+        add(report, { ...(await checkDecline(bundle, signer)), signer: signer.email });
+      } else if (signer.signed) {
+        const checks = [
+          await checkSignerSignature(signer, originalHash),
+          checkSignerKey(signer),
+          checkSignerFields(signer, fields),
+          checkSignerDeadline(signer, Bundle.getDeadline(bundle, signer)),
+          checkSignerConditions(signer)
+        ].filter(Boolean);
+        summary.valid = !checks.some(c => c.status === 'error');
+        checks.forEach(c => add(report, { ...c, signer: signer.email }));
+      } else {
+        add(report, {
+          check: 'signer-pending',
+          status: 'warning',
+          title: `⏳ ${signer.name}: not signed yet`,
+          message: signer.email,
+          signer: signer.email
+        });
+      }
+    }
+
+    if (bundle.audit && bundle.audit.length > 0) {
+      const audit = await checkAudit(bundle.audit, bundle.signers);
+      report.audit = audit.timeline;
+      add(report, audit.check);
+    }
+
+    if (!Bundle.isClosed(bundle)) {
+      add(report, {
+        check: 'timestamp',
+        status: 'warning',
+        title: '⏳ Not finalized',
+        message: 'This bundle has no timestamp yet. Verify the .ots-signed file once everyone has signed.'
+      });
+    }
+
+    return report;
+  }
+
+  async function checkSeal(bundle) {
+    const { status, seal, problems } = await Seal.check(bundle);
+
+    if (status === 'unsealed') {
+      return {
+        check: 'seal',
+        status: 'warning',
+        title: '? Layout not sealed',
+        message: "The sender didn't sign the layout, so changes made in transit can't be detected."
+      };
+    }
+    if (status === 'valid') {
+      return {
+        check: 'seal',
+        status: 'success',
+        title: `✓ Prepared by ${seal.name || seal.email}`,
+        message: `${seal.email} · sent ${seal.at.slice(0, 10)} · unchanged apart from valid signatures.`,
+        details: seal.publicKey
+      };
+    }
+    return {
+      check: 'seal',
+      status: 'error',
+      title: '✗ Changed after sending',
+      message: problems.join('. ') + '.',
+      details: seal.publicKey
+    };
+  }
+
+  async function checkVoid(bundle) {
+    const record = bundle.voided;
+    const valid = bundle.sender && record.publicKey === bundle.sender.publicKey &&
+      await Outcome.verifyRecord(bundle, record, Outcome.VOID_VERSION);
+
+    if (valid) {
+      return {
+        check: 'voided',
+        status: 'error',
+        title: `✗ Voided by the sender (${bundle.sender.name || bundle.sender.email})`,
+        message: record.reason || 'No reason given.',
+        details: `${record.at}\n${record.publicKey}`
+      };
+    }
+
+    return {
+      check: 'voided',
+      status: 'error',
+      title: '✗ Invalid void record',
+      message: 'The bundle is marked void, but not with a valid signature from the sender\'s key.',
+      details: record.publicKey
+    };
+  }
+
+  async function checkDecline(bundle, signer) {
+    const record = signer.declined;
+    const pinned = !signer.expectedPublicKey || signer.expectedPublicKey === record.publicKey;
+    const valid = pinned && record.email === signer.email &&
+      await Outcome.verifyRecord(bundle, record, Outcome.DECLINE_VERSION);
+
+    if (valid) {
+      return {
+        check: 'declined',
+        status: 'error',
+        title: `✗ Declined by ${signer.name}`,
+        message: record.reason || 'No reason given.',
+        details: `${record.at}\n${record.publicKey}`
+      };
+    }
+
+    return {
+      check: 'declined',
+      status: 'error',
+      title: `✗ ${signer.name}: invalid decline record`,
+      message: 'The bundle is marked declined, but not with a valid signature from this signer\'s key.',
+      details: record.publicKey
+    };
+  }
+
+  /**
+   * Verify a PDF from its embedded verification.json and timestamp.ots
+   * @param {Uint8Array} pdfBytes
+   * @param {Object} [options] - see verifyArchive
+   * @returns {Promise<Object>} report
+   */
+  async function verifyPdf(pdfBytes, options = {}) {
+    const report = createReport();
+
+    let proof;
+    try {
+      proof = await Attachments.readProof(pdfBytes);
+    } catch (err) {
+      return fail(report, 'format', '✗ Invalid file', 'Not a readable PDF: ' + err.message);
+    }
+
+    if (!proof.verification) {
+      return fail(report, 'format', '✗ No proof embedded', 'This PDF has no embedded verification.json. Verify the .ots-signed file instead.');
+    }
+
+    let verification;
+    try {
+      verification = JSON.parse(proof.verification);
+    } catch (err) {
+      return fail(report, 'format', '✗ Invalid file', 'Embedded verification.json is not valid JSON');
+    }
+
+    report.files = { zip: null, pdfBytes, otsBytes: proof.otsBytes, verification };
+    return verifyContents(report, pdfBytes, verification, proof.otsBytes, options);
+  }
+
+  /**
+   * Verify an .ots-signed archive
+   * @param {ArrayBuffer|Uint8Array|Blob} data - the ZIP file
+   * @param {Object} [options]
+   * @param {string[]} [options.calendars] - OTS calendar URLs
+   * @param {boolean} [options.network] - contact calendars/explorers (default true)
+   * @returns {Promise<Object>} report
+   */
+  async function verifyArchive(data, options = {}) {
+    const report = createReport();
+
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(data);
+    } catch (err) {
+      return fail(report, 'format', '✗ Invalid file', 'Not a ZIP archive: ' + err.message);
+    }
+
+    const pdfFile = zip.file('document.pdf');
+    const verificationFile = zip.file('verification.json');
+    const otsFile = zip.file('timestamp.ots');
+
+    if (!pdfFile || !verificationFile) {
+      return fail(report, 'format', '✗ Invalid file', 'Missing document.pdf or verification.json');
+    }
+
+    const pdfBytes = await pdfFile.async('uint8array');
+    const otsBytes = otsFile ? await otsFile.async('uint8array') : null;
+
+    let verification;
+    try {
+      verification = JSON.parse(await verificationFile.async('string'));
+    } catch (err) {
+      return fail(report, 'format', '✗ Invalid file', 'verification.json is not valid JSON');
+    }
+
+    report.files = { zip, pdfBytes, otsBytes, verification };
+    return verifyContents(report, pdfBytes, verification, otsBytes, options);
+  }
+
+  async function verifyContents(report, pdfBytes, verification, otsBytes, options) {
+    const version = verification.version;
+    report.version = version;
+    report.merkleRoot = verification.merkleRoot;
+    // Without timestamp.ots there is no proof the document was finalized when it says
+    report.finalized = Boolean(otsBytes);
+    report.document = {
+      name: verification.document?.name || 'document.pdf',
+      hash: verification.document?.hash || null,
+      originalHash: verification.document?.originalHash || null
+    };
+
+    if (!Merkle.isSupported(version)) {
+      return fail(report, 'format', '✗ Unsupported format', `Unknown verification version: ${version}`);
+    }
+
+    try {
+      add(report, await checkDocument(pdfBytes, verification));
+
+      for (const [index, signer] of verification.signers.entries()) {
+        const summary = {
+          name: signer.name,
+          email: signer.email,
+          publicKey: signer.publicKey,
+          keyPinned: Boolean(signer.expectedPublicKey),
+          signedAt: signer.signedAt
+        };
+        report.signers.push(summary);
+
+        const checks = [
+          await checkSignerProof(signer, index, verification),
+          await checkSignerSignature(signer, verification.document.originalHash, version),
+          checkSignerKey(signer),
+          checkSignerFields(signer, verification.fields),
+          checkSignerDeadline(signer, signer.deadline),
+          checkSignerConditions(signer)
+        ].filter(Boolean);
+        summary.valid = !checks.some(c => c.status === 'error');
+        checks.forEach(c => add(report, { ...c, signer: signer.email }));
+      }
+
+      if (version === Merkle.V4 && !verification.audit) {
+        add(report, {
+          check: 'audit',
+          status: 'error',
+          title: '✗ Audit trail missing',
+          message: 'The archive leaves out the event log its merkle root commits to.'
+        });
+      } else if (verification.audit) {
+        const audit = await checkAudit(verification.audit.entries || [], verification.signers, {
+          ...verification.audit,
+          merkleRoot: verification.merkleRoot
+        });
+        report.audit = audit.timeline;
+        add(report, audit.check);
+      }
+
+      const fieldsCheck = await checkDrawnFields(verification);
+      if (fieldsCheck) add(report, fieldsCheck);
+
+      const orderCheck = checkSigningOrder(verification.signers);
+      if (orderCheck) add(report, orderCheck);
+
+      const pdfChecks = await checkPdfSignatures(pdfBytes, verification);
+      pdfChecks.forEach(c => add(report, c));
+
+      if (otsBytes) {
+        const result = await checkTimestamp(otsBytes, verification.merkleRoot, options);
+        report.timestamp = result.timestamp;
+        add(report, result.check);
+      } else {
+        report.timestamp = { status: 'missing' };
+      }
+    } catch (err) {
+      console.error(err);
+      add(report, { check: 'format', status: 'error', title: '✗ Error', message: err.message });
+    }
+
+    return report;
+  }
+
+  // What the audit log's closing entry records about the finished document
+  function finalizedData(verification) {
+    const entries = verification.audit?.entries || [];
+    const last = entries[entries.length - 1];
+    return (last && last.type === 'finalized' && last.data) || {};
+  }
+
+  // The certificate is drawn once the root exists, so its page count is committed through the audit log's closing entry
+  function certificatePages(verification) {
+    return finalizedData(verification).certificatePages || 0;
+  }
+
+  // The drawn fields are what each manifest is held against, so the root must commit to them
+  async function checkDrawnFields(verification) {
+    if (!verification.fields) return null;
+    const committed = finalizedData(verification).fieldsHash;
+    if (!committed) {
+      return {
+        check: 'fields',
+        status: 'warning',
+        title: '? Drawn fields not committed',
+        message: 'The merkle root does not cover the list of fields drawn into the document.'
+      };
+    }
+    if (committed === await Manifest.hashDrawn(verification.fields)) {
+      const count = verification.fields.length;
+      return {
+        check: 'fields',
+        status: 'success',
+        title: '✓ Drawn fields committed',
+        message: `The merkle root covers the ${count} field${count === 1 ? '' : 's'} drawn into the document.`
+      };
+    }
+    return {
+      check: 'fields',
+      status: 'error',
+      title: '✗ Drawn fields changed',
+      message: 'The fields in verification.json differ from the ones recorded when the document was finalized.'
+    };
+  }
+
+  async function checkDocument(pdfBytes, verification) {
+    const version = verification.version;
+    const certificate = certificatePages(verification);
+
+    // 'revision' scope: the hash covers the first `size` bytes, the proof attachments follow
+    let covered = pdfBytes;
+    if (verification.document.scope === 'revision') {
+      const size = verification.document.size;
+      if (!(size > 0 && size <= pdfBytes.length)) {
+        return {
+          check: 'document',
+          status: 'error',
+          title: '✗ Document modified',
+          message: 'The document is shorter than the signed revision.'
+        };
+      }
+      covered = pdfBytes.subarray(0, size);
+
+      const problems = await Attachments.checkAppended(pdfBytes, size, { pages: certificate });
+      if (problems.length > 0) {
+        return {
+          check: 'document',
+          status: 'error',
+          title: '✗ Document modified after signing',
+          message: certificate > 0
+            ? 'Changes after the signed revision go beyond the completion certificate and the embedded proof files.'
+            : 'Changes after the signed revision go beyond the embedded proof files.',
+          details: problems.join('\n')
+        };
+      }
+    }
+
+    const computedDocHash = await Merkle.hashDocument(covered);
+    const docHashHex = Crypto.bytesToHex(computedDocHash);
+    const docHashMatch = docHashHex === verification.document.hash;
+
+    let docProofValid = await Merkle.verifyLeaf(
+      version,
+      await Merkle.documentLeaf(version, computedDocHash),
+      verification.document.proof,
+      verification.merkleRoot
+    );
+    // v4 proofs commit to position: the document is always leaf 0
+    if (version === Merkle.V4 && !atLeaf(verification.document.proof, 0, verification)) {
+      docProofValid = false;
+    }
+
+    if (docHashMatch && docProofValid) {
+      return {
+        check: 'document',
+        status: 'success',
+        title: '✓ Document intact',
+        message: certificate > 0
+          ? `Content verified against merkle root. The completion certificate (last ${certificate === 1 ? 'page' : certificate + ' pages'}) was added after signing and isn't covered by it.`
+          : 'Content verified against merkle root.',
+        details: verification.document.hash
+      };
+    }
+
+    return {
+      check: 'document',
+      status: 'error',
+      title: '✗ Document modified',
+      message: 'Content does not match signed version.',
+      details: `Expected: ${verification.document.hash}\nGot: ${docHashHex}`
+    };
+  }
+
+  // v4 leaves: the document, the signers in list order, then the audit log's head
+  function atLeaf(proof, index, verification) {
+    return proof?.index === index && proof?.size === verification.signers.length + 2;
+  }
+
+  async function checkSignerProof(signer, index, verification) {
+    const version = verification.version;
+    let proofValid = await Merkle.verifyLeaf(
+      version,
+      await Merkle.signerLeaf(version, signer),
+      signer.proof,
+      verification.merkleRoot
+    );
+    // A signer dropped from or moved in the list no longer sits at its leaf
+    if (version === Merkle.V4 && !atLeaf(signer.proof, index + 1, verification)) {
+      proofValid = false;
+    }
+
+    if (proofValid) {
+      let kdfLabel;
+      try {
+        kdfLabel = Crypto.describeKdf(signer.kdf);
+      } catch (err) {
+        kdfLabel = err.message;
+      }
+      return {
+        check: 'signer-proof',
+        status: 'success',
+        title: `✓ ${signer.name}`,
+        message: `${signer.email} · ${String(signer.signedAt).slice(0, 10)}`,
+        details: `${signer.publicKey}\n${kdfLabel}`
+      };
+    }
+
+    return {
+      check: 'signer-proof',
+      status: 'error',
+      title: `✗ ${signer.name}`,
+      message: 'Signature proof invalid.',
+      details: signer.publicKey
+    };
+  }
+
+  // Rebuild the exact message the signer signed and check it against their public key.
+  // v4 archives always record the original hash, so only older ones may leave it out.
+  async function checkSignerSignature(signer, originalHash, version) {
+    if (!originalHash && version === Merkle.V4) {
+      return {
+        check: 'signer-signature',
+        status: 'error',
+        title: `✗ ${signer.name}: signature not checkable`,
+        message: 'The archive does not record the original document hash this signature covers.'
+      };
+    }
+    if (!originalHash) {
+      return {
+        check: 'signer-signature',
+        status: 'warning',
+        title: `? ${signer.name}: signature not checked`,
+        message: 'This archive predates signature verification (no original document hash recorded).'
+      };
+    }
+
+    try {
+      const manifestHash = signer.manifest ? await Manifest.hash(signer.manifest) : undefined;
+      const message = await Crypto.createSigningMessage(
+        Crypto.hexToBytes(originalHash),
+        signer.email,
+        signer.signedAt,
+        manifestHash
+      );
+      const valid = Crypto.verify(
+        message,
+        Crypto.hexToBytes(signer.cryptoSignature),
+        Crypto.parsePublicKey(signer.publicKey)
+      );
+
+      if (valid) {
+        return {
+          check: 'signer-signature',
+          status: 'success',
+          title: `✓ ${signer.name}: signature valid`,
+          message: 'Ed25519 signature matches the public key.'
+        };
+      }
+    } catch (err) {
+      console.error(err);
+    }
+
+    return {
+      check: 'signer-signature',
+      status: 'error',
+      title: `✗ ${signer.name}: signature invalid`,
+      message: 'Ed25519 signature does not match the public key.',
+      details: signer.cryptoSignature
+    };
+  }
+
+  // Pinned: the sender recorded this key before signing. Otherwise the first
+  // signature under this name defined it (trust on first use).
+  function checkSignerKey(signer) {
+    if (!signer.expectedPublicKey) {
+      return {
+        check: 'signer-key',
+        status: 'warning',
+        title: `? ${signer.name}: key not pinned`,
+        message: 'Trust on first use: the sender did not record this signer\'s key in advance.'
+      };
+    }
+
+    if (signer.expectedPublicKey === signer.publicKey) {
+      return {
+        check: 'signer-key',
+        status: 'success',
+        title: `✓ ${signer.name}: key pinned`,
+        message: 'Signed with the key the sender recorded in advance.'
+      };
+    }
+
+    return {
+      check: 'signer-key',
+      status: 'error',
+      title: `✗ ${signer.name}: unexpected key`,
+      message: 'Signed with a different key than the sender recorded.',
+      details: `Expected: ${signer.expectedPublicKey}\nGot: ${signer.publicKey}`
+    };
+  }
+
+  // Check the signed manifest against the fields drawn into the final PDF
+  function checkSignerFields(signer, drawnFields) {
+    // Without the drawn fields there's nothing to hold the signed values against
+    if (signer.manifest && !drawnFields) {
+      return {
+        check: 'signer-fields',
+        status: 'error',
+        title: `✗ ${signer.name}: fields missing`,
+        message: 'This signer signed field values, but the archive does not record the fields drawn into the document.'
+      };
+    }
+    if (!signer.manifest) {
+      return {
+        check: 'signer-fields',
+        status: 'warning',
+        title: `? ${signer.name}: field values not bound`,
+        message: 'This signature does not cover the values entered into the document.'
+      };
+    }
+
+    const { valid, problems } = Manifest.check(signer.manifest, drawnFields);
+    if (valid) {
+      const count = signer.manifest.fields.length;
+      const hidden = drawnFields.filter(f => f.signerId === signer.manifest.signerId && f.hidden).length;
+      return {
+        check: 'signer-fields',
+        status: 'success',
+        title: `✓ ${signer.name}: fields match`,
+        message: `${count} field${count === 1 ? ' matches' : 's match'} what was signed` +
+          (hidden > 0 ? ` (${hidden} hidden by a rule and not drawn).` : '.')
+      };
+    }
+
+    return {
+      check: 'signer-fields',
+      status: 'error',
+      title: `✗ ${signer.name}: fields changed`,
+      message: 'Fields in the document differ from what this signer signed.',
+      details: problems.join('\n')
+    };
+  }
+
+  /**
+   * Check an audit log's chain and signatures and build the timeline. With a
+   * merkle root, also check the recorded head is covered by it.
+   * @param {Array} entries
+   * @param {Array} signers - to match signer entries against their keys
+   * @param {{head?: string, proof?: Object, merkleRoot?: string}} [committed]
+   * @returns {Promise<{check: Object, timeline: Array}>}
+   */
+  async function checkAudit(entries, signers, committed = {}) {
+    const result = await Audit.verify(entries);
+    const problems = result.problems.slice();
+
+    if (committed.merkleRoot) {
+      if (result.head !== committed.head) {
+        problems.push('The log does not end at the recorded head');
+      }
+      const proofValid = committed.head && await Merkle.verifyLeaf(
+        Merkle.V4,
+        await Merkle.auditLeaf(committed.head),
+        committed.proof,
+        committed.merkleRoot
+      );
+      if (!proofValid) problems.push('The log head is not covered by the merkle root');
+      // The head is the last leaf, after the document and every signer
+      if (proofValid && !atLeaf(committed.proof, signers.length + 1, { signers })) {
+        problems.push('The log head is not the last leaf of the merkle tree');
+      }
+    }
+
+    // Signers must log with the key they signed the document with; the sender with one key throughout
+    const senderKeys = new Set();
+    const timeline = result.entries.map(({ entry, signature }) => {
+      let signedBy = null;
+      if (signature === 'valid') {
+        if (entry.actor.role === 'signer') {
+          const signer = signers.find(s => s.email === entry.actor.email);
+          // Before signing, a pinned key is the only one known
+          const key = signer && (signer.publicKey || signer.expectedPublicKey);
+          if (signer && (!key || key === entry.publicKey)) {
+            signedBy = 'signer';
+          } else {
+            problems.push(`${entry.type} by ${entry.actor.email}: signed with a key other than the signer's`);
+          }
+        } else if (entry.actor.role === 'sender') {
+          senderKeys.add(entry.publicKey);
+          signedBy = 'sender';
+        }
+      }
+      return {
+        type: entry.type,
+        actor: entry.actor,
+        at: entry.at,
+        data: entry.data || null,
+        signature,
+        signedBy
+      };
+    });
+    if (senderKeys.size > 1) problems.push('Sender entries are signed with different keys');
+
+    const count = timeline.length;
+    const signed = timeline.filter(e => e.signedBy).length;
+    if (problems.length === 0) {
+      return {
+        timeline,
+        check: {
+          check: 'audit',
+          status: 'success',
+          title: '✓ Audit trail intact',
+          message: `${count} event${count === 1 ? '' : 's'}, ${signed} signed by ${signed === 1 ? 'its actor' : 'their actors'}.`
+        }
+      };
+    }
+
+    return {
+      timeline,
+      check: {
+        check: 'audit',
+        status: 'error',
+        title: '✗ Audit trail tampered',
+        message: 'The event log does not match what was timestamped.',
+        details: problems.join('\n')
+      }
+    };
+  }
+
+  // Null when there was no deadline; signedAt is covered by the signer's own signature
+  function checkSignerDeadline(signer, deadline) {
+    if (!deadline || !signer.signedAt) return null;
+    if (new Date(signer.signedAt) <= new Date(deadline)) {
+      return {
+        check: 'signer-deadline',
+        status: 'success',
+        title: `✓ ${signer.name}: signed before the deadline`,
+        message: `Due ${deadline}, signed ${signer.signedAt}.`
+      };
+    }
+    return {
+      check: 'signer-deadline',
+      status: 'warning',
+      title: `⚠ ${signer.name}: signed after the deadline`,
+      message: `Due ${deadline}, signed ${signer.signedAt}.`
+    };
+  }
+
+  // The field rules in force when the signer signed, from their signed manifest;
+  // null when none of their fields had a rule
+  function checkSignerConditions(signer) {
+    const conditions = (signer.manifest && signer.manifest.conditions) || [];
+    if (conditions.length === 0) return null;
+
+    const active = conditions.filter(c => c.active).length;
+    const effects = { show: 'shown', require: 'required', disable: 'disabled' };
+    const operators = { filled: 'is filled', empty: 'is empty', equals: 'is', not_equals: 'is not' };
+    return {
+      check: 'signer-conditions',
+      status: 'success',
+      title: `✓ ${signer.name}: ${conditions.length} conditional field${conditions.length === 1 ? '' : 's'}`,
+      message: `${active} condition${active === 1 ? '' : 's'} held when they signed, ${conditions.length - active} did not.`,
+      details: conditions.map(({ fieldId, rule, active }) => {
+        const value = rule.operator === 'equals' || rule.operator === 'not_equals' ? ` "${rule.value}"` : '';
+        return `${fieldId}: ${effects[rule.effect] || rule.effect} when ${rule.field} ${operators[rule.operator] || rule.operator}${value}` +
+          ` (${active ? 'held' : 'did not hold'})`;
+      }).join('\n')
+    };
+  }
+
+  // Only documents with more than one routing group have an order to check
+  function checkSigningOrder(signers) {
+    const groups = [...new Set(signers.map(s => s.order || 1))].sort((a, b) => a - b);
+    if (groups.length < 2) return null;
+
+    const problems = [];
+    signers
+      .filter(s => (s.order || 1) > groups[0])
+      .forEach(s => problems.push(...Manifest.checkRouting(s, signers)));
+
+    const route = groups
+      .map(order => signers.filter(s => (s.order || 1) === order).map(s => s.name).join(', '))
+      .join(' → ');
+
+    if (problems.length === 0) {
+      return {
+        check: 'signing-order',
+        status: 'success',
+        title: '✓ Signing order followed',
+        message: route
+      };
+    }
+
+    return {
+      check: 'signing-order',
+      status: 'error',
+      title: '✗ Signing order not followed',
+      message: route,
+      details: problems.join('\n')
+    };
+  }
+
+  /**
+   * Check the signatures embedded in the PDF itself and match them to signers.
+   * A P-256 key is bound to its signer through their signed manifest.
+   * @param {Uint8Array} pdfBytes
+   * @param {Object} verification
+   * @returns {Promise<Array>} checks
+   */
+  async function checkPdfSignatures(pdfBytes, verification) {
+    const embedded = await PdfSignature.verify(pdfBytes);
+    const pdfKey = signer => (signer.manifest && signer.manifest.pdfSigningKey) || signer.publicKey;
+    const checks = [];
+
+    for (const sig of embedded) {
+      const signer = verification.signers.find(s => pdfKey(s) === sig.publicKey);
+      const label = PdfSignature.ALGORITHMS[sig.algorithm] || 'Unknown algorithm';
+      const name = signer ? signer.name : sig.name || 'Unknown signer';
+
+      if (!sig.valid) {
+        checks.push({
+          check: 'pdf-signature',
+          status: 'error',
+          title: `✗ PDF signature invalid: ${name}`,
+          message: sig.error,
+          details: sig.publicKey || undefined
+        });
+      } else if (!signer) {
+        checks.push({
+          check: 'pdf-signature',
+          status: 'warning',
+          title: `? PDF signature: ${name}`,
+          message: 'Valid, but not made by a signer of this archive.',
+          details: sig.publicKey
+        });
+      } else {
+        checks.push({
+          check: 'pdf-signature',
+          status: 'success',
+          title: `✓ PDF signature: ${name}`,
+          message: `${label} · covers revision ${sig.revision} of ${sig.revisions}`,
+          details: sig.publicKey,
+          signer: signer.email
+        });
+      }
+    }
+
+    if (verification.pdfSignatures) {
+      for (const signer of verification.signers) {
+        if (!embedded.some(sig => sig.valid && sig.publicKey === pdfKey(signer))) {
+          checks.push({
+            check: 'pdf-signature',
+            status: 'error',
+            title: `✗ ${signer.name}: PDF signature missing`,
+            message: 'This archive embeds a PDF signature per signer, but none was found for this signer.',
+            signer: signer.email
+          });
+        }
+      }
+    }
+
+    return checks;
+  }
+
+  /**
+   * Check timestamp.ots covers the merkle root, then confirm it against Bitcoin.
+   * finalizeDocument stamps the root bytes as a file, so the OTS digest is SHA-256(root).
+   * @param {Uint8Array} otsBytes
+   * @param {string} merkleRoot - hex
+   * @param {Object} [options] - see verifyArchive
+   * @returns {Promise<{check: Object, timestamp: Object}>}
+   */
+  async function checkTimestamp(otsBytes, merkleRoot, options = {}) {
+    let detached;
+    try {
+      detached = OpenTimestamps.DetachedTimestampFile.deserialize(otsBytes);
+    } catch (err) {
+      return {
+        timestamp: { status: 'invalid' },
+        check: { check: 'timestamp', status: 'error', title: '✗ Timestamp unreadable', message: err.message }
+      };
+    }
+
+    const expected = OpenTimestamps.DetachedTimestampFile.fromBytes(
+      new OpenTimestamps.Ops.OpSHA256(),
+      Crypto.hexToBytes(merkleRoot)
+    );
+    const expectedDigest = Crypto.bytesToHex(expected.fileDigest());
+    if (Crypto.bytesToHex(detached.fileDigest()) !== expectedDigest) {
+      return {
+        timestamp: { status: 'invalid' },
+        check: {
+          check: 'timestamp',
+          status: 'error',
+          title: '✗ Timestamp mismatch',
+          message: 'timestamp.ots does not cover this merkle root.',
+          details: `Expected: ${expectedDigest}\nGot: ${Crypto.bytesToHex(detached.fileDigest())}`
+        }
+      };
+    }
+
+    if (options.network !== false) {
+      try {
+        const verifyResult = await OpenTimestamps.verify(detached, expected, { calendars: options.calendars });
+        if (verifyResult && verifyResult.bitcoin) {
+          const ts = new Date(verifyResult.bitcoin.timestamp * 1000);
+          return {
+            timestamp: {
+              status: 'confirmed',
+              bitcoinHeight: verifyResult.bitcoin.height,
+              attestedAt: ts.toISOString()
+            },
+            check: {
+              check: 'timestamp',
+              status: 'success',
+              title: '✓ Bitcoin timestamp',
+              message: `Confirmed ${ts.toISOString().slice(0, 10)} in block ${verifyResult.bitcoin.height}`,
+              details: `Merkle root: ${merkleRoot}`
+            }
+          };
+        }
+      } catch (err) {
+        console.error(err);
+      }
+    }
+
+    const heights = bitcoinHeights(detached);
+    if (heights.length > 0) {
+      return {
+        timestamp: { status: 'attested', bitcoinHeight: heights[0] },
+        check: {
+          check: 'timestamp',
+          status: 'warning',
+          title: '⏳ Bitcoin timestamp unconfirmed',
+          message: `Attested in block ${heights[0]}, but the block could not be checked right now.`,
+          details: `Merkle root: ${merkleRoot}`
+        }
+      };
+    }
+
+    return {
+      timestamp: { status: 'pending' },
+      check: {
+        check: 'timestamp',
+        status: 'warning',
+        title: '⏳ Timestamp pending',
+        message: 'Awaiting Bitcoin confirmation (can take hours). Try "Upgrade timestamp".'
+      }
+    };
+  }
+
+  /**
+   * Bitcoin block heights attested by a timestamp, lowest first
+   * @param {Object} detached - OpenTimestamps.DetachedTimestampFile
+   * @returns {number[]}
+   */
+  function bitcoinHeights(detached) {
+    const heights = [];
+    detached.timestamp.allAttestations().forEach(attestation => {
+      if (attestation instanceof OpenTimestamps.Notary.BitcoinBlockHeaderAttestation) {
+        heights.push(attestation.height);
+      }
+    });
+    return heights.sort((a, b) => a - b);
+  }
+
+  /**
+   * Ask calendars to complete a pending timestamp. An upgraded proof goes
+   * back into the archive's timestamp.ots, and into the PDF's embedded
+   * proof when the document hashes only its signed revision (older archives
+   * hash the whole PDF, so theirs must stay untouched).
+   * @param {Object} files - report.files from verify(); the zip is updated in place
+   * @param {string[]} calendars - calendar URLs
+   * @returns {Promise<{changed: boolean, heights: number[], otsBytes: Uint8Array, pdfBytes: Uint8Array}>}
+   */
+  async function upgradeTimestamp(files, calendars) {
+    const detached = OpenTimestamps.DetachedTimestampFile.deserialize(files.otsBytes);
+    const changed = await OpenTimestamps.upgrade(detached, { calendars });
+    let { otsBytes, pdfBytes } = files;
+
+    if (changed) {
+      otsBytes = detached.serializeToBytes();
+      if (files.verification.document.scope === 'revision') {
+        pdfBytes = await Attachments.attachProof(pdfBytes, { otsBytes });
+      }
+      if (files.zip) {
+        files.zip.file('timestamp.ots', otsBytes);
+        files.zip.file('document.pdf', pdfBytes);
+      }
+    }
+
+    return { changed, heights: bitcoinHeights(detached), otsBytes, pdfBytes };
+  }
+
+  /**
+   * Strip the raw file contents from a report for JSON output
+   * @param {Object} report
+   * @returns {Object}
+   */
+  function toJSON(report) {
+    const { files, ...rest } = report;
+    return rest;
+  }
+
+  function createReport() {
+    return {
+      valid: false,
+      finalized: false,
+      version: null,
+      merkleRoot: null,
+      document: null,
+      signers: [],
+      audit: null,
+      timestamp: null,
+      results: [],
+      files: null
+    };
+  }
+
+  function add(report, result) {
+    report.results.push(result);
+    report.valid = !report.results.some(r => r.status === 'error');
+  }
+
+  function fail(report, check, title, message) {
+    add(report, { check, status: 'error', title, message });
+    return report;
+  }
+
+  return {
+    verify,
+    verifyPdf,
+    verifyArchive,
+    verifyBundle,
+    checkTimestamp,
+    bitcoinHeights,
+    upgradeTimestamp,
+    toJSON
+  };
+})();
@@ -0,0 +1,122 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, formPdf, createBundle, signAndFinalize } = require('./helpers');
+
+const { AcroForm, Bundle, PDFLib, Verifier } = load();
+
+// As prepare.html imports them: every form field for Alice, radio buttons in one group
+async function imported(flatten) {
+  const pdfBytes = await formPdf();
+  const bundle = await createBundle(pdfBytes);
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  for (const entry of await AcroForm.read(pdfBytes)) {
+    Bundle.addField(bundle, {
+      ...entry,
+      signerId: alice.id,
+      required: entry.required || entry.type === 'signature',
+      formField: entry.name,
+      group: entry.type === 'radio' ? 'plan' : undefined,
+      format: entry.format || undefined
+    });
+  }
+  bundle.acroForm = { flatten };
+  Bundle.markSent(bundle);
+  return bundle;
+}
+
+function byForm(bundle, name, option) {
+  return bundle.fields.find(f => f.formField === name && (!option || f.option === option)).id;
+}
+
+test('form fields are read with their page, box and settings', async () => {
+  const entries = await AcroForm.read(await formPdf());
+  assert.deepEqual(entries.map(e => [e.name, e.type, e.page]), [
+    ['name', 'text', 0],
+    ['married', 'checkbox', 0],
+    ['plan', 'radio', 0],
+    ['plan', 'radio', 0],
+    ['color', 'dropdown', 0],
+    ['notes', 'text', 1],
+    ['sign_here', 'signature', 0]
+  ]);
+  assert.deepEqual(entries[0].format, { maxLength: 30 });
+  assert.deepEqual(entries[5].format, { multiline: true });
+  assert.deepEqual(entries.filter(e => e.type === 'radio').map(e => e.option), ['Basic', 'Pro']);
+  assert.deepEqual(entries[4].options, ['Red', 'Green', 'Blue']);
+  // The widget's rectangle, y at its bottom edge
+  assert.deepEqual([entries[6].x, entries[6].y, entries[6].width, entries[6].height], [50, 100, 200, 50]);
+});
+
+test('bundle field types map to the form field they fill', () => {
+  assert.deepEqual(
+    ['signature', 'initials', 'checkbox', 'radio', 'dropdown', 'text', 'date'].map(AcroForm.formType),
+    ['signature', 'signature', 'checkbox', 'radio', 'dropdown', 'text', 'text']
+  );
+});
+
+test('fill writes values into the form and returns what it could not fill', async () => {
+  const pdfDoc = await PDFLib.PDFDocument.load(await formPdf());
+  const fields = [
+    { type: 'text', formField: 'name', value: 'Alice' },
+    { type: 'checkbox', formField: 'married', value: Bundle.CHECKED },
+    { type: 'radio', formField: 'plan', option: 'Basic', value: null },
+    { type: 'radio', formField: 'plan', option: 'Pro', value: 'Pro' },
+    { type: 'dropdown', formField: 'color', value: 'Green' },
+    { type: 'date', formField: 'notes', value: '2026-01-01' }
+  ];
+  const missing = { type: 'text', formField: 'nickname', value: 'Al' };
+  const mismatched = { type: 'checkbox', formField: 'name', value: Bundle.CHECKED };
+  const unoffered = { type: 'dropdown', formField: 'color', value: 'Purple' };
+  const tooLong = { type: 'text', formField: 'name', value: 'x'.repeat(31) };
+
+  assert.deepEqual(AcroForm.fill(pdfDoc, [...fields, missing, mismatched]), [missing, mismatched]);
+  const form = pdfDoc.getForm();
+  assert.equal(form.getTextField('name').getText(), 'Alice');
+  assert.equal(form.getCheckBox('married').isChecked(), true);
+  assert.equal(form.getRadioGroup('plan').getSelected(), 'Pro');
+  assert.deepEqual(form.getDropdown('color').getSelected(), ['Green']);
+  assert.equal(form.getTextField('notes').getText(), '2026-01-01');
+
+  assert.equal(form.getDropdown('color').isReadOnly(), false);
+  assert.deepEqual(AcroForm.fill(pdfDoc, [unoffered, tooLong]), [unoffered, tooLong]);
+  // Drawn over instead, with the form fields locked so they can't be filled in later
+  assert.equal(form.getTextField('name').getText(), 'Alice');
+  assert.deepEqual(form.getDropdown('color').getOptions(), ['Red', 'Green', 'Blue']);
+  assert.equal(form.getDropdown('color').isReadOnly(), true);
+  assert.equal(form.getTextField('name').isReadOnly(), true);
+});
+
+test('a flattened form verifies and keeps no fields', async () => {
+  const bundle = await imported(true);
+  const { result } = await signAndFinalize(bundle, {
+    [byForm(bundle, 'name')]: 'Alice',
+    [byForm(bundle, 'plan', 'Basic')]: 'Basic',
+    [byForm(bundle, 'color')]: 'Red'
+  });
+
+  const pdfDoc = await PDFLib.PDFDocument.load(result.pdfBytes);
+  assert.deepEqual(pdfDoc.getForm().getFields().filter(f => !(f instanceof PDFLib.PDFSignature)), []);
+  assert.equal((await Verifier.verify(result.pdfBytes, { network: false })).valid, true);
+});
+
+test('a form left fillable keeps the values and drops the signed signature field', async () => {
+  const bundle = await imported(false);
+  const { result } = await signAndFinalize(bundle, {
+    [byForm(bundle, 'name')]: 'Alice',
+    [byForm(bundle, 'married')]: Bundle.CHECKED,
+    [byForm(bundle, 'plan', 'Pro')]: 'Pro',
+    [byForm(bundle, 'color')]: 'Blue',
+    [byForm(bundle, 'notes')]: 'First line\nSecond line'
+  });
+
+  const form = (await PDFLib.PDFDocument.load(result.pdfBytes)).getForm();
+  assert.equal(form.getTextField('name').getText(), 'Alice');
+  assert.equal(form.getCheckBox('married').isChecked(), true);
+  assert.equal(form.getRadioGroup('plan').getSelected(), 'Pro');
+  assert.deepEqual(form.getDropdown('color').getSelected(), ['Blue']);
+  assert.equal(form.getTextField('notes').getText(), 'First line\nSecond line');
+  assert.equal(form.getFieldMaybe('sign_here'), undefined);
+  assert.equal((await Verifier.verify(result.pdfBytes, { network: false })).valid, true);
+});
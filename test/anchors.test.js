@@ -0,0 +1,139 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createBundle, signAndFinalize } = require('./helpers');
+
+const { Anchors, Bundle, PDFLib, TextField, Verifier, pdfjsLib } = load({ pdfjs: true });
+
+// A generated contract: tags for Alice and the Manager, phrases, and a broken tag
+async function taggedPdf() {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  const page = pdfDoc.addPage([600, 800]);
+  const font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+  page.drawText('Employee {{sig:1}}', { x: 50, y: 700, size: 12, font });
+  page.drawText('Job title {{text:signer1}}', { x: 50, y: 650, size: 12, font });
+  page.drawText('Signature: ______   Update: x', { x: 50, y: 600, size: 12, font });
+  page.drawText('{{date:Manager}} {{initials:3}} {{foo:1}}', { x: 50, y: 500, size: 10, font });
+  page.drawText('Signature: ______', { x: 300, y: 300, size: 12, font });
+  return pdfDoc.save();
+}
+
+async function withPdf(bytes, use) {
+  const doc = await pdfjsLib.getDocument({ data: new Uint8Array(bytes), isEvalSupported: false, verbosity: 0 }).promise;
+  try {
+    return await use(doc);
+  } finally {
+    await doc.destroy();
+  }
+}
+
+async function scanned() {
+  const pdfBytes = await taggedPdf();
+  const bundle = await createBundle(pdfBytes);
+  Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  Bundle.addSigner(bundle, 'Bob', 'bob@example.com', { role: 'Manager' });
+  const phrases = Anchors.parsePhrases('signature: Signature:\ndate: Date:');
+  const matches = await withPdf(pdfBytes, doc => Anchors.scan(doc, phrases));
+  return { bundle, matches };
+}
+
+test('phrase settings parse and format', () => {
+  const phrases = Anchors.parsePhrases('  sig: Sign here:\n\ncheck: I agree\n');
+  assert.deepEqual(phrases, [{ type: 'signature', phrase: 'Sign here:' }, { type: 'checkbox', phrase: 'I agree' }]);
+  assert.equal(Anchors.formatPhrases(phrases), 'signature: Sign here:\ncheckbox: I agree');
+  assert.deepEqual(Anchors.parsePhrases(Anchors.formatPhrases(Anchors.DEFAULT_PHRASES)), Anchors.DEFAULT_PHRASES);
+  assert.throws(() => Anchors.parsePhrases('stamp: Here'), /should start with a field type/);
+});
+
+test('tags name signers by position or role', async () => {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const bob = Bundle.addSigner(bundle, 'Bob', 'bob@example.com', { role: 'Manager' });
+  assert.equal(Anchors.findSigner(bundle, '1'), alice);
+  assert.equal(Anchors.findSigner(bundle, 'Signer 2'), bob);
+  assert.equal(Anchors.findSigner(bundle, ' manager '), bob);
+  assert.equal(Anchors.findSigner(bundle, '3'), null);
+});
+
+test('scanning finds tags and whole-word phrases, top to bottom', async () => {
+  const { matches } = await scanned();
+  assert.deepEqual(matches.map(m => [m.text, m.type, m.baseline]), [
+    ['{{sig:1}}', 'signature', 700],
+    ['{{text:signer1}}', 'text', 650],
+    ['Signature:', 'signature', 600],
+    ['{{date:Manager}}', 'date', 500],
+    ['{{initials:3}}', 'initials', 500],
+    ['{{foo:1}}', null, 500],
+    ['Signature:', 'signature', 300]
+  ]);
+
+  // Characters count as evenly wide within a text item
+  const item = await withPdf(await taggedPdf(), async doc => {
+    const { items } = await (await doc.getPage(1)).getTextContent();
+    return items.find(i => i.str === 'Employee {{sig:1}}');
+  });
+  const tag = matches[0];
+  assert.ok(Math.abs(tag.x - (50 + item.width * 9 / 18)) < 0.01);
+  assert.ok(Math.abs(tag.x + tag.width - (50 + item.width)) < 0.01);
+  assert.equal(tag.fontSize, 12);
+});
+
+test('fields are placed on the anchors, once', async () => {
+  const { bundle, matches } = await scanned();
+  const [alice, bob] = bundle.signers;
+  const { fields, whiteout, problems } = Anchors.place(bundle, matches, { phraseSigner: 'order' });
+
+  assert.deepEqual(fields.map(f => [f.type, f.signerId]), [
+    ['signature', alice.id],
+    ['text', alice.id],
+    ['signature', alice.id],
+    ['date', bob.id],
+    ['signature', bob.id]
+  ]);
+  assert.deepEqual(problems, ['"{{initials:3}}" on page 1: no signer "3"', '"{{foo:1}}" on page 1: unknown field type']);
+
+  // Tags keep their x; phrases are followed by their field. Either way the
+  // field's y, its bottom edge, is just below the text's baseline.
+  const [tag, , phrase] = matches;
+  assert.equal(fields[0].x, Math.round(tag.x * 100) / 100);
+  assert.equal(fields[0].y, 700 - 12 * 0.25);
+  assert.ok(Math.abs(fields[2].x - (phrase.x + phrase.width + 4)) < 0.01);
+  assert.equal(fields[2].y, 600 - 12 * 0.25);
+
+  assert.equal(whiteout.length, 5);
+  assert.deepEqual(whiteout[0], { page: 0, x: fields[0].x, y: fields[0].y, width: Math.round(tag.width * 100) / 100, height: 13.8 });
+
+  assert.equal(Anchors.place(bundle, matches, { phraseSigner: 'order' }).fields.length, 0);
+  assert.equal(bundle.fields.length, 5);
+});
+
+test('phrases need a signer unless they are given out in order', async () => {
+  const { bundle, matches } = await scanned();
+  const phrases = matches.filter(m => m.phrase);
+  assert.deepEqual(Anchors.place(bundle, phrases).problems, [
+    '"Signature:" on page 1: choose a signer for phrases',
+    '"Signature:" on page 1: choose a signer for phrases'
+  ]);
+  Bundle.removeSigner(bundle, bundle.signers[1].id);
+  assert.deepEqual(Anchors.place(bundle, phrases, { phraseSigner: 'order' }).problems, ['"Signature:" on page 1: more matches than signers']);
+});
+
+test('a tagged field is drawn where the tag was, over its white-out', async () => {
+  const { bundle, matches } = await scanned();
+  const { fields, whiteout } = Anchors.place(bundle, matches, { phraseSigner: 'order' });
+  bundle.whiteout = whiteout;
+  const title = fields[1];
+  Bundle.markSent(bundle);
+
+  const { result } = await signAndFinalize(bundle, { [title.id]: 'Engineer' });
+  assert.equal((await Verifier.verify(result.pdfBytes, { network: false })).valid, true);
+
+  const drawn = await withPdf(result.pdfBytes, async doc => {
+    const { items } = await (await doc.getPage(1)).getTextContent();
+    return items.find(i => i.str === 'Engineer');
+  });
+  const { lines } = TextField.layoutText('Engineer', TextField.getFormat(title), title.width, title.height);
+  assert.ok(Math.abs(drawn.transform[4] - (matches[1].x + lines[0].x)) < 0.01);
+  assert.ok(Math.abs(drawn.transform[5] - (650 - 12 * 0.25 + title.height - lines[0].baseline)) < 0.01);
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, blankPdf, signedArchive } = require('./helpers');
+
+const { Attachments, PdfSignature, PDFLib, Verifier } = load();
+
+const proof = { verification: { version: 'ots-sign-v4' }, otsBytes: new Uint8Array([1, 2, 3]) };
+
+// Insert raw objects into the last revision, ahead of its xref table
+function inject(pdfBytes, objects) {
+  const text = new TextDecoder('latin1').decode(pdfBytes);
+  const at = text.lastIndexOf('\nxref');
+  return new Uint8Array(Buffer.from(text.slice(0, at) + '\n' + objects + text.slice(at), 'latin1'));
+}
+
+test('proof files round-trip and can be replaced', async () => {
+  const pdf = await blankPdf(1);
+  const attached = await Attachments.attachProof(pdf, proof);
+  const read = await Attachments.readProof(attached);
+  assert.deepEqual(JSON.parse(read.verification), proof.verification);
+  assert.deepEqual(Array.from(read.otsBytes), [1, 2, 3]);
+
+  const replaced = await Attachments.attachProof(attached, { otsBytes: new Uint8Array([4]) });
+  const files = await Attachments.read(replaced);
+  assert.deepEqual([...files.keys()].sort(), [Attachments.TIMESTAMP_FILE, Attachments.VERIFICATION_FILE]);
+  assert.deepEqual(Array.from(files.get(Attachments.TIMESTAMP_FILE)), [4]);
+});
+
+test('attachments after the hashed revision are allowed', async () => {
+  const pdf = await blankPdf(1);
+  const attached = await Attachments.attachProof(await Attachments.attachProof(pdf, proof), proof);
+  assert.deepEqual(await Attachments.checkAppended(attached, pdf.length), []);
+  assert.deepEqual(await Attachments.checkAppended(pdf, pdf.length), []);
+});
+
+test('content drawn after the hashed revision is reported', async () => {
+  const pdf = await blankPdf(1);
+  const drawn = await PdfSignature.appendUpdate(await Attachments.attachProof(pdf, proof), async pdfDoc => {
+    pdfDoc.getPage(0).drawText('Paid in full', { x: 50, y: 50 });
+  });
+  const problems = await Attachments.checkAppended(drawn, pdf.length);
+  assert.ok(problems.length > 0);
+  assert.ok(problems.every(p => /^Object \d+ changed after signing$/.test(p)));
+});
+
+test('appended pages are only allowed when expected', async () => {
+  const pdf = await blankPdf(1);
+  const extended = await PdfSignature.appendUpdate(pdf, async pdfDoc => {
+    pdfDoc.addPage([600, 800]);
+  });
+  assert.deepEqual(await Attachments.checkAppended(extended, pdf.length, { pages: 1 }), []);
+  assert.deepEqual(await Attachments.checkAppended(extended, pdf.length, { pages: 2 }), ['Pages changed after signing (expected 2 appended)']);
+  assert.ok((await Attachments.checkAppended(extended, pdf.length)).length > 0);
+});
+
+test('an object defined twice in one revision is reported', async () => {
+  const pdf = await blankPdf(1);
+  const attached = await Attachments.attachProof(pdf, proof);
+  const doubled = inject(attached, '90 0 obj\n<< /A 1 >>\nendobj\n90 0 obj\n<< /A 2 >>\nendobj\n');
+  assert.ok((await Attachments.checkAppended(doubled, pdf.length)).includes('Object 90 is defined twice in one revision'));
+});
+
+test('an object stream in the appended bytes is reported', async () => {
+  const pdf = await blankPdf(1);
+  const attached = await Attachments.attachProof(pdf, proof);
+  const hidden = inject(attached, '91 0 obj\n<< /Type /ObjStm /N 0 /First 0 /Length 0 >>\nstream\n\nendstream\nendobj\n');
+  assert.ok((await Attachments.checkAppended(hidden, pdf.length)).includes('Objects were added inside an object stream'));
+});
+
+test('the verifier fails a finalized PDF drawn on after signing', async () => {
+  const { result } = await signedArchive();
+  const drawn = await PdfSignature.appendUpdate(result.pdfBytes, async pdfDoc => {
+    pdfDoc.getPage(0).drawText('Paid in full', { x: 50, y: 50, font: await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica) });
+  });
+  const report = await Verifier.verify(drawn, { network: false });
+  assert.equal(report.valid, false);
+  assert.equal(report.results.find(r => r.check === 'document').title, '✗ Document modified after signing');
+});
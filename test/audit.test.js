@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, keypair, signedArchive, editArchive } = require('./helpers');
+
+const { Audit, Verifier } = load();
+
+const sender = { role: 'sender', name: 'Sam', email: 'sender@example.com' };
+const alice = { role: 'signer', name: 'Alice', email: 'alice@example.com' };
+
+// created and sent by the sender, then opened by Alice; all signed
+async function log() {
+  const bundle = {};
+  const senderKeys = await keypair(sender.email);
+  await Audit.append(bundle, 'created', sender, { keypair: senderKeys });
+  await Audit.append(bundle, 'sent', sender, { keypair: senderKeys, data: { signers: 1 } });
+  await Audit.append(bundle, 'opened', alice, { keypair: await keypair(alice.email) });
+  return bundle;
+}
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('a chain of signed entries verifies and ends at its head', async () => {
+  const { audit } = await log();
+  const result = await Audit.verify(audit);
+  assert.deepEqual(result.problems, []);
+  assert.equal(result.valid, true);
+  assert.equal(result.head, await Audit.head(audit));
+  assert.equal(result.head, await Audit.hashEntry(audit[2]));
+  assert.deepEqual(result.entries.map(e => e.signature), ['valid', 'valid', 'valid']);
+  assert.equal(audit[0].prev, null);
+  assert.equal(audit[1].prev, await Audit.hashEntry(audit[0]));
+
+  const unsigned = {};
+  await Audit.append(unsigned, 'created', { role: 'system' });
+  assert.deepEqual((await Audit.verify(unsigned.audit)).entries.map(e => e.signature), ['unsigned']);
+  assert.equal(await Audit.head([]), null);
+});
+
+test('dropped, reordered and edited entries are reported', async () => {
+  const { audit } = await log();
+
+  const dropped = (await Audit.verify([audit[0], audit[2]])).problems;
+  assert.deepEqual(dropped, [
+    'Entry 2 (opened) does not follow an earlier entry',
+    'Entry 1 (created) is not part of the chain'
+  ]);
+
+  const reordered = (await Audit.verify([audit[1], audit[0], audit[2]])).problems;
+  assert.ok(reordered.includes('Entry 1 (sent) does not follow an earlier entry'));
+
+  const edited = copy(audit);
+  edited[1].data.signers = 2;
+  assert.deepEqual((await Audit.verify(edited)).problems, [
+    'Entry 2 (sent): signature invalid',
+    'Entry 3 (opened) does not follow an earlier entry',
+    'Entry 2 (sent) is not part of the chain'
+  ]);
+
+  const versioned = copy(audit);
+  versioned[0].version = 'ots-sign-audit-v0';
+  assert.ok((await Audit.verify(versioned)).problems.includes('Entry 1: unsupported version'));
+});
+
+test('merging branches keeps both and adds one merged head', async () => {
+  const base = await log();
+  const [left, right] = [copy(base), copy(base)];
+  await Audit.append(left, 'signed', alice, { keypair: await keypair(alice.email) });
+  await Audit.append(right, 'declined', { role: 'signer', email: 'bob@example.com' });
+
+  const merged = copy(left);
+  const entry = await Audit.merge(merged, [left.audit, right.audit]);
+  assert.equal(entry.type, 'merged');
+  assert.equal(entry.data.heads.length, 2);
+  assert.deepEqual(merged.audit.map(e => e.type), ['created', 'sent', 'opened', 'signed', 'declined', 'merged']);
+  assert.equal((await Audit.verify(merged.audit)).valid, true);
+
+  // Identical copies have one head between them
+  assert.equal(await Audit.merge(copy(base), [base.audit, base.audit]), null);
+
+  // Without the merged entry one branch is cut off
+  assert.deepEqual((await Audit.verify(merged.audit.slice(0, -1))).problems, ['Entry 4 (signed) is not part of the chain']);
+});
+
+test('the verifier checks the finalized log against the merkle root', async () => {
+  const { archive } = await signedArchive();
+  let report = await Verifier.verify(archive, { network: false });
+  const intact = report.results.find(r => r.check === 'audit');
+  assert.equal(intact.status, 'success');
+  assert.equal(report.audit.filter(e => e.signedBy === 'signer').length, 4);
+
+  const dropped = await editArchive(archive, 'verification.json', v => {
+    v.audit.entries.splice(1, 1);
+  });
+  report = await Verifier.verify(dropped, { network: false });
+  assert.equal(report.valid, false);
+  assert.equal(report.results.find(r => r.check === 'audit').title, '✗ Audit trail tampered');
+
+  // A whole new log, consistent in itself, no longer matches the timestamped head
+  const replaced = await editArchive(archive, 'verification.json', async v => {
+    const forged = {};
+    await Audit.append(forged, 'created', sender);
+    v.audit.entries = forged.audit;
+  });
+  report = await Verifier.verify(replaced, { network: false });
+  assert.match(report.results.find(r => r.check === 'audit').details, /does not end at the recorded head/);
+
+  // A signer's entry signed with someone else's key
+  const impostor = await editArchive(archive, 'verification.json', async v => {
+    const index = v.audit.entries.findIndex(e => e.actor.email === alice.email);
+    const entry = await Audit.createEntry(v.audit.entries.slice(0, index), v.audit.entries[index].type, alice, { keypair: await keypair('mallory@example.com') });
+    v.audit.entries[index] = entry;
+  });
+  report = await Verifier.verify(impostor, { network: false });
+  assert.match(report.results.find(r => r.check === 'audit').details, /by alice@example.com: signed with a key other than the signer's/);
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+const { load, KDF, blankPdf, createBundle, keypair } = require('./helpers');
+
+const { Bulk, Bundle, Crypto, Seal, Template } = load();
+
+test('CSV parsing follows RFC 4180', () => {
+  assert.deepEqual(Bulk.parseCsv('a,b\r\n1,2\r\n'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(Bulk.parseCsv('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(Bulk.parseCsv('﻿name,note\n"Doe, Jane","say ""hi""\nthen leave"'), [
+    ['name', 'note'],
+    ['Doe, Jane', 'say "hi"\nthen leave']
+  ]);
+  assert.deepEqual(Bulk.parseCsv('a,,c\n\n , \n"",x\r'), [['a', '', 'c'], ['', 'x']]);
+  assert.deepEqual(Bulk.parseCsv(''), []);
+});
+
+// Employee then Manager; the employee has one text field of at most 10 characters
+async function template() {
+  const bundle = await createBundle(await blankPdf(1));
+  const employee = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const manager = Bundle.addSigner(bundle, 'Bob', 'bob@example.com', { order: 2 });
+  Bundle.addField(bundle, { type: 'text', signerId: employee.id, page: 0, x: 50, y: 700, format: { maxLength: 10 } });
+  Bundle.addField(bundle, { type: 'signature', signerId: manager.id, page: 0, x: 50, y: 500 });
+  return Template.fromBundle(bundle, 'Offer', { [employee.id]: 'Employee', [manager.id]: 'Manager' });
+}
+
+async function sender() {
+  const keys = await keypair('sender@example.com');
+  return {
+    keypair: keys,
+    sender: { name: 'Sam', email: 'sender@example.com', publicKey: Crypto.formatPublicKey(keys.publicKey), kdf: KDF }
+  };
+}
+
+test('the header needs a name and email per role', async () => {
+  assert.deepEqual(Bulk.columns(await template()), {
+    required: ['Employee name', 'Employee email', 'Manager name', 'Manager email'],
+    optional: ['Employee text 1']
+  });
+
+  const pdf = new File([await blankPdf(1)], 'offer.pdf');
+  await assert.rejects(Bulk.createBundles(pdf, await template(), [], await sender()), /The CSV is empty/);
+  await assert.rejects(
+    Bulk.createBundles(pdf, await template(), Bulk.parseCsv('employee name,EMPLOYEE EMAIL,Manager name'), await sender()),
+    /The CSV is missing columns: Manager email$/
+  );
+});
+
+test('each good row becomes a sealed bundle; bad rows are reported', async () => {
+  const csv = [
+    'Employee name,Employee email,Manager name,Manager email,Employee text 1',
+    'Jane Doe, jane@example.com ,Bob,bob@example.com,Engineer',
+    'Jane Doe,jane2@example.com,Bob,bob@example.com,',
+    ',nobody@example.com,Bob,bob@example.com,',
+    'Joe,joe@example,Bob,bob@example.com,',
+    'Joe,joe@example.com,Bob,bob@example.com,Chief Executive'
+  ].join('\n');
+  const progress = [];
+  const pdf = new File([await blankPdf(1)], 'Offer Letter.pdf');
+  const { zip, created, errors } = await Bulk.createBundles(pdf, await template(), Bulk.parseCsv(csv), {
+    ...(await sender()),
+    onProgress: (done, total) => progress.push(`${done}/${total}`)
+  });
+
+  assert.deepEqual(created, [
+    { row: 2, filename: '002-offer-letter-jane-doe.ots-sign' },
+    { row: 3, filename: '003-offer-letter-jane-doe.ots-sign' }
+  ]);
+  assert.deepEqual(errors, [
+    { row: 4, message: 'Employee has no name' },
+    { row: 5, message: 'Employee has an invalid email "joe@example"' },
+    { row: 6, message: 'Employee text 1: Use at most 10 characters' }
+  ]);
+  assert.deepEqual(progress, ['1/5', '2/5', '3/5', '4/5', '5/5']);
+  assert.deepEqual(Object.keys(zip.files), created.map(c => c.filename));
+
+  const bundle = JSON.parse(await zip.file(created[0].filename).async('string'));
+  assert.equal(bundle.status, 'in_progress');
+  assert.deepEqual(bundle.signers.map(s => [s.name, s.email, s.role]), [
+    ['Jane Doe', 'jane@example.com', 'Employee'],
+    ['Bob', 'bob@example.com', 'Manager']
+  ]);
+  assert.deepEqual(bundle.fields.map(f => f.value), ['Engineer', null]);
+  assert.deepEqual(bundle.audit.map(e => e.type), ['created', 'sent']);
+  assert.equal((await Seal.check(bundle)).status, 'valid');
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createBundle, keypair } = require('./helpers');
+
+const { Bundle, Crypto } = load();
+
+function signature(publicKey) {
+  return { signedAt: new Date().toISOString(), publicKey, cryptoSignature: '00', manifest: null };
+}
+
+test('a signer pinned to a key can only be marked signed with that key', async () => {
+  const bundle = await createBundle();
+  const alice = Crypto.formatPublicKey((await keypair('alice@example.com')).publicKey);
+  const mallory = Crypto.formatPublicKey((await keypair('mallory@example.com')).publicKey);
+  const signer = Bundle.addSigner(bundle, 'Alice', 'alice@example.com', { expectedPublicKey: alice });
+
+  assert.throws(() => Bundle.markSignerSigned(bundle, signer.id, signature(mallory)), /must sign with the key the sender pinned/);
+  assert.equal(signer.signed, false);
+  Bundle.markSignerSigned(bundle, signer.id, signature(alice));
+  assert.equal(signer.signed, true);
+});
+
+test('a signer who has signed can\'t be marked signed again', async () => {
+  const bundle = await createBundle();
+  const signer = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  Bundle.markSent(bundle);
+  const first = signature('ed25519:alice');
+  Bundle.markSignerSigned(bundle, signer.id, first);
+
+  assert.throws(() => Bundle.markSignerSigned(bundle, signer.id, { ...signature('ed25519:alice'), cryptoSignature: '11' }), /Alice has already signed/);
+  assert.deepEqual([signer.signedAt, signer.cryptoSignature], [first.signedAt, '00']);
+});
+
+test('routing groups sign in turn, and everyone in a group at once', async () => {
+  const bundle = await createBundle();
+  const [alice, bob, carol, dave] = ['Alice', 'Bob', 'Carol', 'Dave'].map((name, i) =>
+    Bundle.addSigner(bundle, name, `${name.toLowerCase()}@example.com`, { order: [1, 2, 2, 3][i] }));
+  const sign = signer => Bundle.markSignerSigned(bundle, signer.id, signature(`ed25519:${signer.name}`));
+  const active = () => Bundle.getActiveSigners(bundle).map(s => s.name);
+
+  assert.deepEqual(Bundle.getRoutingGroups(bundle), [1, 2, 3]);
+  Bundle.markSent(bundle);
+  assert.equal(bundle.status, 'in_progress');
+  assert.deepEqual(active(), ['Alice']);
+  assert.throws(() => sign(bob), /not Bob's turn/);
+
+  sign(alice);
+  assert.deepEqual(Bundle.getActiveSigners(bundle).map(Bundle.getOrder), [2, 2]);
+  assert.deepEqual(active(), ['Bob', 'Carol']);
+  assert.throws(() => sign(dave), /not Dave's turn/);
+
+  sign(carol);
+  sign(bob);
+  assert.deepEqual(active(), ['Dave']);
+  sign(dave);
+  assert.equal(bundle.status, 'completed');
+  assert.deepEqual(Bundle.getActiveSigners(bundle), []);
+  // Whose turn it is isn't stored in the bundle, where it could drift from the signers
+  assert.equal('currentOrder' in bundle, false);
+});
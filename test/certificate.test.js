@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createBundle, signAndFinalize, signedArchive, editArchive } = require('./helpers');
+
+const { Bundle, Audit, PDFLib, PdfSignature, Verifier } = load();
+
+async function pageCount(pdfBytes) {
+  return (await PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false })).getPageCount();
+}
+
+function finalizedEntry(verification) {
+  return verification.audit.entries[verification.audit.entries.length - 1];
+}
+
+// New bundles append a certificate unless the sender turns it off
+test('the certificate is appended after the signed revision and verifies', async () => {
+  const { result } = await signedArchive();
+  const { verification } = result;
+
+  assert.equal(finalizedEntry(verification).data.certificatePages, 1);
+  assert.equal(await pageCount(result.pdfBytes.subarray(0, verification.document.size)), 2);
+  assert.equal(await pageCount(result.pdfBytes), 3);
+
+  const report = await Verifier.verify(result.pdfBytes, { network: false });
+  assert.equal(report.valid, true);
+  assert.equal(report.results.find(r => r.check === 'document').status, 'success');
+});
+
+test('without a certificate nothing is appended or recorded', async () => {
+  const { result } = await signedArchive({
+    prepare: bundle => { bundle.completion = { ...Bundle.getCompletion(bundle), certificate: false }; }
+  });
+  assert.equal(finalizedEntry(result.verification).data.certificatePages, undefined);
+  assert.equal(await pageCount(result.pdfBytes), 2);
+});
+
+test('many signers continue onto more certificate pages', async () => {
+  const bundle = await createBundle();
+  for (let i = 0; i < 6; i++) {
+    const signer = Bundle.addSigner(bundle, `Signer ${i + 1}`, `signer${i + 1}@example.com`);
+    Bundle.addField(bundle, { type: 'text', signerId: signer.id, page: 0, x: 50, y: 700 - i * 40 });
+  }
+  await Audit.append(bundle, 'created', { role: 'sender' });
+  Bundle.markSent(bundle);
+
+  const { result } = await signAndFinalize(bundle);
+  assert.equal(finalizedEntry(result.verification).data.certificatePages, 2);
+  assert.equal(await pageCount(result.pdfBytes), 4);
+  assert.equal((await Verifier.verify(result.pdfBytes, { network: false })).valid, true);
+});
+
+test('the certificate follows the signature revisions of a digitally signed PDF', async () => {
+  const { result } = await signedArchive({
+    prepare: bundle => { bundle.pdfSignatures = { algorithm: 'ed25519' }; }
+  });
+  const signatures = await PdfSignature.verify(result.pdfBytes);
+  assert.deepEqual(signatures.map(s => s.valid), [true, true]);
+  assert.equal((await Verifier.verify(result.pdfBytes, { network: false })).valid, true);
+});
+
+test('pages beyond the recorded certificate are reported', async () => {
+  const { result, archive } = await signedArchive();
+  const extended = await PdfSignature.appendUpdate(result.pdfBytes, async pdfDoc => {
+    pdfDoc.addPage([600, 800]);
+  });
+  const report = await Verifier.verify(extended, { network: false });
+  assert.equal(report.valid, false);
+  const document = report.results.find(r => r.check === 'document');
+  assert.equal(document.title, '✗ Document modified after signing');
+  assert.match(document.message, /beyond the completion certificate/);
+
+  // The page count is covered by the audit head, so raising it breaks the log
+  const raised = await editArchive(archive, 'verification.json', v => {
+    finalizedEntry(v).data.certificatePages = 2;
+  });
+  const tampered = await Verifier.verify(raised, { network: false });
+  assert.equal(tampered.valid, false);
+  assert.equal(tampered.results.find(r => r.check === 'audit').status, 'error');
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createBundle, signAndFinalize, editArchive } = require('./helpers');
+
+const { Bundle, Verifier } = load();
+
+// Alice picks a plan (Basic or Pro), ticks a box and chooses a color
+async function choices() {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const basic = Bundle.addField(bundle, { type: 'radio', signerId: alice.id, page: 0, x: 50, y: 700, option: 'Basic' });
+  const pro = Bundle.addField(bundle, { type: 'radio', signerId: alice.id, page: 0, x: 50, y: 680, option: 'Pro', group: basic.group });
+  const box = Bundle.addField(bundle, { type: 'checkbox', signerId: alice.id, page: 0, x: 50, y: 650, required: false });
+  const color = Bundle.addField(bundle, { type: 'dropdown', signerId: alice.id, page: 0, x: 50, y: 600, options: ['Red', 'Green'] });
+  return { bundle, alice, basic, pro, box, color };
+}
+
+test('radio boxes share a group and count as one field', async () => {
+  const { bundle, alice, basic, pro, color } = await choices();
+  assert.notEqual(basic.group, undefined);
+  assert.deepEqual(Bundle.getFieldConfig(pro), { group: basic.group, option: 'Pro' });
+  assert.deepEqual(Bundle.getFieldConfig(color), { options: ['Red', 'Green'] });
+  assert.deepEqual(Bundle.getRemainingFields(bundle, alice.id), [basic, color]);
+
+  pro.value = 'Pro';
+  assert.equal(Bundle.isFieldFilled(bundle, basic), true);
+  assert.equal(Bundle.getFieldValue(bundle, basic), 'Pro');
+  assert.deepEqual(Bundle.getRemainingFields(bundle, alice.id), [color]);
+
+  color.value = 'Green';
+  assert.equal(Bundle.isComplete(bundle), true);
+});
+
+test('removing a radio box moves rules to the rest of its group', async () => {
+  const { bundle, alice, basic, pro, box } = await choices();
+  const note = Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 500 });
+  note.rule = { field: basic.id, operator: 'equals', value: 'Pro', effect: 'show' };
+
+  Bundle.removeField(bundle, basic.id);
+  assert.equal(note.rule.field, pro.id);
+
+  Bundle.removeField(bundle, pro.id);
+  assert.equal(note.rule, undefined);
+
+  box.rule = { field: note.id, operator: 'filled', effect: 'require' };
+  Bundle.removeField(bundle, note.id);
+  assert.equal(box.rule, undefined);
+});
+
+test('a finalized choice verifies, and a swapped choice does not', async () => {
+  const { bundle, basic, pro, box, color } = await choices();
+  Bundle.markSent(bundle);
+  const { archive, result } = await signAndFinalize(bundle, {
+    [basic.id]: null,
+    [pro.id]: 'Pro',
+    [box.id]: Bundle.CHECKED,
+    [color.id]: 'Green'
+  });
+
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, true);
+  assert.equal(result.verification.fields.length, 4);
+
+  const swapped = await editArchive(archive, 'verification.json', v => {
+    const [first, second] = v.fields.filter(f => f.type === 'radio');
+    [first.valueHash, second.valueHash] = [second.valueHash, first.valueHash];
+  });
+  const tampered = await Verifier.verify(swapped, { network: false });
+  assert.equal(tampered.valid, false);
+  assert.equal(tampered.results.find(r => r.check === 'signer-fields').status, 'error');
+});
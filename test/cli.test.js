@@ -0,0 +1,111 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { ROOT, load, createBundle, signedArchive, editArchive } = require('./helpers');
+
+const { Bundle } = load();
+
+const CLI = path.join(ROOT, 'bin', 'otisign.js');
+
+let dir;
+const files = {};
+
+test.before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otisign-'));
+  const { archive, result } = await signedArchive();
+  const forged = await editArchive(archive, 'verification.json', v => {
+    v.signers[0].email = 'mallory@example.com';
+  });
+  // Sent but nobody has signed yet
+  const unsigned = await createBundle();
+  Bundle.markSent(unsigned);
+  const pending = new TextEncoder().encode(JSON.stringify(unsigned));
+  for (const [name, bytes] of [
+    ['valid.ots-signed', archive],
+    ['valid.pdf', result.pdfBytes],
+    ['forged.ots-signed', forged],
+    ['unsigned.ots-sign', pending]
+  ]) {
+    files[name] = path.join(dir, name);
+    fs.writeFileSync(files[name], bytes);
+  }
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Run the CLI
+ * @param {string[]} args
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function otisign(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('a valid archive exits 0', async () => {
+  const { code, stdout, stderr } = await otisign(['verify', files['valid.ots-signed']]);
+  assert.equal(code, 0);
+  assert.match(stdout, /✓ Document intact/);
+  assert.match(stdout, /\nVALID\n$/);
+  assert.equal(stderr, '');
+});
+
+test('a PDF with its proof embedded exits 0', async () => {
+  const { code, stdout } = await otisign(['verify', files['valid.pdf']]);
+  assert.equal(code, 0);
+  assert.match(stdout, /\nVALID\n$/);
+});
+
+test('a forged archive exits 1', async () => {
+  const { code, stdout } = await otisign(['verify', files['forged.ots-signed']]);
+  assert.equal(code, 1);
+  assert.match(stdout, /\nINVALID\n$/);
+});
+
+test('a bundle nobody has finalized exits 3', async () => {
+  const { code, stdout } = await otisign(['verify', files['unsigned.ots-sign']]);
+  assert.equal(code, 3);
+  assert.match(stdout, /⏳ Not finalized/);
+  assert.match(stdout, /\nNOT FINALIZED\n$/);
+
+  const json = await otisign(['verify', files['unsigned.ots-sign'], '--json']);
+  assert.equal(json.code, 3);
+  assert.deepEqual([JSON.parse(json.stdout).valid, JSON.parse(json.stdout).finalized], [true, false]);
+});
+
+test('usage and read errors exit 2', async () => {
+  const usage = await otisign([]);
+  assert.equal(usage.code, 2);
+  assert.match(usage.stderr, /^Usage: otisign verify/);
+  assert.equal(usage.stdout, '');
+
+  const missing = await otisign(['verify', path.join(dir, 'missing.ots-signed')]);
+  assert.equal(missing.code, 2);
+  assert.match(missing.stderr, /^Cannot read /);
+});
+
+test('--json prints only the report, without the file contents', async () => {
+  const valid = await otisign(['verify', files['valid.ots-signed'], '--json']);
+  assert.equal(valid.code, 0);
+  const report = JSON.parse(valid.stdout);
+  assert.equal(report.file, files['valid.ots-signed']);
+  assert.equal(report.valid, true);
+  assert.equal(report.version, 'ots-sign-v4');
+  assert.equal(report.timestamp.status, 'pending');
+  assert.equal('files' in report, false);
+
+  const forged = await otisign(['verify', files['forged.ots-signed'], '--json']);
+  assert.equal(forged.code, 1);
+  assert.equal(JSON.parse(forged.stdout).valid, false);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nodeCrypto = require('crypto');
+const { load, KDF } = require('./helpers');
+
+const { Crypto } = load();
+
+test('a missing KDF descriptor means the original PBKDF2 scheme', () => {
+  assert.deepEqual(Crypto.normalizeKdf(undefined), { algorithm: 'pbkdf2-sha256', version: 'ots-sign-v1', iterations: 100000 });
+  assert.equal(Crypto.describeKdf(undefined), 'PBKDF2-SHA256 (100000 iterations)');
+  assert.equal(Crypto.describeKdf(Crypto.DEFAULT_KDF), 'Argon2id (64 MiB, t=3, p=1)');
+});
+
+test('legacy seeds are PBKDF2 over the version and the normalized email', async () => {
+  const seed = await Crypto.deriveSeed(' Alice@Example.com ', 'pw');
+  const expected = nodeCrypto.pbkdf2Sync('pw', 'ots-sign-v1:alice@example.com', 100000, 32, 'sha256');
+  assert.deepEqual(Buffer.from(seed), expected);
+});
+
+test('Argon2id keys are deterministic and tied to email, password and parameters', async () => {
+  const key = async (email, password, kdf = KDF) => Crypto.formatPublicKey((await Crypto.deriveKeypair(email, password, kdf)).publicKey);
+  const alice = await key('alice@example.com', 'pw');
+
+  assert.equal(await key('ALICE@example.com', 'pw'), alice);
+  assert.notEqual(await key('bob@example.com', 'pw'), alice);
+  assert.notEqual(await key('alice@example.com', 'pw2'), alice);
+  assert.notEqual(await key('alice@example.com', 'pw', { ...KDF, iterations: 2 }), alice);
+  assert.notEqual(await key('alice@example.com', 'pw', { ...KDF, version: 'ots-sign-v3' }), alice);
+  assert.notEqual(await key('alice@example.com', 'pw', null), alice);
+});
+
+test('descriptors outside the limits are refused before deriving anything', () => {
+  assert.throws(() => Crypto.normalizeKdf({ ...KDF, version: 'v2' }), /Invalid KDF version/);
+  assert.throws(() => Crypto.normalizeKdf({ ...KDF, memoryKiB: 4 * 1048576 }), /Invalid Argon2id parameters/);
+  assert.throws(() => Crypto.normalizeKdf({ ...KDF, parallelism: 0 }), /Invalid Argon2id parameters/);
+  assert.throws(() => Crypto.normalizeKdf({ algorithm: 'pbkdf2-sha256', version: 'ots-sign-v1', iterations: 1e9 }), /Invalid PBKDF2 parameters/);
+  assert.throws(() => Crypto.normalizeKdf({ algorithm: 'md5', version: 'ots-sign-v1' }), /Unsupported KDF: md5/);
+});
+
+test('extra fields in a descriptor are dropped', () => {
+  assert.deepEqual(Crypto.normalizeKdf({ ...KDF, note: 'x' }), KDF);
+});
+
+test('P-256 keys for PDF signatures are derived from the seed and sign under their public key', async () => {
+  const seed = Uint8Array.from({ length: 32 }, (_, i) => i);
+  const { privateKey, publicKey } = await Crypto.deriveP256Key(seed);
+  // Keys derived before WebCrypto computed the public point must not change
+  assert.equal(Crypto.bytesToHex(publicKey),
+    '049067c03d918516decc86c55d54c3549be8e09cc290afc398e4e73e98572847db22140654a1a25f48d452e1d167bbd1e475993ba2e05e798bf9476d20ee33ef96');
+  assert.equal(privateKey.extractable, false);
+
+  const message = new TextEncoder().encode('document');
+  const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, message);
+  const coordinate = bytes => Buffer.from(bytes).toString('base64url');
+  const jwk = { kty: 'EC', crv: 'P-256', x: coordinate(publicKey.slice(1, 33)), y: coordinate(publicKey.slice(33)) };
+  const key = nodeCrypto.createPublicKey({ key: jwk, format: 'jwk' });
+  assert.ok(nodeCrypto.verify('sha256', message, { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature)));
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createBundle, sign, signedArchive, editArchive } = require('./helpers');
+
+const { Bundle, Verifier } = load();
+
+const PAST = '2020-01-01T00:00:00.000Z';
+const SOON = '2099-01-01T00:00:00.000Z';
+const LATER = '2099-06-01T00:00:00.000Z';
+
+test('a signer\'s deadline is theirs or the bundle\'s expiry, whichever is first', async () => {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com', { deadline: LATER });
+  const bob = Bundle.addSigner(bundle, 'Bob', 'bob@example.com');
+
+  assert.equal(Bundle.getDeadline(bundle, alice), LATER);
+  assert.equal(Bundle.getDeadline(bundle, bob), null);
+  bundle.expiresAt = SOON;
+  assert.equal(Bundle.getDeadline(bundle, alice), SOON);
+  assert.equal(Bundle.getDeadline(bundle, bob), SOON);
+});
+
+test('expiry and lateness are judged against the given times', async () => {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com', { deadline: '2026-03-01T00:00:00.000Z' });
+  assert.equal(Bundle.isExpired(bundle), false);
+
+  bundle.expiresAt = '2026-06-01T00:00:00.000Z';
+  assert.equal(Bundle.isExpired(bundle, new Date('2026-05-31T23:59:59Z')), false);
+  assert.equal(Bundle.isExpired(bundle, new Date('2026-06-01T00:00:01Z')), true);
+
+  assert.equal(Bundle.isLate(bundle, alice), false);
+  alice.signedAt = '2026-02-28T12:00:00.000Z';
+  assert.equal(Bundle.isLate(bundle, alice), false);
+  alice.signedAt = '2026-03-01T00:00:01.000Z';
+  assert.equal(Bundle.isLate(bundle, alice), true);
+});
+
+test('the verifier flags a late signature without failing the document', async () => {
+  const { archive } = await signedArchive({
+    prepare: bundle => {
+      bundle.signers[0].deadline = PAST;
+      bundle.signers[1].deadline = SOON;
+    }
+  });
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.results.filter(r => r.check === 'signer-deadline').map(r => [r.status, r.title]), [
+    ['warning', '⚠ Alice: signed after the deadline'],
+    ['success', '✓ Bob: signed before the deadline']
+  ]);
+});
+
+test('deadlines are committed in the merkle tree', async () => {
+  const { archive } = await signedArchive({
+    prepare: bundle => { bundle.signers[0].deadline = PAST; }
+  });
+  const moved = await editArchive(archive, 'verification.json', v => {
+    v.signers[0].deadline = SOON;
+  });
+  const report = await Verifier.verify(moved, { network: false });
+  assert.equal(report.valid, false);
+  assert.equal(report.results.find(r => r.check === 'signer-proof' && r.status === 'error').signer, 'alice@example.com');
+});
+
+test('a bundle still being signed reports deadlines including its expiry', async () => {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const bob = Bundle.addSigner(bundle, 'Bob', 'bob@example.com');
+  Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 700 });
+  Bundle.addField(bundle, { type: 'text', signerId: bob.id, page: 1, x: 50, y: 600 });
+  bundle.expiresAt = PAST;
+  Bundle.markSent(bundle);
+  await sign(bundle, alice);
+
+  const report = await Verifier.verify(new TextEncoder().encode(JSON.stringify(bundle)));
+  assert.deepEqual(report.results.filter(r => r.signer).map(r => [r.check, r.status, r.signer]), [
+    ['signer-signature', 'success', 'alice@example.com'],
+    ['signer-key', 'warning', 'alice@example.com'],
+    ['signer-fields', 'success', 'alice@example.com'],
+    ['signer-deadline', 'warning', 'alice@example.com'],
+    ['signer-pending', 'warning', 'bob@example.com']
+  ]);
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+const { load, KDF, createBundle, keypair, sign } = require('./helpers');
+
+const { Bundle, Crypto, Envelope, Verifier } = load();
+
+// The sender and a pinned Alice can open it by key; Bob has no pinned key
+async function pinnedBundle() {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const bob = Bundle.addSigner(bundle, 'Bob', 'bob@example.com');
+  Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 700 });
+  Bundle.addField(bundle, { type: 'text', signerId: bob.id, page: 1, x: 50, y: 600 });
+  alice.expectedPublicKey = Crypto.formatPublicKey((await keypair(alice.email)).publicKey);
+  const sender = await keypair('sender@example.com');
+  bundle.sender = { name: 'Sam', email: 'sender@example.com', publicKey: Crypto.formatPublicKey(sender.publicKey), kdf: KDF };
+  Bundle.markSent(bundle);
+  return bundle;
+}
+
+// As it travels: serialized and parsed again
+function roundTrip(envelope) {
+  return JSON.parse(JSON.stringify(envelope));
+}
+
+test('recipients are the sender and pinned signers', async () => {
+  const { recipients, missing } = Envelope.recipientsFor(await pinnedBundle());
+  assert.deepEqual(recipients.map(r => r.email), ['sender@example.com', 'alice@example.com']);
+  assert.deepEqual(missing.map(s => s.name), ['Bob']);
+});
+
+test('a bundle opens with the passphrase or a recipient key, and nothing else', async () => {
+  const bundle = await pinnedBundle();
+  const state = await Envelope.create({ passphrase: 'correct horse', recipients: Envelope.recipientsFor(bundle).recipients });
+  const envelope = roundTrip(Envelope.encrypt(bundle, state));
+
+  assert.equal(Envelope.isEnvelope(envelope), true);
+  assert.equal(Envelope.isEnvelope(bundle), false);
+  assert.equal(JSON.stringify(envelope).includes(bundle.document.data.slice(0, 40)), false);
+
+  const byPassphrase = Envelope.open(envelope, await Envelope.unlock(envelope, { passphrase: 'correct horse' }));
+  assert.deepEqual(byPassphrase, bundle);
+  const byKey = Envelope.open(envelope, await Envelope.unlock(envelope, { keypair: await keypair('alice@example.com') }));
+  assert.deepEqual(byKey, bundle);
+
+  await assert.rejects(Envelope.unlock(envelope, { passphrase: 'wrong horse' }), /Wrong passphrase/);
+  await assert.rejects(Envelope.unlock(envelope, { keypair: await keypair('bob@example.com') }), /wasn't encrypted to that key/);
+
+  const keysOnly = roundTrip(Envelope.encrypt(bundle, await Envelope.create({ recipients: Envelope.recipientsFor(bundle).recipients })));
+  await assert.rejects(Envelope.unlock(keysOnly, { passphrase: 'correct horse' }), /has no passphrase/);
+  await assert.rejects(Envelope.create({}), /Nobody could open this bundle/);
+});
+
+test('re-encrypting after signing keeps every way in', async () => {
+  const bundle = await pinnedBundle();
+  const state = await Envelope.create({ passphrase: 'correct horse', recipients: Envelope.recipientsFor(bundle).recipients });
+  const sent = roundTrip(Envelope.encrypt(bundle, state));
+
+  // Alice unlocks with her key, signs and passes it on
+  const unlocked = await Envelope.unlock(sent, { keypair: await keypair('alice@example.com') });
+  const opened = Envelope.open(sent, unlocked);
+  await sign(opened, opened.signers[0]);
+  const passedOn = roundTrip(Envelope.encrypt(opened, unlocked));
+
+  assert.notEqual(passedOn.ciphertext, sent.ciphertext);
+  assert.deepEqual(passedOn.recipients, sent.recipients);
+  const bySender = Envelope.open(passedOn, await Envelope.unlock(passedOn, { keypair: await keypair('sender@example.com') }));
+  assert.equal(bySender.signers[0].signed, true);
+  const byPassphrase = Envelope.open(passedOn, await Envelope.unlock(passedOn, { passphrase: 'correct horse' }));
+  assert.equal(byPassphrase.signers[0].cryptoSignature, opened.signers[0].cryptoSignature);
+});
+
+test('a changed ciphertext or key slot does not open', async () => {
+  const bundle = await pinnedBundle();
+  const state = await Envelope.create({ recipients: Envelope.recipientsFor(bundle).recipients });
+  const envelope = roundTrip(Envelope.encrypt(bundle, state));
+
+  const changed = { ...envelope, ciphertext: (envelope.ciphertext[0] === 'A' ? 'B' : 'A') + envelope.ciphertext.slice(1) };
+  assert.throws(() => Envelope.open(changed, state), /could not be decrypted/);
+
+  const slot = envelope.recipients[0];
+  const wrapped = roundTrip(envelope);
+  wrapped.recipients[0].key = (slot.key[0] === 'A' ? 'B' : 'A') + slot.key.slice(1);
+  await assert.rejects(Envelope.unlock(wrapped, { keypair: await keypair('sender@example.com') }), /Could not unwrap the bundle key/);
+});
+
+test('encrypted bundles are recognized without being opened', async () => {
+  const bundle = await pinnedBundle();
+  const state = await Envelope.create({ recipients: Envelope.recipientsFor(bundle).recipients });
+  const text = JSON.stringify(Envelope.encrypt(bundle, state));
+  const file = new File([text], 'contract.ots-sign');
+
+  assert.equal(Bundle.detectFileType(file, text), 'encrypted');
+  await assert.rejects(Bundle.load(file), /This bundle is encrypted/);
+
+  const report = await Verifier.verify(new TextEncoder().encode(text));
+  assert.deepEqual(report.results.map(r => r.title), ['🔒 Encrypted bundle']);
+});
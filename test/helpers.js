@@ -0,0 +1,319 @@
+/**
+ * helpers.js - Shared setup for the Node tests
+ *
+ * Loads lib/ and js/ into the test process the way bin/otisign.js does, and
+ * walks a bundle through the sign page's steps to get real archives to
+ * verify. Each test file runs in its own process, so each gets a fresh copy
+ * of the globals.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { File } = require('buffer');
+
+const ROOT = path.join(__dirname, '..');
+
+// Everything that runs without a DOM, in page order
+const SCRIPTS = [
+  'lib/tweetnacl.min.js',
+  'lib/argon2.min.js',
+  'lib/jszip.min.js',
+  'lib/opentimestamps.min.js',
+  'lib/pdf-lib.min.js',
+  'lib/qrcode.min.js',
+  'js/utils.js',
+  'js/bundle.js',
+  'js/crypto.js',
+  'js/merkle.js',
+  'js/manifest.js',
+  'js/cms.js',
+  'js/pdf-signature.js',
+  'js/attachments.js',
+  'js/outcome.js',
+  'js/audit.js',
+  'js/seal.js',
+  'js/text-field.js',
+  'js/acroform.js',
+  'js/template.js',
+  'js/bulk.js',
+  'js/anchors.js',
+  'js/envelope.js',
+  'js/finalize.js',
+  'js/verifier.js'
+];
+
+// pdf.js, for the tests that read a PDF's text the way prepare.html does
+const PDFJS = ['lib/pdf.min.js', 'lib/pdf.worker.min.js'];
+
+// The vault opens IndexedDB and clears a localStorage key as it loads
+const VAULT = 'js/vault.js';
+
+// Cheap enough to derive a few keys per test; the format is the same
+const KDF = { algorithm: 'argon2id', version: 'ots-sign-v2', memoryKiB: 1024, iterations: 3, parallelism: 1 };
+
+// A 1x1 PNG, for signature and initials fields
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+let globals = null;
+let vaultLoaded = false;
+
+/**
+ * Load the scripts once and hand out their globals
+ * @param {Object} [options]
+ * @param {boolean} [options.pdfjs] - also load pdf.js and its worker
+ * @param {boolean} [options.vault] - also load the vault, over an in-memory
+ *   IndexedDB; set globalThis.localStorage first
+ * @returns {Object} e.g. const { Bundle, Verifier } = load()
+ */
+function load(options = {}) {
+  if (!globals) {
+    // The browser builds look for window/self to attach their globals
+    globalThis.window = globalThis;
+    globalThis.self = globalThis;
+    // Node 18 has WebCrypto only as require('crypto').webcrypto
+    globalThis.crypto ??= require('crypto').webcrypto;
+    SCRIPTS.forEach(run);
+    // The modules are top-level consts, which live outside globalThis
+    globals = new Proxy({}, { get: (target, name) => vm.runInThisContext(String(name)) });
+  }
+  if (options.pdfjs && !globalThis.pdfjsLib) PDFJS.forEach(run);
+  if (options.vault && !vaultLoaded) {
+    require('fake-indexeddb/auto');
+    run(VAULT);
+    vaultLoaded = true;
+  }
+  return globals;
+}
+
+function run(script) {
+  vm.runInThisContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), { filename: script });
+}
+
+/**
+ * A blank PDF
+ * @param {number} [pages]
+ * @returns {Promise<Uint8Array>}
+ */
+async function blankPdf(pages = 2) {
+  const { PDFLib } = load();
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  for (let i = 0; i < pages; i++) pdfDoc.addPage([600, 800]);
+  return pdfDoc.save();
+}
+
+/**
+ * A two-page PDF with a form: on page 1 a text field "name" (max 30),
+ * a checkbox "married", a radio group "plan" (Basic, Pro), a dropdown
+ * "color", a read-only text field "fixed" and a signature field
+ * "sign_here"; on page 2 a multiline text field "notes"
+ * @returns {Promise<Uint8Array>}
+ */
+async function formPdf() {
+  const { PDFLib } = load();
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  const [first, second] = [pdfDoc.addPage([600, 800]), pdfDoc.addPage([600, 800])];
+  const form = pdfDoc.getForm();
+
+  const name = form.createTextField('name');
+  name.setMaxLength(30);
+  name.addToPage(first, { x: 50, y: 700, width: 200, height: 20 });
+  form.createCheckBox('married').addToPage(first, { x: 50, y: 650, width: 15, height: 15 });
+  const plan = form.createRadioGroup('plan');
+  plan.addOptionToPage('Basic', first, { x: 50, y: 600, width: 15, height: 15 });
+  plan.addOptionToPage('Pro', first, { x: 100, y: 600, width: 15, height: 15 });
+  const color = form.createDropdown('color');
+  color.addOptions(['Red', 'Green', 'Blue']);
+  color.addToPage(first, { x: 50, y: 550, width: 100, height: 20 });
+  const fixed = form.createTextField('fixed');
+  fixed.setText('x');
+  fixed.enableReadOnly();
+  fixed.addToPage(first, { x: 300, y: 700, width: 100, height: 20 });
+  const notes = form.createTextField('notes');
+  notes.enableMultiline();
+  notes.addToPage(second, { x: 50, y: 500, width: 300, height: 80 });
+
+  // pdf-lib can't create signature fields, so build one by hand
+  const { context } = pdfDoc;
+  const widget = context.obj({ Type: 'Annot', Subtype: 'Widget', Rect: [50, 100, 250, 150], F: 4, P: first.ref });
+  const widgetRef = context.register(widget);
+  const signatureRef = context.register(context.obj({ FT: 'Sig', T: PDFLib.PDFString.of('sign_here'), Kids: [widgetRef] }));
+  widget.set(PDFLib.PDFName.of('Parent'), signatureRef);
+  first.node.addAnnot(widgetRef);
+  form.acroForm.addField(signatureRef);
+
+  return pdfDoc.save();
+}
+
+/**
+ * A draft bundle around a PDF, as prepare.html starts one
+ * @param {Uint8Array} [pdfBytes] - defaults to blankPdf()
+ * @returns {Promise<Object>}
+ */
+async function createBundle(pdfBytes) {
+  const { Bundle } = load();
+  return Bundle.create(new File([pdfBytes || await blankPdf()], 'contract.pdf'));
+}
+
+/**
+ * The keypair sign.html derives for an email and the password "pw"
+ * @param {string} email
+ * @returns {Promise<Object>}
+ */
+function keypair(email) {
+  const { Crypto } = load();
+  return Crypto.deriveKeypair(email, 'pw', KDF);
+}
+
+/**
+ * Fill and sign for one signer, the way sign.html's "Complete" button does
+ * @param {Object} bundle
+ * @param {Object} signer
+ * @param {Object} [values] - field id => value; other fields get a value for their type
+ * @returns {Promise<Object>} the signer's keypair
+ */
+async function sign(bundle, signer, values = {}) {
+  const { Bundle, Crypto, Manifest, PdfSignature, Finalize, Audit } = load();
+  const keys = await keypair(signer.email);
+  const actor = { role: 'signer', name: signer.name, email: signer.email };
+
+  for (const field of Bundle.getFieldsForSigner(bundle, signer.id)) {
+    field.value = field.id in values ? values[field.id] : sampleValue(field);
+  }
+  await Audit.append(bundle, 'opened', actor, { keypair: keys });
+
+  const docHash = await Crypto.sha256(new Uint8Array(Bundle.getPdfBytes(bundle)));
+  const pdfKey = bundle.pdfSignatures
+    ? await PdfSignature.createKey(keys.secretKey, bundle.pdfSignatures.algorithm)
+    : null;
+  const manifest = await Manifest.build(bundle, signer.id, {
+    pdfSigningKey: pdfKey && pdfKey.algorithm === 'p256'
+      ? PdfSignature.formatKey(pdfKey.algorithm, pdfKey.publicKey)
+      : undefined
+  });
+  const timestamp = new Date().toISOString();
+  const message = await Crypto.createSigningMessage(docHash, signer.email, timestamp, await Manifest.hash(manifest));
+
+  if (pdfKey) {
+    Bundle.setSignedPdf(bundle, await PdfSignature.sign(new Uint8Array(Bundle.getSignedPdfBytes(bundle)), {
+      key: pdfKey,
+      signer,
+      signingTime: new Date(timestamp),
+      draw: pdfDoc => {
+        if (!bundle.signedDocument) Finalize.drawWhiteout(pdfDoc, bundle.whiteout);
+        return Finalize.drawFields(pdfDoc, Bundle.getVisibleFields(bundle, Bundle.getFieldsForSigner(bundle, signer.id)));
+      }
+    }));
+  }
+
+  Bundle.markSignerSigned(bundle, signer.id, {
+    signedAt: timestamp,
+    publicKey: Crypto.formatPublicKey(keys.publicKey),
+    kdf: KDF,
+    signatureImage: PNG,
+    cryptoSignature: Crypto.bytesToHex(Crypto.sign(message, keys.secretKey)),
+    manifest
+  });
+  await Audit.append(bundle, 'signed', actor, { keypair: keys, data: { pdfSignature: Boolean(pdfKey) } });
+  return keys;
+}
+
+function sampleValue(field) {
+  const { Bundle } = load();
+  switch (field.type) {
+    case 'signature':
+    case 'initials': return PNG;
+    case 'date': return '2026-01-01';
+    case 'checkbox': return Bundle.CHECKED;
+    case 'dropdown': return field.options[0];
+    case 'radio': return null;
+    default: return `${field.type} value`;
+  }
+}
+
+/**
+ * Sign for everyone in order and finalize, with a pending timestamp
+ * instead of a call to the public calendars
+ * @param {Object} bundle - with signers and fields
+ * @param {Object} [values] - see sign()
+ * @returns {Promise<{result: Object, archive: Uint8Array}>} Finalize.run()'s result and the .ots-signed bytes
+ */
+async function signAndFinalize(bundle, values = {}) {
+  for (const signer of bundle.signers) await sign(bundle, signer, values);
+  return finalize(bundle);
+}
+
+/**
+ * Finalize a bundle everyone has signed, with a pending timestamp
+ * @param {Object} bundle
+ * @returns {Promise<{result: Object, archive: Uint8Array}>}
+ */
+async function finalize(bundle) {
+  const { Finalize, OpenTimestamps } = load();
+  const result = await Finalize.run(bundle, {
+    stamp: async detached => {
+      detached.timestamp.attestations.push(new OpenTimestamps.Notary.PendingAttestation('https://calendar.example'));
+    }
+  });
+  return { result, archive: await Finalize.createArchive(result, 'uint8array') };
+}
+
+/**
+ * A finalized two-signer archive: Alice with a text and a signature field
+ * on page 1, Bob with a date on page 2
+ * @param {Object} [options]
+ * @param {Function} [options.prepare] - (bundle) => void, to change the bundle before signing
+ * @returns {Promise<{bundle: Object, result: Object, archive: Uint8Array}>}
+ */
+async function signedArchive(options = {}) {
+  const { Bundle, Audit } = load();
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const bob = Bundle.addSigner(bundle, 'Bob', 'bob@example.com');
+  Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 700 });
+  Bundle.addField(bundle, { type: 'signature', signerId: alice.id, page: 0, x: 50, y: 500 });
+  Bundle.addField(bundle, { type: 'date', signerId: bob.id, page: 1, x: 50, y: 600 });
+  await Audit.append(bundle, 'created', { role: 'sender' }, { data: { document: bundle.document.name } });
+  if (options.prepare) await options.prepare(bundle);
+  Bundle.markSent(bundle);
+
+  const { result, archive } = await signAndFinalize(bundle);
+  return { bundle, result, archive };
+}
+
+/**
+ * Rewrite one file of an archive
+ * @param {Uint8Array} archive
+ * @param {string} name - e.g. 'verification.json'
+ * @param {Function} change - (contents) => new contents, or a promise of them; JSON files are parsed first
+ * @returns {Promise<Uint8Array>}
+ */
+async function editArchive(archive, name, change) {
+  const { JSZip } = load();
+  const zip = await JSZip.loadAsync(archive);
+  if (name.endsWith('.json')) {
+    const data = JSON.parse(await zip.file(name).async('string'));
+    zip.file(name, JSON.stringify((await change(data)) || data));
+  } else {
+    zip.file(name, await change(await zip.file(name).async('uint8array')));
+  }
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+module.exports = {
+  ROOT,
+  KDF,
+  PNG,
+  load,
+  blankPdf,
+  formPdf,
+  createBundle,
+  keypair,
+  sign,
+  signAndFinalize,
+  finalize,
+  signedArchive,
+  editArchive
+};
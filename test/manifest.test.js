@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createBundle } = require('./helpers');
+
+const { Bundle, Manifest } = load();
+
+async function filledBundle() {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const bob = Bundle.addSigner(bundle, 'Bob', 'bob@example.com');
+  Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 700 }).value = 'Alice Smith';
+  Bundle.addField(bundle, { type: 'date', signerId: alice.id, page: 0, x: 50, y: 600 }).value = '2026-01-01';
+  Bundle.addField(bundle, { type: 'text', signerId: bob.id, page: 1, x: 50, y: 600 }).value = 'Bob Jones';
+  return { bundle, alice, bob };
+}
+
+// verification.json's `fields`, as finalize records them
+async function drawn(bundle) {
+  const fields = [];
+  for (const field of bundle.fields) {
+    fields.push({ signerId: field.signerId, ...(await Manifest.describeField(field)) });
+  }
+  return fields;
+}
+
+test('a manifest lists only the signer\'s fields, sorted by id, with value hashes', async () => {
+  const { bundle, alice } = await filledBundle();
+  const manifest = await Manifest.build(bundle, alice.id);
+  const ids = Bundle.getFieldsForSigner(bundle, alice.id).map(f => f.id).sort();
+
+  assert.equal(manifest.version, Manifest.VERSION);
+  assert.equal(manifest.signerId, alice.id);
+  assert.deepEqual(manifest.fields.map(f => f.id), ids);
+  assert.ok(manifest.fields.every(f => /^[0-9a-f]{64}$/.test(f.valueHash)));
+  assert.equal(await Manifest.hashValue(null), null);
+});
+
+test('the manifest hash changes with any value', async () => {
+  const { bundle, alice } = await filledBundle();
+  const before = await Manifest.hash(await Manifest.build(bundle, alice.id));
+  assert.deepEqual(await Manifest.hash(await Manifest.build(bundle, alice.id)), before);
+
+  Bundle.getFieldsForSigner(bundle, alice.id)[0].value = 'Alice Smyth';
+  assert.notDeepEqual(await Manifest.hash(await Manifest.build(bundle, alice.id)), before);
+});
+
+test('check accepts the drawn fields as signed', async () => {
+  const { bundle, alice, bob } = await filledBundle();
+  const fields = await drawn(bundle);
+  assert.deepEqual(Manifest.check(await Manifest.build(bundle, alice.id), fields), { valid: true, problems: [] });
+  assert.deepEqual(Manifest.check(await Manifest.build(bundle, bob.id), fields), { valid: true, problems: [] });
+});
+
+test('check reports changed, moved, missing and extra fields', async () => {
+  const { bundle, alice } = await filledBundle();
+  const manifest = await Manifest.build(bundle, alice.id);
+  const [first, second] = manifest.fields;
+
+  const changed = await drawn(bundle);
+  changed.find(f => f.id === first.id).valueHash = await Manifest.hashValue('something else');
+  changed.find(f => f.id === second.id).y += 10;
+  const result = Manifest.check(manifest, changed);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.problems, [
+    `Field ${first.id}: valueHash differs from what was signed`,
+    `Field ${second.id}: y differs from what was signed`
+  ]);
+
+  const missing = (await drawn(bundle)).filter(f => f.id !== first.id);
+  assert.deepEqual(Manifest.check(manifest, missing).problems, [`Field ${first.id} is missing from the document`]);
+
+  const extra = await drawn(bundle);
+  extra.push({ ...extra[0], id: 'f-extra' });
+  assert.deepEqual(Manifest.check(manifest, extra).problems, ['Field f-extra was not signed by this signer']);
+});
+
+test('check rejects an unknown manifest version', async () => {
+  const { bundle, alice } = await filledBundle();
+  const manifest = { ...(await Manifest.build(bundle, alice.id)), version: 'ots-sign-manifest-v0' };
+  assert.equal(Manifest.check(manifest, await drawn(bundle)).valid, false);
+});
+
+test('a radio box\'s option, a dropdown\'s options and a text format are signed too', async () => {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const radio = Bundle.addField(bundle, { type: 'radio', signerId: alice.id, page: 0, x: 50, y: 700, option: 'Basic' });
+  const dropdown = Bundle.addField(bundle, { type: 'dropdown', signerId: alice.id, page: 0, x: 50, y: 650, options: ['Red', 'Blue'] });
+  const text = Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 600, format: { align: 'right' } });
+  const manifest = await Manifest.build(bundle, alice.id);
+  assert.deepEqual(Manifest.check(manifest, await drawn(bundle)).problems, []);
+
+  radio.option = 'Pro';
+  dropdown.options = ['Red', 'Green'];
+  text.format = { align: 'left' };
+  assert.deepEqual(Manifest.check(manifest, await drawn(bundle)).problems.sort(), [
+    `Field ${dropdown.id}: options differs from what was signed`,
+    `Field ${radio.id}: option differs from what was signed`,
+    `Field ${text.id}: format differs from what was signed`
+  ].sort());
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createBundle, sign, finalize } = require('./helpers');
+
+const { Bundle, Audit, Verifier } = load();
+
+// A sent bundle for Alice and Bob, signing in parallel
+async function parallelBundle() {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const bob = Bundle.addSigner(bundle, 'Bob', 'bob@example.com');
+  Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 700 });
+  Bundle.addField(bundle, { type: 'text', signerId: bob.id, page: 1, x: 50, y: 600 });
+  await Audit.append(bundle, 'created', { role: 'sender' });
+  Bundle.markSent(bundle);
+  return bundle;
+}
+
+function copy(bundle) {
+  return JSON.parse(JSON.stringify(bundle));
+}
+
+// As combine.html does it
+async function combine(copies) {
+  const result = Bundle.merge(copies);
+  await Audit.merge(result.bundle, copies.map(c => c.audit));
+  return result;
+}
+
+test('copies signed by different signers combine into a complete bundle', async () => {
+  const sent = await parallelBundle();
+  const [forAlice, forBob] = [copy(sent), copy(sent)];
+  await sign(forAlice, forAlice.signers[0], { [forAlice.fields[0].id]: 'from Alice' });
+  await sign(forBob, forBob.signers[1], { [forBob.fields[1].id]: 'from Bob' });
+
+  const { bundle, conflicts } = await combine([forAlice, forBob]);
+  assert.deepEqual(conflicts, []);
+  assert.equal(bundle.status, 'completed');
+  assert.deepEqual(bundle.fields.map(f => f.value), ['from Alice', 'from Bob']);
+  assert.deepEqual(Bundle.getPendingSigners(bundle), []);
+
+  const { archive } = await finalize(bundle);
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, true);
+  // The signatures made on each copy, not new ones
+  assert.deepEqual(report.signers.map(s => s.signedAt), [forAlice.signers[0].signedAt, forBob.signers[1].signedAt]);
+});
+
+test('a signer who signed two copies differently is reported, keeping the first', async () => {
+  const sent = await parallelBundle();
+  const [first, second] = [copy(sent), copy(sent)];
+  await sign(first, first.signers[0], { [first.fields[0].id]: 'one' });
+  await sign(second, second.signers[0], { [second.fields[0].id]: 'two' });
+
+  const { bundle, conflicts } = await combine([first, second]);
+  assert.equal(bundle.fields[0].value, 'one');
+  assert.equal(bundle.signers[0].cryptoSignature, first.signers[0].cryptoSignature);
+  assert.deepEqual(conflicts.map(c => c.fieldId || null), [null, bundle.fields[0].id]);
+  assert.match(conflicts[1].message, /Alice filled their text field on page 1 differently/);
+});
+
+test('copies of different documents or layouts are refused', async () => {
+  const sent = await parallelBundle();
+  assert.throws(() => Bundle.merge([sent]), /at least two copies/);
+
+  const other = copy(sent);
+  other.document.data = (await createBundle()).document.data.replace(/^./, 'x');
+  assert.throws(() => Bundle.merge([sent, other]), /not the same original document/);
+
+  const moved = copy(sent);
+  moved.fields[0].x += 1;
+  assert.throws(() => Bundle.merge([sent, moved]), /different signers or field layouts/);
+});
+
+test('a decline in any copy closes the combined bundle', async () => {
+  const sent = await parallelBundle();
+  const [signed, declined] = [copy(sent), copy(sent)];
+  await sign(signed, signed.signers[0]);
+  declined.signers[1].declined = { reason: 'no' };
+
+  const { bundle } = Bundle.merge([signed, declined]);
+  assert.equal(bundle.status, 'declined');
+  assert.equal(bundle.signers[0].signed, true);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nodeCrypto = require('crypto');
+const { load } = require('./helpers');
+
+const { Merkle, Crypto } = load();
+
+function sha256(...parts) {
+  return nodeCrypto.createHash('sha256').update(Buffer.concat(parts.map(p => Buffer.from(p)))).digest();
+}
+
+// RFC 9162 section 2.1.1, written out independently of merkle.js
+function referenceRoot(leaves) {
+  if (leaves.length === 1) return Buffer.from(leaves[0]);
+  let k = 1;
+  while (k * 2 < leaves.length) k *= 2;
+  return sha256([0x01], referenceRoot(leaves.slice(0, k)), referenceRoot(leaves.slice(k)));
+}
+
+async function leaves(count) {
+  const result = [];
+  for (let i = 0; i < count; i++) result.push(await Merkle.hashLeaf('signer', `leaf ${i}`));
+  return result;
+}
+
+test('leaves and nodes are domain-separated', async () => {
+  const leaf = await Merkle.hashLeaf('document', 'abc');
+  assert.deepEqual(Buffer.from(leaf), sha256([0x00, 0x01], Buffer.from('abc')));
+  assert.deepEqual(Buffer.from(await Merkle.hashLeaf('audit', 'abc')), sha256([0x00, 0x03], Buffer.from('abc')));
+  assert.deepEqual(Buffer.from(await Merkle.hashInterior(leaf, leaf)), sha256([0x01], leaf, leaf));
+  await assert.rejects(Merkle.hashLeaf('other', 'abc'), /Unknown leaf type/);
+});
+
+test('roots match RFC 9162 for every size up to 17', async () => {
+  for (let size = 1; size <= 17; size++) {
+    const list = await leaves(size);
+    assert.deepEqual(Buffer.from(await Merkle.computeRoot(list)), referenceRoot(list), `size ${size}`);
+  }
+  assert.equal(await Merkle.computeRoot([]), null);
+});
+
+test('every audit path verifies at its own index and size', async () => {
+  for (let size = 1; size <= 9; size++) {
+    const list = await leaves(size);
+    const root = await Merkle.computeRoot(list);
+    for (let index = 0; index < size; index++) {
+      const proof = await Merkle.getAuditPath(list, index);
+      assert.equal(proof.size, size);
+      assert.equal(await Merkle.verifyAuditPath(list[index], proof, root), true, `leaf ${index} of ${size}`);
+    }
+  }
+});
+
+// The size only steers which side each step hashes on, so a path can also fit a
+// bigger tree with the same shape; the verifier pins the size to the signer count
+test('an audit path fails at another index, size or with a changed step', async () => {
+  const list = await leaves(7);
+  const root = await Merkle.computeRoot(list);
+  const proof = await Merkle.getAuditPath(list, 5);
+
+  assert.equal(await Merkle.verifyAuditPath(list[5], { ...proof, index: 4 }, root), false);
+  assert.equal(await Merkle.verifyAuditPath(list[5], { ...proof, size: 6 }, root), false);
+  assert.equal(await Merkle.verifyAuditPath(list[5], { ...proof, index: 7 }, root), false);
+  assert.equal(await Merkle.verifyAuditPath(list[5], { ...proof, path: proof.path.slice(1) }, root), false);
+  assert.equal(await Merkle.verifyAuditPath(list[5], { ...proof, path: [...proof.path, proof.path[0]] }, root), false);
+  assert.equal(await Merkle.verifyAuditPath(list[5], { ...proof, path: [Crypto.bytesToHex(list[0]), ...proof.path.slice(1)] }, root), false);
+  assert.equal(await Merkle.verifyAuditPath(list[4], proof, root), false);
+  assert.equal(await Merkle.verifyAuditPath(list[5], null, root), false);
+});
+
+test('version dispatch keeps v3 proofs working', async () => {
+  const hashes = [await Merkle.hash('a'), await Merkle.hash('b'), await Merkle.hash('c')];
+  const { root, layers } = await Merkle.buildTree(hashes);
+  const proof = Merkle.getProof(layers, 2);
+  assert.equal(await Merkle.verifyLeaf(Merkle.V3, hashes[2], proof, root), true);
+  assert.equal(await Merkle.verifyLeaf(Merkle.V4, hashes[2], proof, root), false);
+  assert.equal(Merkle.isSupported(Merkle.V3), true);
+  assert.equal(Merkle.isSupported('ots-sign-v2'), false);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, KDF, createBundle, keypair, sign } = require('./helpers');
+
+const { Bundle, Crypto, Outcome, Finalize, Verifier } = load();
+
+// A sent bundle for Alice and Bob, with a sender key to void it with
+async function sentBundle() {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const bob = Bundle.addSigner(bundle, 'Bob', 'bob@example.com');
+  Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 700 });
+  Bundle.addField(bundle, { type: 'text', signerId: bob.id, page: 1, x: 50, y: 600 });
+  const sender = await keypair('sender@example.com');
+  bundle.sender = { name: 'Sam', email: 'sender@example.com', publicKey: Crypto.formatPublicKey(sender.publicKey), kdf: KDF };
+  Bundle.markSent(bundle);
+  return bundle;
+}
+
+function verifyBundle(bundle) {
+  return Verifier.verify(new TextEncoder().encode(JSON.stringify(bundle)));
+}
+
+test('a decline closes the bundle and verifies against the signer\'s key', async () => {
+  const bundle = await sentBundle();
+  const [alice, bob] = bundle.signers;
+  await sign(bundle, alice);
+
+  const record = await Outcome.decline(bundle, bob.id, { reason: 'Wrong amount', keypair: await keypair(bob.email), kdf: KDF });
+  assert.equal(record.email, 'bob@example.com');
+  assert.equal(bundle.status, 'declined');
+  assert.equal(Bundle.isClosed(bundle), true);
+  assert.equal(await Outcome.verifyRecord(bundle, record, Outcome.DECLINE_VERSION), true);
+  assert.equal(await Outcome.verifyRecord(bundle, record, Outcome.VOID_VERSION), false);
+
+  await assert.rejects(sign(bundle, bob), /This bundle has been declined/);
+  await assert.rejects(Finalize.run(bundle, {}), /has been declined and can't be finalized/);
+  await assert.rejects(Outcome.decline(bundle, alice.id, { reason: 'late', keypair: await keypair(alice.email) }), /has been declined/);
+
+  const report = await verifyBundle(bundle);
+  const declined = report.results.find(r => r.check === 'declined');
+  assert.deepEqual([declined.status, declined.title, declined.message], ['error', '✗ Declined by Bob', 'Wrong amount']);
+});
+
+test('a decline record with a changed reason or another key is invalid', async () => {
+  const bundle = await sentBundle();
+  const bob = bundle.signers[1];
+  await Outcome.decline(bundle, bob.id, { reason: 'Wrong amount', keypair: await keypair(bob.email) });
+
+  bob.declined.reason = 'Never received it';
+  let report = await verifyBundle(bundle);
+  assert.equal(report.results.find(r => r.check === 'declined').title, '✗ Bob: invalid decline record');
+
+  const pinned = await sentBundle();
+  pinned.signers[1].expectedPublicKey = Crypto.formatPublicKey((await keypair('bob@example.com')).publicKey);
+  await assert.rejects(
+    Outcome.decline(pinned, pinned.signers[1].id, { reason: 'no', keypair: await keypair('mallory@example.com') }),
+    /bob@example.com must decline with the key the sender pinned/
+  );
+});
+
+test('only the sender can void, and not once everyone has signed', async () => {
+  const bundle = await sentBundle();
+  await assert.rejects(Outcome.voidBundle(bundle, { reason: 'no', keypair: await keypair('mallory@example.com') }), /Only the sender can void/);
+
+  const record = await Outcome.voidBundle(bundle, { reason: 'Superseded', keypair: await keypair('sender@example.com'), kdf: KDF });
+  assert.equal(bundle.status, 'voided');
+  assert.equal(await Outcome.verifyRecord(bundle, record, Outcome.VOID_VERSION), true);
+  await assert.rejects(sign(bundle, bundle.signers[0]), /This bundle has been voided/);
+  await assert.rejects(Outcome.voidBundle(bundle, { reason: 'again', keypair: await keypair('sender@example.com') }), /already been voided/);
+
+  const report = await verifyBundle(bundle);
+  const voided = report.results.find(r => r.check === 'voided');
+  assert.deepEqual([voided.status, voided.title, voided.message], ['error', '✗ Voided by the sender (Sam)', 'Superseded']);
+
+  const completed = await sentBundle();
+  for (const signer of completed.signers) await sign(completed, signer);
+  await assert.rejects(Outcome.voidBundle(completed, { reason: 'late', keypair: await keypair('sender@example.com') }), /Everyone has already signed/);
+
+  const unsent = await createBundle();
+  await assert.rejects(Outcome.voidBundle(unsent, { reason: 'no', keypair: await keypair('sender@example.com') }), /no sender key/);
+});
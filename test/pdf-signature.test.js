@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, blankPdf, signedArchive } = require('./helpers');
+
+const { PdfSignature, Verifier } = load();
+
+for (const algorithm of Object.keys(PdfSignature.ALGORITHMS)) {
+  test(`${algorithm}: each signer adds a revision with a valid signature`, async () => {
+    const { result } = await signedArchive({
+      prepare: bundle => { bundle.pdfSignatures = { algorithm }; }
+    });
+    const signatures = await PdfSignature.verify(result.pdfBytes);
+
+    assert.deepEqual(signatures.map(s => [s.valid, s.error, s.algorithm, s.name]), [
+      [true, null, algorithm, 'Alice'],
+      [true, null, algorithm, 'Bob']
+    ]);
+    // Revision 1 is the original; the stamp and proof come after the signatures
+    assert.deepEqual(signatures.map(s => s.revision), [2, 3]);
+    assert.ok(signatures.every(s => s.revisions > 3));
+
+    const report = await Verifier.verify(result.pdfBytes, { network: false });
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.results.filter(r => r.check === 'pdf-signature').map(r => r.status), ['success', 'success']);
+  });
+}
+
+test('a byte changed under the signatures invalidates them', async () => {
+  const { result } = await signedArchive({
+    prepare: bundle => { bundle.pdfSignatures = { algorithm: 'ed25519' }; }
+  });
+  const changed = result.pdfBytes.slice();
+  // %PDF-1.x: the version digit is covered by every revision's signature
+  changed[7] = changed[7] === 0x37 ? 0x36 : 0x37;
+
+  const signatures = await PdfSignature.verify(changed);
+  assert.deepEqual(signatures.map(s => [s.valid, s.error]), [
+    [false, 'Signed bytes were changed'],
+    [false, 'Signed bytes were changed']
+  ]);
+});
+
+test('updates are appended, leaving the earlier bytes as they were', async () => {
+  const original = await blankPdf(1);
+  const updated = await PdfSignature.appendUpdate(original, async pdfDoc => {
+    pdfDoc.addPage([600, 800]);
+  });
+  assert.deepEqual(updated.subarray(0, original.length), original);
+  assert.ok(updated.length > original.length);
+  assert.deepEqual(await PdfSignature.verify(updated), []);
+});
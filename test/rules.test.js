@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createBundle, signAndFinalize } = require('./helpers');
+
+const { Bundle, Verifier, pdfjsLib } = load({ pdfjs: true });
+
+// Alice answers a checkbox and a plan; her other fields depend on them
+async function ruled() {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const box = Bundle.addField(bundle, { type: 'checkbox', signerId: alice.id, page: 0, x: 50, y: 700, required: false });
+  const basic = Bundle.addField(bundle, { type: 'radio', signerId: alice.id, page: 0, x: 50, y: 650, option: 'Basic' });
+  const pro = Bundle.addField(bundle, { type: 'radio', signerId: alice.id, page: 0, x: 50, y: 630, option: 'Pro', group: basic.group });
+  const details = Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 600 });
+  const reason = Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 550, required: false });
+  const note = Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 500, required: false });
+  details.rule = { field: box.id, operator: 'filled', effect: 'show' };
+  reason.rule = { field: pro.id, operator: 'equals', value: 'Pro', effect: 'require' };
+  note.rule = { field: details.id, operator: 'empty', effect: 'disable' };
+  return { bundle, alice, box, basic, pro, details, reason, note };
+}
+
+test('rules show, require and disable fields', async () => {
+  const { bundle, box, basic, pro, details, reason, note } = await ruled();
+
+  assert.deepEqual(Bundle.getFieldState(bundle, details), { visible: false, enabled: false, required: false });
+  assert.deepEqual(Bundle.getFieldState(bundle, reason), { visible: true, enabled: true, required: false });
+  assert.deepEqual(Bundle.getFieldState(bundle, note), { visible: true, enabled: false, required: false });
+  assert.deepEqual(Bundle.getVisibleFields(bundle), [box, basic, pro, reason, note]);
+
+  box.value = Bundle.CHECKED;
+  details.value = 'More';
+  basic.value = 'Basic';
+  assert.deepEqual(Bundle.getFieldState(bundle, details), { visible: true, enabled: true, required: true });
+  assert.equal(Bundle.getFieldState(bundle, reason).required, false);
+  assert.equal(Bundle.getFieldState(bundle, note).enabled, true);
+
+  // The rule looks at the group's choice, whichever box it names
+  basic.value = null;
+  pro.value = 'Pro';
+  assert.equal(Bundle.isRuleActive(bundle, reason), true);
+  assert.equal(Bundle.getFieldState(bundle, reason).required, true);
+  assert.equal(Bundle.isComplete(bundle), false);
+  reason.value = 'Growing';
+  assert.equal(Bundle.isComplete(bundle), true);
+
+  reason.rule = { ...reason.rule, operator: 'not_equals' };
+  assert.equal(Bundle.isRuleActive(bundle, reason), false);
+  reason.rule = { ...reason.rule, field: 'gone' };
+  assert.equal(Bundle.isRuleActive(bundle, reason), null);
+});
+
+test('hidden required fields don\'t hold up completion', async () => {
+  const { bundle, basic } = await ruled();
+  basic.value = 'Basic';
+  assert.equal(Bundle.isComplete(bundle), true);
+});
+
+test('clearing a field empties the fields it switches off, in turn', async () => {
+  const { bundle, alice, box, details, note } = await ruled();
+  box.value = Bundle.CHECKED;
+  details.value = 'More';
+  note.value = 'Note';
+
+  box.value = null;
+  assert.deepEqual(Bundle.clearInactiveFields(bundle, alice.id), [details, note]);
+  assert.deepEqual([details.value, note.value], [null, null]);
+  assert.deepEqual(Bundle.clearInactiveFields(bundle, alice.id), []);
+});
+
+test('hidden fields are recorded but not drawn, and the conditions are reported', async () => {
+  const { bundle, alice, box, basic, pro, details, reason, note } = await ruled();
+  // A radio box draws its option's label even when unchosen, unless it is hidden
+  const extra = Bundle.addField(bundle, { type: 'radio', signerId: alice.id, page: 0, x: 50, y: 450, option: 'Extra plan', required: false });
+  extra.rule = { field: box.id, operator: 'filled', effect: 'show' };
+  Bundle.markSent(bundle);
+  const { result, archive } = await signAndFinalize(bundle, {
+    [box.id]: null,
+    [basic.id]: 'Basic',
+    [pro.id]: null,
+    [details.id]: null,
+    [reason.id]: 'Visible reason',
+    [note.id]: null,
+    [extra.id]: null
+  });
+
+  assert.deepEqual(result.verification.fields.map(f => Boolean(f.hidden)), [false, false, false, true, false, false, true]);
+
+  const doc = await pdfjsLib.getDocument({ data: result.pdfBytes, isEvalSupported: false }).promise;
+  try {
+    const { items } = await (await doc.getPage(1)).getTextContent();
+    const text = items.map(i => i.str).join('|');
+    assert.match(text, /Visible reason/);
+    assert.match(text, /Basic/);
+    assert.doesNotMatch(text, /Extra plan/);
+  } finally {
+    await doc.destroy();
+  }
+
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, true);
+  assert.equal(report.results.find(r => r.check === 'signer-fields').message, '7 fields match what was signed (2 hidden by a rule and not drawn).');
+  const conditions = report.results.find(r => r.check === 'signer-conditions');
+  assert.deepEqual([conditions.title, conditions.message], [
+    '✓ Alice: 4 conditional fields',
+    '1 condition held when they signed, 3 did not.'
+  ]);
+});
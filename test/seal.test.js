@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, KDF, blankPdf, createBundle, keypair, sign } = require('./helpers');
+
+const { Bundle, Crypto, Seal, Verifier } = load();
+
+// A bundle for Alice and Bob, sealed by its sender
+async function sealedBundle() {
+  const bundle = await createBundle();
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const bob = Bundle.addSigner(bundle, 'Bob', 'bob@example.com');
+  Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 50, y: 700 });
+  Bundle.addField(bundle, { type: 'text', signerId: bob.id, page: 1, x: 50, y: 600 });
+  const sender = await keypair('sender@example.com');
+  bundle.sender = { name: 'Sam', email: 'sender@example.com', publicKey: Crypto.formatPublicKey(sender.publicKey), kdf: KDF };
+  await Seal.sign(bundle, sender);
+  Bundle.markSent(bundle);
+  return bundle;
+}
+
+async function problems(change) {
+  const bundle = await sealedBundle();
+  await change(bundle);
+  const result = await Seal.check(bundle);
+  assert.equal(result.status, 'modified');
+  return result.problems;
+}
+
+test('a sealed bundle stays valid as signers sign', async () => {
+  const bundle = await sealedBundle();
+  assert.deepEqual(await Seal.check(bundle), { status: 'valid', seal: bundle.seal, problems: [] });
+
+  await sign(bundle, bundle.signers[0]);
+  assert.equal((await Seal.check(bundle)).status, 'valid');
+
+  const report = await Verifier.verify(new TextEncoder().encode(JSON.stringify(bundle)));
+  const seal = report.results.find(r => r.check === 'seal');
+  assert.deepEqual([seal.status, seal.title], ['success', '✓ Prepared by Sam']);
+});
+
+test('an unsealed bundle is reported as such', async () => {
+  const bundle = await createBundle();
+  assert.deepEqual(await Seal.check(bundle), { status: 'unsealed', seal: null, problems: [] });
+
+  const report = await Verifier.verify(new TextEncoder().encode(JSON.stringify(bundle)));
+  assert.equal(report.results.find(r => r.check === 'seal').status, 'warning');
+});
+
+test('only the sender can seal', async () => {
+  const bundle = await createBundle();
+  await assert.rejects(Seal.sign(bundle, await keypair('sender@example.com')), /Set a sender key/);
+
+  const sealed = await sealedBundle();
+  await assert.rejects(Seal.sign(sealed, await keypair('mallory@example.com')), /doesn't match the bundle's sender/);
+});
+
+test('each sealed part reports its own change', async () => {
+  assert.deepEqual(await problems(async b => {
+    b.document.data = (await createBundle(await blankPdf(1))).document.data;
+  }), ['The PDF was replaced']);
+  assert.deepEqual(await problems(b => { b.signers[1].email = 'mallory@example.com'; }), ['Signers were added, removed or changed']);
+  assert.deepEqual(await problems(b => { b.fields[0].x += 10; }), ['Fields were added, moved or removed']);
+  assert.deepEqual(await problems(b => { b.expiresAt = '2030-01-01T00:00:00.000Z'; }), ['Signing options, the expiry date or the white-out areas were changed']);
+  assert.deepEqual(await problems(async b => {
+    b.sender.publicKey = Crypto.formatPublicKey((await keypair('mallory@example.com')).publicKey);
+  }), ['The sender was replaced']);
+});
+
+test('a changed seal or a signer\'s changed values are caught', async () => {
+  const bundle = await sealedBundle();
+  bundle.seal.parts.fields = bundle.seal.parts.signers;
+  assert.deepEqual((await Seal.check(bundle)).problems, ["The sender's signature on the layout is invalid"]);
+  assert.equal((await Seal.check(bundle)).status, 'invalid');
+
+  assert.deepEqual(await problems(async b => {
+    await sign(b, b.signers[0]);
+    b.fields[0].value = 'changed';
+  }), ["Alice's fields were changed after they signed"]);
+
+  assert.deepEqual(await problems(async b => {
+    await sign(b, b.signers[0]);
+    b.signers[0].signedAt = '2020-01-01T00:00:00.000Z';
+  }), ["Alice's signature is invalid"]);
+
+  const report = await Verifier.verify(new TextEncoder().encode(JSON.stringify(bundle)));
+  const seal = report.results.find(r => r.check === 'seal');
+  assert.deepEqual([seal.status, seal.title], ['error', '✗ Changed after sending']);
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+const { load, blankPdf, formPdf, createBundle } = require('./helpers');
+
+const { Bundle, Template, PDFLib } = load();
+
+const people = {
+  Employee: { name: 'Alice', email: 'alice@example.com' },
+  Manager: { name: 'Bob', email: 'bob@example.com' }
+};
+
+// Alice fills a form field and a page-2 date; Bob signs after her, if she ticked the box
+async function prepared(pdfBytes) {
+  const bundle = await createBundle(pdfBytes);
+  const alice = Bundle.addSigner(bundle, 'Alice', 'alice@example.com');
+  const bob = Bundle.addSigner(bundle, 'Bob', 'bob@example.com', { order: 2 });
+  Bundle.addField(bundle, { type: 'text', signerId: alice.id, page: 0, x: 49.5, y: 699.5, width: 201, height: 21, formField: 'name' });
+  const box = Bundle.addField(bundle, { type: 'checkbox', signerId: alice.id, page: 0, x: 50, y: 400 });
+  Bundle.addField(bundle, { type: 'date', signerId: alice.id, page: 1, x: 50, y: 600 });
+  Bundle.addField(bundle, { type: 'text', signerId: bob.id, page: 0, x: 300, y: 300 });
+  const signature = Bundle.addField(bundle, { type: 'signature', signerId: bob.id, page: 0, x: 300, y: 200 });
+  signature.rule = { field: box.id, operator: 'filled', effect: 'show' };
+  bundle.pdfSignatures = { algorithm: 'p256' };
+  return bundle;
+}
+
+async function template(pdfBytes) {
+  const bundle = await prepared(pdfBytes);
+  const roles = { [bundle.signers[0].id]: 'Employee', [bundle.signers[1].id]: 'Manager' };
+  return Template.fromBundle(bundle, 'Onboarding', roles);
+}
+
+test('a template keeps fields by role, page sizes and rules by index', async () => {
+  const made = await template(await formPdf());
+  assert.equal(made.format, Template.FORMAT);
+  assert.deepEqual(made.document.pageSizes, [[600, 800], [600, 800]]);
+  assert.deepEqual(made.roles, [{ name: 'Employee', order: 1 }, { name: 'Manager', order: 2 }]);
+  assert.deepEqual(made.fields.map(f => f.role), ['Employee', 'Employee', 'Employee', 'Manager', 'Manager']);
+  assert.equal(made.fields[0].formField, 'name');
+  assert.deepEqual(made.fields[4].rule, { field: 1, operator: 'filled', effect: 'show' });
+  assert.deepEqual(made.options.pdfSignatures, { algorithm: 'p256' });
+  assert.equal('signerId' in made.fields[0], false);
+
+  const bundle = await prepared(await blankPdf());
+  await assert.rejects(Template.fromBundle(bundle, 'x', { [bundle.signers[0].id]: 'Employee' }), /Every signer needs a role/);
+  await assert.rejects(Template.fromBundle(bundle, 'x', { [bundle.signers[0].id]: 'A', [bundle.signers[1].id]: ' A ' }), /must be different/);
+});
+
+test('compare warns about page counts, sizes and missing form fields', async () => {
+  const made = await template(await formPdf());
+  assert.deepEqual(Template.compare(made, await Template.pageSizes(await formPdf()), await Template.formFields(await formPdf())), []);
+
+  const onePage = await blankPdf(1);
+  assert.deepEqual(Template.compare(made, await Template.pageSizes(onePage), await Template.formFields(onePage)), [
+    'The template was made for 2 pages; this PDF has 1',
+    '1 field is on pages this PDF doesn\'t have and will be left out',
+    '1 field comes from form fields this PDF doesn\'t have; it will be drawn on the page instead'
+  ]);
+
+  const letter = await PDFLib.PDFDocument.create();
+  letter.addPage([612, 792]);
+  letter.addPage([600, 800.5]);
+  assert.deepEqual(Template.compare(made, await Template.pageSizes(await letter.save())), [
+    'Page 1 is 612 × 792 pt, the template expects 600 × 800; its fields may land in the wrong place'
+  ]);
+});
+
+test('applying a template adds a signer per role and places their fields', async () => {
+  const made = await template(await formPdf());
+  const bundle = await createBundle(await formPdf());
+  const values = { 'Employee text 1': 'Alice Liddell', 'Manager text 1': 'Approved' };
+  assert.deepEqual(Template.textFieldNames(made), [{ name: 'Employee text 1', index: 0 }, { name: 'Manager text 1', index: 3 }]);
+
+  const result = Template.apply(bundle, made, people, 2, values, await Template.formFields(Bundle.getPdfBytes(bundle)));
+  assert.equal(result.skipped, 0);
+  assert.deepEqual(bundle.signers.map(s => [s.name, s.role, s.order]), [['Alice', 'Employee', 1], ['Bob', 'Manager', 2]]);
+  assert.deepEqual(bundle.fields.map(f => f.signerId), [0, 0, 0, 1, 1].map(i => bundle.signers[i].id));
+  assert.deepEqual(bundle.fields.map(f => f.value), ['Alice Liddell', null, null, 'Approved', null]);
+  assert.equal(bundle.fields[0].formField, 'name');
+  assert.deepEqual(bundle.fields[4].rule, { field: bundle.fields[1].id, operator: 'filled', effect: 'show' });
+  assert.deepEqual(bundle.pdfSignatures, { algorithm: 'p256' });
+
+  const unchosen = await createBundle();
+  assert.throws(() => Template.apply(unchosen, made, { Employee: people.Employee }, 2), /Nobody was chosen for Manager/);
+  assert.deepEqual(unchosen.signers, []);
+});
+
+test('on a shorter PDF without the form, fields are left out or drawn instead', async () => {
+  const made = await template(await formPdf());
+  const bundle = await createBundle(await blankPdf(1));
+
+  const result = Template.apply(bundle, made, people, 1, {}, await Template.formFields(Bundle.getPdfBytes(bundle)));
+  assert.equal(result.skipped, 1);
+  assert.deepEqual(bundle.fields.map(f => f.type), ['text', 'checkbox', 'text', 'signature']);
+  assert.equal(bundle.fields[0].formField, undefined);
+  assert.equal(bundle.fields[3].rule.field, bundle.fields[1].id);
+});
+
+test('only template files load', async () => {
+  const made = await template(await blankPdf());
+  const loaded = await Template.load(new File([JSON.stringify(made)], 'onboarding.ots-template'));
+  assert.deepEqual(loaded, made);
+
+  await assert.rejects(Template.load(new File(['{"version":"1.0"}'], 'x.ots-template')), /Not an .ots-template file/);
+  await assert.rejects(Template.load(new File([JSON.stringify({ format: Template.FORMAT })], 'x.ots-template')), /missing roles/);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, blankPdf } = require('./helpers');
+
+const { TextField, Finalize, PDFLib, pdfjsLib } = load({ pdfjs: true });
+
+const format = overrides => TextField.getFormat({ format: overrides });
+
+test('formats fill in defaults and validate values', () => {
+  assert.deepEqual(TextField.getFormat({}), TextField.DEFAULTS);
+  assert.equal(format({ fontSize: 14 }).align, 'left');
+
+  assert.equal(TextField.validate('', format({ maxLength: 1 })), null);
+  assert.equal(TextField.validate('abcd', format({ maxLength: 3 })), 'Use at most 3 characters');
+  assert.equal(TextField.validate('a@b.co', format({ validation: 'email' })), null);
+  assert.equal(TextField.validate('a@b', format({ validation: 'email' })), 'Enter an email address');
+  assert.equal(TextField.validate(' -12,5 ', format({ validation: 'number' })), null);
+  assert.equal(TextField.validate('12a', format({ validation: 'number' })), 'Enter a number');
+  assert.equal(TextField.validate('AB-12', format({ validation: 'regex', pattern: '[A-Z]{2}-\\d+' })), null);
+  assert.equal(TextField.validate('xAB-12', format({ validation: 'regex', pattern: '[A-Z]{2}-\\d+' })), "This doesn't match the expected format");
+  // A broken pattern can't reject anything
+  assert.equal(TextField.compilePattern('('), null);
+  assert.equal(TextField.validate('x', format({ validation: 'regex', pattern: '(' })), null);
+});
+
+test('measure and printable follow the standard font', () => {
+  const helvetica = PDFLib.StandardFontEmbedder.for(PDFLib.StandardFonts.Helvetica);
+  assert.equal(TextField.measure('Hello', 10), helvetica.widthOfTextAtSize('Hello', 10));
+  assert.equal(TextField.printable('Café €5 → ok'), 'Café €5 ? ok');
+  assert.equal(TextField.measure('→', 10), TextField.measure('?', 10));
+});
+
+test('single lines are aligned and clipped', () => {
+  const { PADDING } = TextField;
+  const left = TextField.layoutText('Hello', format({}), 100, 20);
+  assert.deepEqual(left, { lines: [{ text: 'Hello', x: PADDING, baseline: PADDING + 10 }], overflow: false });
+
+  const width = TextField.measure('Hello', 10);
+  assert.equal(TextField.layoutText('Hello', format({ align: 'center' }), 100, 20).lines[0].x, (100 - width) / 2);
+  assert.equal(TextField.layoutText('Hello', format({ align: 'right' }), 100, 20).lines[0].x, 100 - PADDING - width);
+
+  const joined = TextField.layoutText('two\nlines', format({}), 100, 20);
+  assert.deepEqual(joined.lines.map(l => l.text), ['two lines']);
+
+  const clipped = TextField.layoutText('a rather long value for a small box', format({}), 60, 20);
+  assert.equal(clipped.overflow, true);
+  assert.equal(clipped.lines.length, 1);
+  assert.ok(TextField.measure(clipped.lines[0].text, 10) <= 60 - PADDING * 2);
+  assert.ok('a rather long value for a small box'.startsWith(clipped.lines[0].text));
+});
+
+test('multiline text wraps by word and stops at the bottom of the box', () => {
+  const { PADDING, LINE_HEIGHT } = TextField;
+  const wrapped = TextField.layoutText('one two three four\nfive', format({ multiline: true }), 60, 100);
+  assert.equal(wrapped.overflow, false);
+  assert.ok(wrapped.lines.length >= 3);
+  assert.equal(wrapped.lines[wrapped.lines.length - 1].text, 'five');
+  wrapped.lines.forEach((line, i) => {
+    assert.ok(TextField.measure(line.text, 10) <= 60 - PADDING * 2);
+    assert.equal(line.baseline, PADDING + 10 + i * 10 * LINE_HEIGHT);
+  });
+
+  const word = TextField.layoutText('Supercalifragilistic', format({ multiline: true }), 40, 100);
+  assert.ok(word.lines.length > 1);
+  assert.equal(word.lines.map(l => l.text).join(''), 'Supercalifragilistic');
+
+  // Two lines fit in 30pt at 10pt: the third is dropped
+  const cut = TextField.layoutText('a\nb\nc', format({ multiline: true }), 100, 30);
+  assert.deepEqual([cut.lines.map(l => l.text), cut.overflow], [['a', 'b'], true]);
+});
+
+test('finalize draws each line at the layout\'s position', async () => {
+  const pdfDoc = await PDFLib.PDFDocument.load(await blankPdf(1));
+  const field = { type: 'text', page: 0, x: 50, y: 500, width: 120, height: 40, format: { multiline: true, align: 'right' }, value: 'first line\nsecond' };
+  await Finalize.drawFields(pdfDoc, [field]);
+
+  const doc = await pdfjsLib.getDocument({ data: await pdfDoc.save(), isEvalSupported: false }).promise;
+  try {
+    const { items } = await (await doc.getPage(1)).getTextContent();
+    const drawn = items.filter(i => i.str.trim()).map(i => [i.str, i.transform[4], i.transform[5]]);
+    const { lines } = TextField.layoutText(field.value, TextField.getFormat(field), field.width, field.height);
+    // The field's y is its bottom edge; baselines are measured down from its top
+    assert.deepEqual(drawn, lines.map(l => [l.text, field.x + l.x, field.y + field.height - l.baseline]));
+  } finally {
+    await doc.destroy();
+  }
+});
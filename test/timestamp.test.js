@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { load, signedArchive } = require('./helpers');
+
+const { Verifier, Attachments, Crypto, OpenTimestamps, JSZip } = load();
+
+const HEIGHT = 800123;
+
+// The OTS library asks for "//host/path" and leaves the scheme to the page's location
+globalThis.location = new URL('http://localhost/');
+const nodeFetch = globalThis.fetch;
+globalThis.fetch = (input, init) => nodeFetch(typeof input === 'string' ? new URL(input, globalThis.location.href) : input, init);
+
+/**
+ * A calendar that has committed every commitment to block HEIGHT, or none
+ * @param {boolean} committed
+ * @returns {Promise<{url: string, requests: string[], close: Function}>}
+ */
+async function mockCalendar(committed) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const match = req.url.match(/^\/timestamp\/([0-9a-f]+)$/);
+    if (!match || !committed) {
+      res.writeHead(404);
+      res.end('Pending confirmation in Bitcoin blockchain');
+      return;
+    }
+    // A real calendar's reply walks a merkle path up to the block; one hash stands in for it
+    const timestamp = new OpenTimestamps.Timestamp(Array.from(Crypto.hexToBytes(match[1])));
+    timestamp.add(new OpenTimestamps.Ops.OpSHA256()).attestations.push(new OpenTimestamps.Notary.BitcoinBlockHeaderAttestation(HEIGHT));
+    const ctx = new OpenTimestamps.Context.StreamSerialization();
+    timestamp.serialize(ctx);
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+    res.end(Buffer.from(ctx.getOutput()));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// The library reports which calendar it used on the console
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('a finalized archive is pending until upgraded', async () => {
+  const { archive } = await signedArchive();
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, true);
+  assert.equal(report.timestamp.status, 'pending');
+});
+
+test('upgrade fetches the attestation and swaps it into the archive and the PDF', async t => {
+  const calendar = await mockCalendar(true);
+  t.after(calendar.close);
+
+  const { archive } = await signedArchive();
+  const { files } = await Verifier.verify(archive, { network: false });
+  const upgraded = await quietly(() => Verifier.upgradeTimestamp(files, [calendar.url]));
+
+  assert.equal(upgraded.changed, true);
+  assert.deepEqual(upgraded.heights, [HEIGHT]);
+  assert.ok(calendar.requests.length > 0);
+  assert.deepEqual(await files.zip.file('timestamp.ots').async('uint8array'), Uint8Array.from(upgraded.otsBytes));
+  assert.deepEqual(Uint8Array.from((await Attachments.readProof(upgraded.pdfBytes)).otsBytes), Uint8Array.from(upgraded.otsBytes));
+
+  const repacked = await files.zip.generateAsync({ type: 'uint8array' });
+  const report = await Verifier.verify(repacked, { network: false });
+  assert.equal(report.valid, true);
+  assert.equal(report.timestamp.status, 'attested');
+  assert.equal(report.timestamp.bitcoinHeight, HEIGHT);
+
+  const pdfReport = await Verifier.verify(upgraded.pdfBytes, { network: false });
+  assert.equal(pdfReport.valid, true);
+  assert.equal(pdfReport.timestamp.bitcoinHeight, HEIGHT);
+});
+
+test('upgrade leaves everything alone while the calendar is still pending', async t => {
+  const calendar = await mockCalendar(false);
+  t.after(calendar.close);
+
+  const { archive } = await signedArchive();
+  const { files } = await Verifier.verify(archive, { network: false });
+  const upgraded = await quietly(() => Verifier.upgradeTimestamp(files, [calendar.url]));
+
+  assert.equal(upgraded.changed, false);
+  assert.deepEqual(upgraded.heights, []);
+  assert.equal(upgraded.pdfBytes, files.pdfBytes);
+  const original = await JSZip.loadAsync(archive);
+  assert.deepEqual(
+    await files.zip.file('timestamp.ots').async('uint8array'),
+    await original.file('timestamp.ots').async('uint8array')
+  );
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+// Older versions left the password here; loading the vault removes it
+const storage = new Map([['ots-sign-credentials', 'YWxpY2U6cHc='], ['ots-sign-contacts', '[]']]);
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+const { Vault } = load({ vault: true });
+
+const KDF = { algorithm: 'argon2id', version: 'ots-sign-v2' };
+const seed = fill => new Uint8Array(32).fill(fill);
+const DAY = 24 * 60 * 60 * 1000;
+
+// The vault's own records, read and written past its API
+function identities(mode, fn) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open('ots-sign-vault');
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const tx = db.transaction('identities', mode);
+      const request = fn(tx.objectStore('identities'));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = () => reject(tx.error);
+    };
+  });
+}
+
+test.beforeEach(() => Vault.forgetAll());
+
+test('loading the vault removes the legacy credentials', () => {
+  assert.equal(localStorage.getItem('ots-sign-credentials'), null);
+  assert.equal(localStorage.getItem('ots-sign-contacts'), '[]');
+});
+
+test('a device entry unlocks without a PIN', async () => {
+  await Vault.save(' Alice@Example.com ', seed(1), { publicKey: 'alice-key', kdf: KDF });
+  const entry = await Vault.get('alice@example.com');
+  assert.deepEqual([entry.email, entry.publicKey, entry.kdf, entry.mode], ['alice@example.com', 'alice-key', KDF, 'device']);
+  assert.deepEqual(await Vault.unlock('ALICE@example.com'), seed(1));
+  await assert.rejects(Vault.save('bob@example.com', seed(2), { publicKey: 'bob-key', kdf: KDF, mode: 'pin', pin: '12' }), /at least 4 digits/);
+});
+
+test('a correct PIN resets the count of wrong ones', async () => {
+  await Vault.save('alice@example.com', seed(1), { publicKey: 'alice-key', kdf: KDF, mode: 'pin', pin: '1234' });
+  await assert.rejects(Vault.unlock('alice@example.com', '0000'), /Wrong PIN \(4 attempts left\)/);
+  await assert.rejects(Vault.unlock('alice@example.com'), /Wrong PIN \(3 attempts left\)/);
+  assert.deepEqual(await Vault.unlock('alice@example.com', '1234'), seed(1));
+  await assert.rejects(Vault.unlock('alice@example.com', '0000'), /Wrong PIN \(4 attempts left\)/);
+});
+
+test('too many wrong PINs wipe the entry', async () => {
+  await Vault.save('alice@example.com', seed(1), { publicKey: 'alice-key', kdf: KDF, mode: 'pin', pin: '1234' });
+  for (let left = Vault.MAX_PIN_ATTEMPTS - 1; left > 0; left--) {
+    await assert.rejects(Vault.unlock('alice@example.com', '0000'), new RegExp(`Wrong PIN \\(${left} attempt`));
+  }
+  await assert.rejects(Vault.unlock('alice@example.com', '0000'), /Too many wrong PINs/);
+  assert.equal(await Vault.get('alice@example.com'), null);
+  await assert.rejects(Vault.unlock('alice@example.com', '1234'), /No saved key/);
+});
+
+test('expired entries are skipped, refused and removed', async t => {
+  await Vault.save('alice@example.com', seed(1), { publicKey: 'alice-key', kdf: KDF, expiry: '1d' });
+  await Vault.save('bob@example.com', seed(2), { publicKey: 'bob-key', kdf: KDF, expiry: '30d' });
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 2 * DAY);
+
+  assert.deepEqual((await Vault.list()).map(e => e.email), ['bob@example.com']);
+  await assert.rejects(Vault.unlock('alice@example.com'), /No saved key/);
+  assert.equal(await Vault.get('alice@example.com'), null);
+
+  t.mock.restoreAll();
+  assert.equal(await Vault.get('alice@example.com'), null);
+  assert.ok(await Vault.get('bob@example.com'));
+});
+
+test('forget removes one identity, forgetAll every one', async () => {
+  await Vault.save('alice@example.com', seed(1), { publicKey: 'alice-key', kdf: KDF });
+  await Vault.save('bob@example.com', seed(2), { publicKey: 'bob-key', kdf: KDF });
+  await Vault.forget(' ALICE@example.com');
+  assert.deepEqual((await Vault.list()).map(e => e.email), ['bob@example.com']);
+
+  await Vault.forgetAll();
+  assert.deepEqual(await Vault.list(), []);
+  // A new device key is made for the next entry
+  await Vault.save('bob@example.com', seed(3), { publicKey: 'bob-key', kdf: KDF });
+  assert.deepEqual(await Vault.unlock('bob@example.com'), seed(3));
+});
+
+test('a sealed seed moved to another identity doesn\'t open', async () => {
+  await Vault.save('alice@example.com', seed(1), { publicKey: 'alice-key', kdf: KDF });
+  await Vault.save('bob@example.com', seed(2), { publicKey: 'bob-key', kdf: KDF });
+  const alice = await identities('readonly', store => store.get('alice@example.com'));
+  const bob = await identities('readonly', store => store.get('bob@example.com'));
+  await identities('readwrite', store => store.put({ ...bob, box: alice.box }));
+
+  await assert.rejects(Vault.unlock('bob@example.com'));
+  assert.deepEqual(await Vault.unlock('alice@example.com'), seed(1));
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, keypair, signedArchive, editArchive } = require('./helpers');
+
+const { Verifier, Crypto } = load();
+
+let signed;
+test.before(async () => {
+  signed = await signedArchive();
+});
+
+function checks(report, name) {
+  return report.results.filter(r => r.check === name);
+}
+
+// Change one hex digit, keeping the string well-formed
+function flip(hex) {
+  return (hex[0] === '0' ? '1' : '0') + hex.slice(1);
+}
+
+test('a finalized archive verifies', async () => {
+  const report = await Verifier.verify(signed.archive, { network: false });
+  assert.equal(report.valid, true);
+  assert.deepEqual(checks(report, 'signer-signature').map(r => r.status), ['success', 'success']);
+});
+
+test('a forged Ed25519 signature fails', async () => {
+  const archive = await editArchive(signed.archive, 'verification.json', v => {
+    v.signers[1].cryptoSignature = flip(v.signers[1].cryptoSignature);
+  });
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, false);
+  assert.deepEqual(checks(report, 'signer-signature').map(r => r.status), ['success', 'error']);
+});
+
+test('a signature under a different email fails', async () => {
+  const archive = await editArchive(signed.archive, 'verification.json', v => {
+    v.signers[0].email = 'mallory@example.com';
+  });
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, false);
+  assert.equal(checks(report, 'signer-signature')[0].status, 'error');
+});
+
+test('a v4 archive without the original document hash fails', async () => {
+  const archive = await editArchive(signed.archive, 'verification.json', v => {
+    delete v.document.originalHash;
+  });
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, false);
+  const results = checks(report, 'signer-signature');
+  assert.deepEqual(results.map(r => r.status), ['error', 'error']);
+  assert.match(results[0].title, /not checkable/);
+});
+
+test('an unfinished bundle has its signatures checked too', async () => {
+  const bundle = JSON.parse(JSON.stringify(signed.bundle));
+  bundle.status = 'in_progress';
+  bundle.signers[0].cryptoSignature = flip(bundle.signers[0].cryptoSignature);
+  const report = await Verifier.verify(new TextEncoder().encode(JSON.stringify(bundle)));
+  assert.deepEqual(checks(report, 'signer-signature').map(r => r.status), ['error', 'success']);
+});
+
+test('a drawn value that differs from the signed one fails', async () => {
+  const archive = await editArchive(signed.archive, 'verification.json', v => {
+    v.fields.find(f => f.type === 'date').valueHash = '00'.repeat(32);
+  });
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, false);
+  assert.deepEqual(checks(report, 'signer-fields').map(r => r.status), ['success', 'error']);
+});
+
+test('the drawn field list is committed by the merkle root', async () => {
+  assert.equal(checks(await Verifier.verify(signed.archive, { network: false }), 'fields')[0].status, 'success');
+
+  // No manifest covers `hidden`, so only the commitment catches a field marked as not drawn
+  const archive = await editArchive(signed.archive, 'verification.json', v => {
+    v.fields.find(f => f.type === 'date').hidden = true;
+  });
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, false);
+  assert.deepEqual(checks(report, 'signer-fields').map(r => r.status), ['success', 'success']);
+  assert.equal(checks(report, 'fields')[0].status, 'error');
+});
+
+test('signed manifests without the drawn fields fail', async () => {
+  const archive = await editArchive(signed.archive, 'verification.json', v => {
+    delete v.fields;
+  });
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, false);
+  const results = checks(report, 'signer-fields');
+  assert.deepEqual(results.map(r => r.status), ['error', 'error']);
+  assert.match(results[0].title, /fields missing/);
+});
+
+test('signers swapped in the list fail their leaf positions', async () => {
+  const archive = await editArchive(signed.archive, 'verification.json', v => {
+    v.signers.reverse();
+  });
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, false);
+  assert.deepEqual(checks(report, 'signer-proof').map(r => r.status), ['error', 'error']);
+});
+
+test('a proof for a differently sized tree fails', async () => {
+  const archive = await editArchive(signed.archive, 'verification.json', v => {
+    v.document.proof.size += 1;
+  });
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, false);
+  assert.equal(checks(report, 'document')[0].status, 'error');
+});
+
+test('an archive without its audit log fails', async () => {
+  const archive = await editArchive(signed.archive, 'verification.json', v => {
+    delete v.audit;
+  });
+  const report = await Verifier.verify(archive, { network: false });
+  assert.equal(report.valid, false);
+  assert.equal(checks(report, 'audit')[0].status, 'error');
+});
+
+test('keys pinned by the sender are checked', async () => {
+  const pinned = await signedArchive({
+    prepare: async bundle => {
+      for (const signer of bundle.signers) {
+        signer.expectedPublicKey = Crypto.formatPublicKey((await keypair(signer.email)).publicKey);
+      }
+    }
+  });
+  const report = await Verifier.verify(pinned.archive, { network: false });
+  assert.equal(report.valid, true);
+  assert.deepEqual(checks(report, 'signer-key').map(r => r.status), ['success', 'success']);
+
+  const swapped = await editArchive(pinned.archive, 'verification.json', v => {
+    v.signers[0].expectedPublicKey = v.signers[1].publicKey;
+  });
+  const swappedReport = await Verifier.verify(swapped, { network: false });
+  assert.equal(swappedReport.valid, false);
+  assert.deepEqual(checks(swappedReport, 'signer-key').map(r => r.status), ['error', 'success']);
+});
+
+test('a bundle gets the same signer checks, and is never finalized', async () => {
+  const bundle = JSON.parse(JSON.stringify(signed.bundle));
+  const encode = b => new TextEncoder().encode(JSON.stringify(b));
+  const report = await Verifier.verify(encode(bundle));
+  assert.deepEqual([report.valid, report.finalized], [true, false]);
+  assert.deepEqual(checks(report, 'signer-key').map(r => r.status), ['warning', 'warning']);
+  assert.deepEqual(checks(report, 'signer-fields').map(r => r.status), ['success', 'success']);
+  assert.equal((await Verifier.verify(signed.archive, { network: false })).finalized, true);
+
+  bundle.signers[0].expectedPublicKey = bundle.signers[1].publicKey;
+  bundle.fields.find(f => f.type === 'date').value = '1999-12-31';
+  const changed = await Verifier.verify(encode(bundle));
+  assert.equal(changed.valid, false);
+  assert.deepEqual(checks(changed, 'signer-key').map(r => r.status), ['error', 'warning']);
+  assert.deepEqual(checks(changed, 'signer-fields').map(r => r.status), ['success', 'error']);
+});
+
+test('a signing order is followed and checked', async () => {
+  const routed = await signedArchive({
+    prepare: bundle => {
+      bundle.signers.forEach((signer, i) => { signer.order = i + 1; });
+    }
+  });
+  const report = await Verifier.verify(routed.archive, { network: false });
+  assert.equal(report.valid, true);
+  assert.equal(checks(report, 'signing-order')[0].message, 'Alice → Bob');
+  assert.deepEqual(routed.result.verification.signers[1].manifest.routing, {
+    order: 2,
+    after: [routed.result.verification.signers[0].cryptoSignature]
+  });
+
+  const reordered = await editArchive(routed.archive, 'verification.json', v => {
+    [v.signers[0].order, v.signers[1].order] = [2, 1];
+  });
+  const reorderedReport = await Verifier.verify(reordered, { network: false });
+  assert.equal(reorderedReport.valid, false);
+  assert.equal(checks(reorderedReport, 'signing-order')[0].status, 'error');
+});